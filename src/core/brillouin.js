@@ -4,14 +4,18 @@
  * The nth Brillouin zone is constructed by finding the set of k-points
  * that are reached from the origin by crossing exactly (n-1) Bragg planes.
  *
- * For 2D: zones are convex polygons computed via half-plane intersection.
- * For 3D: zones are convex polyhedra computed via half-space intersection.
+ * The 1st zone is a convex polygon (2D) or polyhedron (3D) computed by
+ * half-plane / half-space intersection. Higher zones are unions of convex
+ * fragments: the cells of the Bragg-plane arrangement with n-1 crossings.
  */
 
 import {
-  vdot, vlength, vscale, vnormalize, bisectorPlane,
+  vadd, vsub, vdot, vlength, vscale, vnormalize, bisectorPlane,
   clipPolygonByPlane2D, sortPointsCCW
 } from './math.js';
+import { polygonArea, polygonCentroid, polyhedronVolume } from './geometry.js';
+import { boxMesh, clipMesh, splitMesh, meshFromFaces, meshToFaces } from './polyhedron.js';
+import { applyOperation } from './symmetry.js';
 
 /**
  * Compute zone map using pixel-based approach (Python reference algorithm).
@@ -19,73 +23,141 @@ import {
  * This algorithm matches the reference Python code:
  * For each pixel (kx, ky), count how many reciprocal lattice points G
  * are closer to the pixel than the origin is. The zone number is this count + 1.
+ * The count is taken row by row rather than pixel by pixel; see
+ * computeZoneMapRows.
  * 
- * @param {Array} reciprocalPoints - Array of reciprocal lattice vectors [x, y]
+ * @param {Array} reciprocalPoints - Array of reciprocal lattice vectors [x, y];
+ *   every G with |G| < 2·√2·plotRange is needed for an exact map
  * @param {number} maxZone - Maximum zone number to compute
  * @param {number} resolution - Image resolution (pixels per axis)
  * @param {number} plotRange - The k-space range (-plotRange to +plotRange)
  * @returns {ImageData} Zone map as ImageData with RGB zone colors
  */
 export function computeZoneMapPixelBased(reciprocalPoints, maxZone, resolution = 800, plotRange = 3.2) {
-  const imageData = new ImageData(resolution, resolution);
-  const data = imageData.data;
+  const grid = zoneMapGrid(-plotRange, plotRange, 2 * plotRange / resolution, resolution, resolution);
+  const data = computeZoneMapRows(reciprocalPoints, maxZone, grid, 0, resolution);
+  return new ImageData(data, resolution, resolution);
+}
+
+/**
+ * Describe the pixel grid of a zone map and the k-space rectangle it covers.
+ *
+ * @param {number} xMin - kx of the left edge
+ * @param {number} yMax - ky of the top edge
+ * @param {number} step - k-space size of one pixel
+ * @param {number} width - Pixels per row
+ * @param {number} height - Rows
+ * @returns {Object} { xMin, xMax, yMin, yMax, step, width, height }
+ */
+export function zoneMapGrid(xMin, yMax, step, width, height) {
+  return { xMin, xMax: xMin + width * step, yMin: yMax - height * step, yMax, step, width, height };
+}
+
+/**
+ * Compute rows rowStart..rowEnd − 1 of a zone map over a k-space grid,
+ * so that the image can be split into strips (e.g. across Web Workers).
+ * Pixel (px, py) samples k = (xMin + px·step, yMax − py·step).
+ *
+ * G is closer to k than the origin iff G·k > |G|²/2, which needs
+ * |G| < 2|k|; on a row only the G up to twice the row's largest |k| are
+ * visited. Along the row, each Bragg line is crossed at most once, so a G
+ * adds one to every pixel on one side of its crossing. These steps are
+ * collected in a difference array and summed in a single sweep, making a
+ * row cost O(#G + width) instead of O(#G · width).
+ *
+ * With a zoneRadius that bounds zones 1..maxZone (zoneBoundingRadius2D),
+ * pixels beyond it are left transparent without counting, and only the G
+ * with |G| ≤ 2·zoneRadius are needed, however large the window.
+ *
+ * @param {Array} reciprocalPoints - Array of reciprocal lattice vectors [x, y]
+ * @param {number} maxZone - Maximum zone number to compute
+ * @param {Object} grid - Pixels and the k-space window they cover, from zoneMapGrid
+ * @param {number} rowStart - First row (0 is the top, ky = yMax)
+ * @param {number} rowEnd - Row after the last one
+ * @param {number} zoneRadius - Radius beyond which every zone exceeds maxZone
+ * @returns {Uint8ClampedArray} RGBA pixels of the strip, row by row
+ */
+export function computeZoneMapRows(reciprocalPoints, maxZone, grid, rowStart, rowEnd, zoneRadius = Infinity) {
+  const { xMin, yMax, step, width } = grid;
+  const data = new Uint8ClampedArray((rowEnd - rowStart) * width * 4);
   
-  // Remove origin from lattice points (we compare distance to origin vs other points)
-  const latticePoints = reciprocalPoints.filter(G => 
-    Math.abs(G[0]) > 1e-9 || Math.abs(G[1]) > 1e-9
-  );
+  // Remove origin from lattice points (we compare distance to origin vs
+  // other points), nearest first so each row can stop early
+  const latticePoints = reciprocalPoints
+    .filter(G => Math.abs(G[0]) > 1e-9 || Math.abs(G[1]) > 1e-9)
+    .map(G => ({ x: G[0], y: G[1], halfSq: (G[0] * G[0] + G[1] * G[1]) / 2 }))
+    .sort((a, b) => a.halfSq - b.halfSq);
   
   // Zone colors matching Python Spectral_r colormap
   const zoneColors = generateSpectralColors(maxZone);
   
-  // For each pixel
-  for (let py = 0; py < resolution; py++) {
-    for (let px = 0; px < resolution; px++) {
-      // Convert pixel to k-space coordinates
-      const kx = -plotRange + (px / resolution) * (2 * plotRange);
-      const ky = plotRange - (py / resolution) * (2 * plotRange); // Flip y
-      
-      // Distance from pixel to origin (squared)
-      const distOriginSq = kx * kx + ky * ky;
-      
-      // Count how many lattice points are closer than the origin
-      let zoneNum = 1;
-      for (const G of latticePoints) {
-        const dx = kx - G[0];
-        const dy = ky - G[1];
-        const distGSq = dx * dx + dy * dy;
-        
-        if (distGSq < distOriginSq) {
-          zoneNum++;
-        }
+  const maxKx = Math.max(Math.abs(xMin), Math.abs(xMin + width * step));
+  const steps = new Int32Array(width + 1);
+
+  for (let py = rowStart; py < rowEnd; py++) {
+    const ky = yMax - py * step;
+    // Pixels within zoneRadius of Γ; the rest of the row stays transparent
+    if (ky * ky > zoneRadius * zoneRadius) continue;
+    const reach = Math.sqrt(zoneRadius * zoneRadius - ky * ky);
+    const pxFrom = Math.max(0, Math.ceil((-reach - xMin) / step));
+    const pxTo = Math.min(width, Math.floor((reach - xMin) / step) + 1);
+    if (pxFrom >= pxTo) continue;
+
+    // |G| < 2·max|k| on this row, i.e. |G|²/2 < 2(kx² + ky²)
+    const kxLimit = Math.min(maxKx, reach);
+    const halfSqLimit = 2 * (kxLimit * kxLimit + ky * ky);
+    steps.fill(0);
+    let crossedEverywhere = 0;
+
+    for (const { x, y, halfSq } of latticePoints) {
+      if (halfSq >= halfSqLimit) break;
+      // The row is beyond G's Bragg line where x·kx > halfSq − y·ky
+      const rest = halfSq - y * ky;
+      if (Math.abs(x) < 1e-12) {
+        if (rest < 0) crossedEverywhere++;
+        continue;
+      }
+      // Pixel coordinate of the crossing, kx = rest / x
+      const cross = (rest / x - xMin) / step;
+      if (x > 0) {
+        // Pixels right of the crossing
+        const first = Math.floor(cross) + 1;
+        if (first <= 0) crossedEverywhere++;
+        else if (first < width) steps[first]++;
+      } else {
+        // Pixels left of the crossing
+        const end = Math.ceil(cross);
+        if (end >= width) crossedEverywhere++;
+        else if (end > 0) { crossedEverywhere++; steps[end]--; }
       }
-      
-      // Set pixel color
-      const idx = (py * resolution + px) * 4;
+    }
+
+    let crossings = crossedEverywhere;
+    for (let px = 0; px < pxFrom; px++) crossings += steps[px];
+    let idx = ((py - rowStart) * width + pxFrom) * 4;
+    for (let px = pxFrom; px < pxTo; px++, idx += 4) {
+      crossings += steps[px];
+      const zoneNum = crossings + 1;
+      // Set pixel color; zones > maxZone stay transparent
       if (zoneNum <= maxZone) {
         const color = zoneColors[zoneNum - 1];
         data[idx] = color.r;
         data[idx + 1] = color.g;
         data[idx + 2] = color.b;
         data[idx + 3] = color.a;
-      } else {
-        // Transparent for zones > maxZone
-        data[idx] = 0;
-        data[idx + 1] = 0;
-        data[idx + 2] = 0;
-        data[idx + 3] = 0;
       }
     }
   }
   
-  return imageData;
+  return data;
 }
 
 /**
  * Generate colors for zones using Spectral_r colormap (reversed spectral).
  * Approximates matplotlib's Spectral_r colormap.
+ * @returns {Array<{r, g, b, a}>} One color per zone, 0–255 channels
  */
-function generateSpectralColors(maxZone) {
+export function generateSpectralColors(maxZone) {
   const colors = [];
   
   for (let i = 0; i < maxZone; i++) {
@@ -132,9 +204,14 @@ function generateSpectralColors(maxZone) {
 
 /**
  * Get Bragg planes for visualization (black lines in the Python reference).
- * Returns array of {G, normal, d} for drawing perpendicular bisector lines.
+ * Returns array of {x1, y1, x2, y2, G}: each perpendicular bisector clipped
+ * to the k-space rectangle in view, skipping those that miss it.
+ *
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors [x, y]
+ * @param {Object} view - { xMin, xMax, yMin, yMax }, e.g. from zoneMapGrid
  */
-export function getBraggPlanes(reciprocalPoints, plotRange) {
+export function getBraggPlanes(reciprocalPoints, view) {
+  const { xMin, xMax, yMin, yMax } = view;
   const planes = [];
   
   for (const G of reciprocalPoints) {
@@ -143,37 +220,46 @@ export function getBraggPlanes(reciprocalPoints, plotRange) {
     
     if (Math.abs(Gx) < 1e-9 && Math.abs(Gy) < 1e-9) continue;
     
-    const magSq = Gx * Gx + Gy * Gy;
-    const d = magSq / 2;
-    
-    // Line equation: Gx*x + Gy*y = d
-    // Calculate endpoints for drawing
-    let x1, y1, x2, y2;
-    
-    if (Math.abs(Gy) > Math.abs(Gx)) {
-      // More horizontal line
-      x1 = -plotRange;
-      x2 = plotRange;
-      y1 = (d - Gx * x1) / Gy;
-      y2 = (d - Gx * x2) / Gy;
-    } else {
-      // More vertical line
-      y1 = -plotRange;
-      y2 = plotRange;
-      x1 = (d - Gy * y1) / Gx;
-      x2 = (d - Gy * y2) / Gx;
+    // Line through G/2 along (−Gy, Gx), clipped to the window (Liang–Barsky)
+    const px = Gx / 2;
+    const py = Gy / 2;
+    let tMin = -Infinity;
+    let tMax = Infinity;
+    const bounds = [[-Gy, xMin - px, xMax - px], [Gx, yMin - py, yMax - py]];
+    let visible = true;
+    for (const [dir, lo, hi] of bounds) {
+      if (Math.abs(dir) < 1e-12) {
+        if (lo > 0 || hi < 0) visible = false;
+        continue;
+      }
+      const t1 = lo / dir;
+      const t2 = hi / dir;
+      tMin = Math.max(tMin, Math.min(t1, t2));
+      tMax = Math.min(tMax, Math.max(t1, t2));
     }
+    if (!visible || tMin >= tMax) continue;
     
-    // Only include if line is visible in plot range
-    const inRange = (v) => Math.abs(v) < plotRange * 1.5;
-    if (inRange(y1) || inRange(y2) || inRange(x1) || inRange(x2)) {
-      planes.push({ x1, y1, x2, y2, G });
-    }
+    planes.push({
+      x1: px - Gy * tMin, y1: py + Gx * tMin,
+      x2: px - Gy * tMax, y2: py + Gx * tMax,
+      G
+    });
   }
   
   return planes;
 }
 
+/**
+ * Half-side of a square or cube certain to hold the 1st zone. Every k lies
+ * within ½ Σ|bᵢ| of a lattice point for any basis bᵢ, so once the points
+ * contain a basis the zone fits within 1.5 max|G| of the origin. The box
+ * takes 2 max|G|, a margin that keeps its faces clear of the zone so the
+ * clipping removes every one of them.
+ */
+function firstZoneBox(reciprocalPoints) {
+  return 2 * reciprocalPoints.reduce((max, G) => Math.max(max, vlength(G)), 0);
+}
+
 /**
  * Compute the 1st Brillouin zone (Wigner-Seitz cell) in 2D.
  *
@@ -182,12 +268,13 @@ export function getBraggPlanes(reciprocalPoints, plotRange) {
  *   2. For each reciprocal lattice vector G, compute the perpendicular bisector plane
  *   3. Clip the polygon by the half-plane G·k ≤ |G|²/2
  *
- * @param {Array} reciprocalPoints - Sorted array of reciprocal lattice vectors
+ * @param {Array} reciprocalPoints - Sorted array of reciprocal lattice vectors,
+ *   including a basis of the lattice
  * @returns {Array} Vertices of the 1st BZ polygon (CCW ordered)
  */
 export function computeFirstBZ2D(reciprocalPoints) {
-  // Start with a large square
-  const R = 100;
+  // Start with a square around the zone
+  const R = firstZoneBox(reciprocalPoints);
   let polygon = [[-R, -R], [R, -R], [R, R], [-R, R]];
 
   for (const G of reciprocalPoints) {
@@ -202,367 +289,457 @@ export function computeFirstBZ2D(reciprocalPoints) {
 }
 
 /**
- * Compute the nth Brillouin zone in 2D.
+ * Radius of a disc that contains Brillouin zones 1..n in 2D.
  *
- * The nth zone consists of all k-points that require crossing exactly (n-1)
- * Bragg planes to reach from the origin via the shortest path.
+ * 2D analogue of zoneBoundingRadius3D: a disc of radius r holds at least
+ * π(r − ρ)² / A lattice points, with A the area of the first zone and ρ its
+ * circumradius, so every k in zones 1..n has |k| ≤ ρ + √((n + 1)A / π).
  *
- * Algorithm:
- *   1. For each reciprocal lattice point G, the Bragg plane is G·k = |G|²/2
- *   2. A k-point is in the nth zone if exactly (n-1) planes satisfy G·k > |G|²/2
- *      among the planes that are closer to the origin than the point.
+ * @param {Array} firstZone - Vertices of the 1st BZ (from computeFirstBZ2D)
+ * @param {number} n - Highest zone number
+ * @returns {number} Bounding radius; Bragg lines with |G| ≤ 2× this are needed
+ */
+export function zoneBoundingRadius2D(firstZone, n) {
+  const rho = Math.max(...firstZone.map(vlength));
+  return rho + Math.sqrt((n + 1) * polygonArea(firstZone) / Math.PI);
+}
+
+/**
+ * Compute Brillouin zones 1..maxZone in 2D as exact polygon fragments.
  *
- * Implementation:
- *   - Construct all Bragg planes from reciprocal lattice points
- *   - For the nth zone, find the region where exactly (n-1) planes are "crossed"
- *   - This is done by computing the intersection arrangement and selecting cells
+ * The Bragg lines cut the plane into convex cells (the line arrangement),
+ * and the crossing count G·k > |G|²/2 is constant on each one. Starting from
+ * a square that holds zones 1..maxZone, cells are split recursively by the
+ * lines in order of distance, exactly as in computeZones3D. Cells whose
+ * count exceeds maxZone − 1 are pruned, so the work grows with the area
+ * covered rather than with the number of lines squared.
  *
- * For practical implementation, we use a cell-decomposition approach:
- *   - Generate candidate vertices from all pairwise Bragg-plane intersections
- *   - Group vertices by zone number
- *   - Construct zone boundaries
+ * reciprocalPoints must include every G with
+ * |G| ≤ 2 · zoneBoundingRadius2D(firstZone, maxZone).
  *
- * @param {Array} reciprocalPoints - Sorted reciprocal lattice vectors
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (origin excluded)
+ * @param {number} maxZone - Highest zone number
+ * @returns {Array<Array<Array>>} zones[n − 1] = CCW polygon fragments of zone n
+ */
+export function computeZones2D(reciprocalPoints, maxZone) {
+  const firstZone = computeFirstBZ2D(reciprocalPoints);
+  const zones = Array.from({ length: maxZone }, () => []);
+  if (firstZone.length < 3) return zones;
+  zones[0].push(firstZone);
+  if (maxZone === 1) return zones;
+
+  const radius = zoneBoundingRadius2D(firstZone, maxZone);
+  const lines = reciprocalPoints
+    .map(G => ({ G, dist: vlength(G) / 2 }))
+    .filter(l => l.dist > 1e-9 && l.dist <= radius)
+    .sort((a, b) => a.dist - b.dist)
+    .map(l => ({ normal: vscale(l.G, 0.5 / l.dist), d: l.dist }));
+
+  const eps = 1e-9 * radius;
+  const R = radius;
+  // Depth-first over (cell, next line index, crossings so far)
+  const stack = [{ polygon: [[-R, -R], [R, -R], [R, R], [-R, R]], next: 0, count: 0 }];
+  while (stack.length > 0) {
+    let { polygon, next, count } = stack.pop();
+    let alive = true;
+    for (; next < lines.length; next++) {
+      const { normal, d } = lines[next];
+      let min = Infinity;
+      let max = -Infinity;
+      for (const v of polygon) {
+        const s = normal[0] * v[0] + normal[1] * v[1] - d;
+        if (s < min) min = s;
+        if (s > max) max = s;
+      }
+      if (max <= eps) continue;           // entirely on Γ's side
+      if (min >= -eps) {                  // entirely beyond: one more crossing
+        if (++count > maxZone - 1) { alive = false; break; }
+        continue;
+      }
+      // Straddles the line: keep the near part here, queue the far part
+      const far = clipPolygonByPlane2D(polygon, [-normal[0], -normal[1]], -d);
+      if (far.length >= 3 && count + 1 <= maxZone - 1) {
+        stack.push({ polygon: far, next: next + 1, count: count + 1 });
+      }
+      polygon = clipPolygonByPlane2D(polygon, normal, d);
+      if (polygon.length < 3) { alive = false; break; }
+    }
+    if (alive && count > 0) zones[count].push(sortPointsCCW(polygon));
+  }
+  return zones;
+}
+
+/**
+ * Compute the nth Brillouin zone in 2D.
+ *
+ * The nth zone consists of all k-points that require crossing exactly (n-1)
+ * Bragg planes to reach from the origin; see computeZones2D for the
+ * algorithm and the reciprocal points it needs.
+ *
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (origin excluded)
  * @param {number} n - Zone number (1-indexed)
  * @returns {Array<Array>} Array of polygon vertex arrays for this zone
  */
 export function computeNthBZ2D(reciprocalPoints, n) {
-  if (n === 1) return [computeFirstBZ2D(reciprocalPoints)];
+  return computeZones2D(reciprocalPoints, n)[n - 1];
+}
 
-  // Use enough reciprocal points for the desired zone
-  const planes = reciprocalPoints.map(G => ({
-    normal: [G[0], G[1]],
+/**
+ * Compute Bragg planes for 3D BZ construction.
+ * Returns array of { normal, d, G } objects.
+ */
+export function computeBraggPlanes3D(reciprocalPoints) {
+  return reciprocalPoints.map(G => ({
+    normal: vnormalize(G),
     d: vdot(G, G) / 2,
     G
   }));
+}
 
-  // Determine zone number for a point: count how many Bragg planes
-  // the point is on the "far side" of (G·k > |G|²/2)
-  function getZoneNumber(k) {
-    let crossings = 0;
-    for (const plane of planes) {
-      if (vdot(plane.normal, k) > plane.d + 1e-9) {
-        crossings++;
-      }
-    }
-    return crossings + 1;
-  }
+/**
+ * Compute the 1st Brillouin zone in 3D as a convex polyhedron.
+ * Returns array of face objects, each with vertices in CCW order.
+ *
+ * Uses iterative half-space clipping starting from a cube around the zone.
+ */
+export function computeFirstBZ3D(reciprocalPoints) {
+  return meshToFaces(computeFirstBZMesh3D(reciprocalPoints));
+}
 
-  // Build the nth zone by clipping: start with the (n-1)th accumulated zone
-  // boundary and subtract the (n-1)th zone
-  // More robust approach: generate grid of test points and find zone cells
-
-  // For efficiency, we use a geometric approach:
-  // The nth BZ boundary is formed by intersections of Bragg planes
-  // We collect all intersection vertices, classify by zone, and build polygons
-
-  const vertices = [];
-  const eps = 1e-9;
-
-  // Find all intersection points of pairs of Bragg planes
-  for (let i = 0; i < planes.length; i++) {
-    for (let j = i + 1; j < planes.length; j++) {
-      const n1 = planes[i].normal;
-      const n2 = planes[j].normal;
-      const det = n1[0] * n2[1] - n1[1] * n2[0];
-      if (Math.abs(det) < eps) continue;
-
-      const d1 = planes[i].d;
-      const d2 = planes[j].d;
-      const x = (d1 * n2[1] - d2 * n1[1]) / det;
-      const y = (n1[0] * d2 - n2[0] * d1) / det;
-      const pt = [x, y];
-
-      // Determine zone number of this vertex
-      // A vertex on a Bragg plane boundary needs special treatment:
-      // we test points slightly offset in each adjacent region
-      const zn = getZoneNumber(pt);
-      if (Math.abs(zn - n) <= 1) {
-        vertices.push({ pt, zone: zn });
-      }
-    }
+/**
+ * Compute the 1st Brillouin zone in 3D as an indexed mesh, for callers that
+ * need its vertex, edge and face adjacency (see polyhedron.js).
+ *
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (origin excluded),
+ *   including a basis of the lattice
+ * @returns {Object} Closed mesh { vertices, faces }
+ */
+export function computeFirstBZMesh3D(reciprocalPoints) {
+  let mesh = boxMesh(firstZoneBox(reciprocalPoints));
+  for (const plane of computeBraggPlanes3D(reciprocalPoints)) {
+    mesh = clipMesh(mesh, plane.G, plane.d);
+    if (mesh.faces.length === 0) break;
   }
-
-  // Build the nth zone as a polygon clipping operation
-  // Start with a large region and intersect with the constraints
-  // that define the nth zone.
-
-  // Alternative approach: use accumulated BZ construction
-  // BZ(n) = BZ_accumulated(n) \ BZ_accumulated(n-1)
-  // where BZ_accumulated(n) is the union of zones 1..n
-
-  const accumulatedN = computeAccumulatedBZ2D(reciprocalPoints, n);
-  const accumulatedNm1 = n > 1 ? computeAccumulatedBZ2D(reciprocalPoints, n - 1) : [];
-
-  if (accumulatedN.length === 0) return [];
-
-  // For zones > 1, we need to decompose the difference
-  // The nth zone fragments are the pieces of accumulatedN not in accumulatedNm1
-  return computeZoneDifference2D(accumulatedN, accumulatedNm1, planes, n);
+  return mesh;
 }
 
 /**
- * Compute the accumulated BZ up to zone n (union of zones 1..n).
- * This is the region where at most (n-1) Bragg planes are crossed.
- * Equivalently: for each G, at most (n-1) constraints G·k > |G|²/2 are violated.
+ * Radius of a sphere that contains Brillouin zones 1..n in 3D.
+ *
+ * A point k in zone n has at most n−1 lattice points G closer to it than
+ * the origin, i.e. inside the ball of radius |k| around k. Every ball of
+ * radius r holds at least (4/3)π(r − ρ)³ / V lattice points, where V is the
+ * volume of the first zone and ρ its circumradius (the covering radius), so
+ * |k| ≤ ρ + (3(n + 1)V / 4π)^(1/3). The +1 keeps the bound strict.
  *
- * For the 1st zone: no constraints violated (the Wigner-Seitz cell)
- * For accumulated zone n: at most (n-1) constraints violated
+ * @param {Array} firstZone - Faces of the 1st BZ (from computeFirstBZ3D)
+ * @param {number} n - Highest zone number
+ * @returns {number} Bounding radius; Bragg planes with |G| ≤ 2× this are needed
  */
-function computeAccumulatedBZ2D(reciprocalPoints, n) {
-  // The accumulated nth BZ is bounded by the nth-nearest Bragg planes
-  // We use a more pragmatic approach: clip by all planes
-  const R = 100;
-  let polygon = [[-R, -R], [R, -R], [R, R], [-R, R]];
+export function zoneBoundingRadius3D(firstZone, n) {
+  const rho = Math.max(...firstZone.flatMap(face => face.vertices.map(vlength)));
+  const volume = polyhedronVolume(firstZone);
+  return rho + Math.cbrt(3 * (n + 1) * volume / (4 * Math.PI));
+}
 
-  // Sort planes by distance from origin
-  const planes = reciprocalPoints.map(G => ({
-    normal: [G[0], G[1]],
-    d: vdot(G, G) / 2,
-    dist: vlength(G) / 2
-  }));
-  planes.sort((a, b) => a.dist - b.dist);
-
-  // Group planes by distance (degenerate planes)
-  const groups = [];
-  let currentGroup = [planes[0]];
-  for (let i = 1; i < planes.length; i++) {
-    if (Math.abs(planes[i].dist - planes[i - 1].dist) < 1e-9) {
-      currentGroup.push(planes[i]);
-    } else {
-      groups.push(currentGroup);
-      currentGroup = [planes[i]];
-    }
-  }
-  groups.push(currentGroup);
-
-  // Clip by the first n groups of Bragg planes
-  const usedGroups = groups.slice(0, n);
-  for (const group of usedGroups) {
-    for (const plane of group) {
-      polygon = clipPolygonByPlane2D(polygon, plane.normal, plane.d);
-      if (polygon.length < 3) return [];
+/**
+ * Compute Brillouin zones 1..maxZone in 3D as polyhedral fragments.
+ *
+ * The zone number of k is one plus the number of Bragg planes crossed on
+ * the way out from Γ, i.e. of G with G·k > |G|²/2. Starting from a cube that
+ * holds zones 1..maxZone, convex cells are split recursively by the Bragg
+ * planes in order of distance. A cell entirely beyond a plane counts one
+ * crossing and is dropped once its count exceeds maxZone − 1. The cells
+ * left over are the pieces of the plane arrangement, grouped by count.
+ *
+ * reciprocalPoints must include every G with
+ * |G| ≤ 2 · zoneBoundingRadius3D(firstZone, maxZone).
+ *
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (origin excluded)
+ * @param {number} maxZone - Highest zone number
+ * @returns {Array<Array<Array>>} zones[n − 1] = fragments of zone n, each a
+ *   face list like computeFirstBZ3D returns
+ */
+export function computeZones3D(reciprocalPoints, maxZone) {
+  const firstZone = computeFirstBZ3D(reciprocalPoints);
+  const zones = Array.from({ length: maxZone }, () => []);
+  zones[0].push(firstZone);
+  if (maxZone === 1 || firstZone.length === 0) return zones;
+
+  const radius = zoneBoundingRadius3D(firstZone, maxZone);
+  const planes = reciprocalPoints
+    .map(G => ({ G, dist: vlength(G) / 2 }))
+    .filter(p => p.dist > 1e-9 && p.dist <= radius)
+    .sort((a, b) => a.dist - b.dist)
+    .map(p => ({ normal: vscale(p.G, 0.5 / p.dist), d: p.dist }));
+
+  // Depth-first over (cell, next plane index, crossings so far)
+  const stack = [{ mesh: boxMesh(radius), next: 0, count: 0 }];
+  while (stack.length > 0) {
+    let { mesh, next, count } = stack.pop();
+    let alive = true;
+    for (; next < planes.length; next++) {
+      const { normal, d } = planes[next];
+      const { below, above } = splitMesh(mesh, normal, d);
+      if (!above) continue;               // entirely on Γ's side
+      if (!below) {                       // entirely beyond: one more crossing
+        if (++count > maxZone - 1) { alive = false; break; }
+        continue;
+      }
+      // Straddles the plane: keep the near part here, queue the far part
+      if (count + 1 <= maxZone - 1) {
+        stack.push({ mesh: above, next: next + 1, count: count + 1 });
+      }
+      mesh = below;
     }
+    if (alive && count > 0) zones[count].push(meshToFaces(mesh));
   }
-
-  return sortPointsCCW(polygon);
+  return zones;
 }
 
 /**
- * Compute the difference between accumulated zone n and accumulated zone n-1.
- * Returns array of polygon fragments representing the nth zone.
+ * Compute the nth Brillouin zone in 3D.
+ * 3D counterpart of computeNthBZ2D; see computeZones3D for the algorithm.
+ *
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (see computeZones3D)
+ * @param {number} n - Zone number (1-indexed)
+ * @returns {Array<Array>} Polyhedral fragments of the zone, each a face list
  */
-function computeZoneDifference2D(outerPolygon, innerPolygon, planes, n) {
-  if (innerPolygon.length < 3) return [outerPolygon];
-
-  // The nth zone is the region in the accumulated(n) but not in accumulated(n-1).
-  // We decompose this using the Bragg planes as cutting lines.
-  // Each fragment of the difference is a convex polygon.
-
-  // Strategy: subdivide the outer polygon using all relevant Bragg planes,
-  // then keep only cells that are NOT inside the inner polygon.
-
-  function centroid(poly) {
-    const cx = poly.reduce((s, p) => s + p[0], 0) / poly.length;
-    const cy = poly.reduce((s, p) => s + p[1], 0) / poly.length;
-    return [cx, cy];
-  }
+export function computeNthBZ3D(reciprocalPoints, n) {
+  return computeZones3D(reciprocalPoints, n)[n - 1];
+}
 
-  function isInsidePolygon(pt, poly) {
-    // Ray-casting algorithm
-    let inside = false;
-    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
-      const xi = poly[i][0], yi = poly[i][1];
-      const xj = poly[j][0], yj = poly[j][1];
-      if (((yi > pt[1]) !== (yj > pt[1])) &&
-        (pt[0] < (xj - xi) * (pt[1] - yi) / (yj - yi) + xi)) {
-        inside = !inside;
-      }
-    }
-    return inside;
+/**
+ * Irreducible wedge of the 1st zone in 2D.
+ *
+ * The wedge is the part of the zone closer to a seed point p than to any of
+ * its images R·p: the half-planes (R·p − p)·k ≤ 0 through Γ. For a group
+ * generated by mirrors these are the mirror lines around p, so a seed
+ * inside the wedge of the high-symmetry points puts them on its corners
+ * and edges.
+ *
+ * @param {Array<[number,number]>} firstZone - 1st BZ polygon
+ * @param {Array} ops - Point group acting on k-space (Cartesian matrices)
+ * @param {Array<number>} seed - A point of the wedge wanted, e.g. the mean
+ *   of the high-symmetry points
+ * @returns {Array<[number,number]>} CCW polygon
+ */
+export function computeIBZ2D(firstZone, ops, seed) {
+  let polygon = firstZone;
+  for (const normal of wedgeNormals(ops, seed)) {
+    polygon = clipPolygonByPlane2D(polygon, normal, 0);
+    if (polygon.length < 3) return [];
   }
+  return polygon;
+}
 
-  // Subdivide outer polygon by Bragg planes
-  let fragments = [outerPolygon];
-  for (const plane of planes) {
-    const newFragments = [];
-    for (const frag of fragments) {
-      // Clip by positive and negative half-plane
-      const pos = clipPolygonByPlane2D(frag, plane.normal, plane.d);
-      const neg = clipPolygonByPlane2D(frag,
-        [-plane.normal[0], -plane.normal[1]], -plane.d);
-      if (pos.length >= 3) newFragments.push(pos);
-      if (neg.length >= 3) newFragments.push(neg);
-    }
-    fragments = newFragments;
-    // Limit fragments to prevent combinatorial explosion in high-zone-order computation
-    const MAX_ZONE_FRAGMENTS = 500;
-    if (fragments.length > MAX_ZONE_FRAGMENTS) break;
+/**
+ * Irreducible wedge of the 1st zone in 3D; see computeIBZ2D.
+ *
+ * @param {Object} firstZoneMesh - 1st BZ mesh (computeFirstBZMesh3D)
+ * @param {Array} ops - Point group acting on k-space (Cartesian matrices)
+ * @param {Array<number>} seed - A point of the wedge wanted
+ * @returns {Object} Closed mesh of the wedge
+ */
+export function computeIBZ3D(firstZoneMesh, ops, seed) {
+  let mesh = firstZoneMesh;
+  for (const normal of wedgeNormals(ops, seed)) {
+    mesh = clipMesh(mesh, normal, 0);
+    if (mesh.faces.length === 0) break;
   }
+  return mesh;
+}
 
-  // Keep fragments whose centroids are outside the inner polygon
-  const result = [];
-  for (const frag of fragments) {
-    const c = centroid(frag);
-    if (!isInsidePolygon(c, innerPolygon)) {
-      result.push(sortPointsCCW(frag));
-    }
+/**
+ * Normals R·p − p of the half-spaces bounding the wedge around p. A seed on
+ * a mirror or axis is fixed by some R and is first nudged off it in a
+ * generic direction.
+ */
+function wedgeNormals(ops, seed) {
+  const dim = seed.length;
+  const scale = Math.max(vlength(seed), 1e-3);
+  const others = ops.filter(R => !R.every((row, i) => row.every((v, j) => Math.abs(v - (i === j ? 1 : 0)) < 1e-9)));
+  const isFixed = p => others.some(R => vlength(vsub(applyOperation(R, p), p)) < 1e-6 * scale);
+  let p = seed;
+  for (let attempt = 1; isFixed(p) && attempt <= 8; attempt++) {
+    const nudge = [1, Math.SQRT2, Math.sqrt(3)].slice(0, dim).map((v, i) => Math.sin(attempt * v + i));
+    p = vadd(seed, vscale(vnormalize(nudge), 0.01 * attempt * scale));
   }
-
-  return result;
+  return others.map(R => vsub(applyOperation(R, p), p));
 }
 
 /**
- * Compute Bragg planes for 3D BZ construction.
- * Returns array of { normal, d, G } objects.
+ * Measure zones 1..n against the area (2D) or volume (3D) they must all
+ * share: that of the 1st zone, (2π)^d / V_cell.
+ *
+ * @param {Array<Array>} zones - zones[n − 1] = fragments of zone n: polygons
+ *   (computeZones2D) or face lists (computeZones3D)
+ * @param {number} cellVolume - Area (2D) or volume (3D) of the real-space
+ *   primitive cell
+ * @returns {Array<{ zone, fragments, measure, expected, relativeError }>}
  */
-export function computeBraggPlanes3D(reciprocalPoints) {
-  return reciprocalPoints.map(G => ({
-    normal: vnormalize(G),
-    d: vdot(G, G) / 2,
-    G
-  }));
+export function zoneMeasures(zones, cellVolume) {
+  const is3D = zones.some(fragments => fragments.length > 0 && fragments[0][0].vertices);
+  const expected = Math.pow(2 * Math.PI, is3D ? 3 : 2) / cellVolume;
+  return zones.map((fragments, i) => {
+    const measure = fragments.reduce(
+      (sum, fragment) => sum + (is3D ? polyhedronVolume(fragment) : polygonArea(fragment)), 0
+    );
+    return {
+      zone: i + 1,
+      fragments: fragments.length,
+      measure,
+      expected,
+      relativeError: (measure - expected) / expected
+    };
+  });
 }
 
 /**
- * Compute the 1st Brillouin zone in 3D as a convex polyhedron.
- * Returns array of face objects, each with vertices in CCW order.
+ * Map k to the equivalent point of the 1st Brillouin zone.
  *
- * Uses iterative half-space clipping starting from a large cube.
+ * While k lies beyond some Bragg plane, the G of the plane it is furthest
+ * beyond is subtracted. Each step shortens k, because
+ * |k − G|² = |k|² − 2(G·k − |G|²/2), so the loop ends, and it ends inside
+ * the 1st zone as long as reciprocalPoints holds every G whose Bragg plane
+ * bounds that zone (the shortest shell or two of G always do).
+ *
+ * @param {Array} k - Wavevector (2D or 3D)
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (origin excluded)
+ * @returns {{ k: Array, G: Array }} The reduced point and the reciprocal
+ *   lattice vector it was moved by, so that k = reduced + G
  */
-export function computeFirstBZ3D(reciprocalPoints) {
-  const planes = computeBraggPlanes3D(reciprocalPoints);
-
-  // Start with a large bounding box as list of faces
-  const R = 50;
-  let faces = createCubeFaces(R);
-
-  for (const plane of planes) {
-    faces = clipPolyhedronByPlane(faces, plane.G, plane.d);
-    if (faces.length === 0) break;
+export function reduceToFirstZone(k, reciprocalPoints) {
+  let reduced = k.slice();
+  let G = k.map(() => 0);
+  for (;;) {
+    let best = null;
+    let bestExcess = 0;
+    for (const V of reciprocalPoints) {
+      const halfSq = vdot(V, V) / 2;
+      const excess = vdot(V, reduced) - halfSq;
+      if (excess > 1e-9 * halfSq && excess > bestExcess) {
+        best = V;
+        bestExcess = excess;
+      }
+    }
+    if (!best) return { k: reduced, G };
+    reduced = vsub(reduced, best);
+    G = vadd(G, best);
   }
+}
 
-  return faces;
+/**
+ * The G whose Bragg planes carry a face (3D) or edge (2D) of the 1st zone,
+ * i.e. the planes that touch one of its vertices.
+ */
+function zoneBoundingVectors(reciprocalPoints, vertices) {
+  return reciprocalPoints.filter(G => {
+    const halfSq = vdot(G, G) / 2;
+    return vertices.some(v => Math.abs(vdot(G, v) - halfSq) <= 1e-9 * halfSq);
+  });
 }
 
 /**
- * Create faces of an axis-aligned cube centered at origin with half-size R.
+ * Which side of the plane V·k = d a convex cell lies on: −1 if on or below
+ * it, +1 if on or above it, 0 if the plane cuts through it. A cell folded by
+ * the G of its own centroid is never wholly above, unless it is degenerate.
  */
-function createCubeFaces(R) {
-  return [
-    // +X face
-    { vertices: [[R, -R, -R], [R, R, -R], [R, R, R], [R, -R, R]], normal: [1, 0, 0] },
-    // -X face
-    { vertices: [[-R, -R, -R], [-R, -R, R], [-R, R, R], [-R, R, -R]], normal: [-1, 0, 0] },
-    // +Y face
-    { vertices: [[-R, R, -R], [-R, R, R], [R, R, R], [R, R, -R]], normal: [0, 1, 0] },
-    // -Y face
-    { vertices: [[-R, -R, -R], [R, -R, -R], [R, -R, R], [-R, -R, R]], normal: [0, -1, 0] },
-    // +Z face
-    { vertices: [[-R, -R, R], [R, -R, R], [R, R, R], [-R, R, R]], normal: [0, 0, 1] },
-    // -Z face
-    { vertices: [[-R, -R, -R], [-R, R, -R], [R, R, -R], [R, -R, -R]], normal: [0, 0, -1] }
-  ];
+function planeSide(vertices, V, d) {
+  const eps = 1e-9 * vdot(V, V);
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of vertices) {
+    const s = vdot(V, v) - d;
+    if (s < min) min = s;
+    if (s > max) max = s;
+  }
+  if (max <= eps) return -1;
+  if (min >= -eps) return 1;
+  return 0;
 }
 
 /**
- * Clip a convex polyhedron (given as faces) by the half-space G·k ≤ d.
- * Returns new set of faces.
+ * Fold the fragments of a 2D zone back into the 1st zone.
+ *
+ * Each fragment is moved by the G that reduces its centroid (see
+ * reduceToFirstZone). A fragment reaching over the boundary of that G's
+ * copy of the 1st zone is split along it, and the overhanging parts are
+ * folded on their own, so the pieces tile the 1st zone exactly.
+ *
+ * @param {Array<Array>} fragments - Polygons of one zone (from computeZones2D)
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors covering the
+ *   neighbours of the 1st zone
+ * @returns {Array<{ polygon: Array, G: Array, source: number }>} Pieces in
+ *   the 1st zone, with the G they were moved by and the index of the
+ *   fragment they come from
  */
-function clipPolyhedronByPlane(faces, G, d) {
-  const newFaces = [];
-  const capVertices = []; // Vertices on the clipping plane
-
-  for (const face of faces) {
-    const clipped = [];
-    const verts = face.vertices;
-    for (let i = 0; i < verts.length; i++) {
-      const curr = verts[i];
-      const next = verts[(i + 1) % verts.length];
-      const dc = vdot(G, curr) - d;
-      const dn = vdot(G, next) - d;
-
-      if (dc <= 1e-9) {
-        clipped.push(curr);
-        if (dn > 1e-9) {
-          const t = dc / (dc - dn);
-          const inter = curr.map((v, j) => v + (next[j] - v) * t);
-          clipped.push(inter);
-          capVertices.push(inter);
+export function foldZone2D(fragments, reciprocalPoints) {
+  const firstZone = computeFirstBZ2D(reciprocalPoints);
+  const neighbours = zoneBoundingVectors(reciprocalPoints, firstZone);
+  const minArea = 1e-10 * polygonArea(firstZone);
+  const pieces = [];
+
+  fragments.forEach((fragment, source) => {
+    const queue = [fragment];
+    while (queue.length > 0) {
+      let polygon = queue.pop();
+      const { G } = reduceToFirstZone(polygonCentroid(polygon), neighbours);
+      // Cut along the edges of the 1st zone translated by G
+      for (const V of neighbours) {
+        const d = vdot(V, V) / 2 + vdot(V, G);
+        const side = planeSide(polygon, V, d);
+        if (side < 0) continue;
+        if (side === 0) {
+          const beyond = clipPolygonByPlane2D(polygon, vscale(V, -1), -d);
+          if (beyond.length >= 3 && polygonArea(beyond) > minArea) queue.push(beyond);
         }
-      } else if (dn <= 1e-9) {
-        const t = dc / (dc - dn);
-        const inter = curr.map((v, j) => v + (next[j] - v) * t);
-        clipped.push(inter);
-        capVertices.push(inter);
+        polygon = side === 0 ? clipPolygonByPlane2D(polygon, V, d) : [];
+        if (polygon.length < 3) break;
+      }
+      if (polygon.length >= 3 && polygonArea(polygon) > minArea) {
+        pieces.push({ polygon: polygon.map(v => vsub(v, G)), G, source });
       }
     }
-    if (clipped.length >= 3) {
-      newFaces.push({ vertices: clipped, normal: face.normal });
-    }
-  }
-
-  // Add cap face if there are enough intersection vertices
-  if (capVertices.length >= 3) {
-    const capNormal = vnormalize(G);
-    // Sort cap vertices in CCW order around the cap normal
-    const sorted = sortVertices3DCCW(capVertices, capNormal);
-    if (sorted.length >= 3) {
-      newFaces.push({ vertices: sorted, normal: capNormal });
-    }
-  }
-
-  return newFaces;
+  });
+  return pieces;
 }
 
 /**
- * Sort 3D vertices in CCW order when projected onto a plane with given normal.
+ * Fold the fragments of a 3D zone back into the 1st zone.
+ * 3D counterpart of foldZone2D.
+ *
+ * @param {Array<Array>} fragments - Face lists of one zone (from computeZones3D)
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors covering the
+ *   neighbours of the 1st zone
+ * @returns {Array<{ faces: Array, G: Array, source: number }>} Pieces in the
+ *   1st zone (see foldZone2D)
  */
-function sortVertices3DCCW(vertices, normal) {
-  if (vertices.length <= 2) return vertices;
-
-  // Compute centroid
-  const n = vertices.length;
-  const cx = vertices.reduce((s, v) => s + v[0], 0) / n;
-  const cy = vertices.reduce((s, v) => s + v[1], 0) / n;
-  const cz = vertices.reduce((s, v) => s + v[2], 0) / n;
-  const centroid = [cx, cy, cz];
-
-  // Create a local coordinate system on the plane
-  let u = [0, 0, 0];
-  // Find a vector not parallel to normal
-  if (Math.abs(normal[0]) < 0.9) {
-    u = [1 - normal[0] * normal[0], -normal[0] * normal[1], -normal[0] * normal[2]];
-  } else {
-    u = [-normal[1] * normal[0], 1 - normal[1] * normal[1], -normal[1] * normal[2]];
-  }
-  const ulen = vlength(u);
-  if (ulen < 1e-12) return vertices;
-  u = vscale(u, 1 / ulen);
-  const v = [
-    normal[1] * u[2] - normal[2] * u[1],
-    normal[2] * u[0] - normal[0] * u[2],
-    normal[0] * u[1] - normal[1] * u[0]
-  ];
-
-  // Remove duplicate vertices
-  const unique = [];
-  for (const vert of vertices) {
-    let isDup = false;
-    for (const uv of unique) {
-      const dx = vert[0] - uv[0], dy = vert[1] - uv[1], dz = vert[2] - uv[2];
-      if (dx * dx + dy * dy + dz * dz < 1e-10) { isDup = true; break; }
+export function foldZone3D(fragments, reciprocalPoints) {
+  const firstZone = computeFirstBZ3D(reciprocalPoints);
+  const neighbours = zoneBoundingVectors(
+    reciprocalPoints, firstZone.flatMap(face => face.vertices)
+  );
+  const minVolume = 1e-10 * polyhedronVolume(firstZone);
+  const pieces = [];
+
+  fragments.forEach((fragment, source) => {
+    const queue = [meshFromFaces(fragment)];
+    while (queue.length > 0) {
+      let mesh = queue.pop();
+      const centroid = vscale(mesh.vertices.reduce(vadd), 1 / mesh.vertices.length);
+      const { G } = reduceToFirstZone(centroid, neighbours);
+      for (const V of neighbours) {
+        const { below, above } = splitMesh(mesh, V, vdot(V, V) / 2 + vdot(V, G));
+        if (above && below && polyhedronVolume(meshToFaces(above)) > minVolume) queue.push(above);
+        mesh = below;
+        if (!mesh) break;
+      }
+      if (mesh && polyhedronVolume(meshToFaces(mesh)) > minVolume) {
+        const moved = meshToFaces({ ...mesh, vertices: mesh.vertices.map(v => vsub(v, G)) });
+        pieces.push({ faces: moved, G, source });
+      }
     }
-    if (!isDup) unique.push(vert);
-  }
-  if (unique.length < 3) return unique;
-
-  // Project and sort
-  return unique.sort((a, b) => {
-    const da = [a[0] - cx, a[1] - cy, a[2] - cz];
-    const db = [b[0] - cx, b[1] - cy, b[2] - cz];
-    const angA = Math.atan2(vdot(da, v), vdot(da, u));
-    const angB = Math.atan2(vdot(db, v), vdot(db, u));
-    return angA - angB;
   });
+  return pieces;
 }
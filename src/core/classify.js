@@ -0,0 +1,533 @@
+/**
+ * classify.js — Bravais-lattice classification of user-supplied cells.
+ *
+ * The holohedry (point group of the lattice) is found by enumerating the
+ * integer matrices that map the reduced basis onto lattice vectors while
+ * preserving the metric tensor within a tolerance. The rotation axes of
+ * those operations then fix the conventional cell, whose volume relative
+ * to the primitive cell gives the centering.
+ *
+ * All axis and centering tests are exact integer tests in the coordinates
+ * of the reduced basis, so a strained cell is classified by its symmetry
+ * operations and keeps its own geometry.
+ */
+
+import { vdot, vcross } from './math.js';
+import { reduceBasis2D, reduceBasis3D } from './reduction.js';
+
+const DEG = Math.PI / 180;
+
+/** Holohedry of each lattice system, keyed by the number of operations */
+const HOLOHEDRIES_2D = {
+  2: { system: 'oblique', family: 'oblique', holohedry: '2' },
+  4: { system: 'rectangular', family: 'rectangular', holohedry: '2mm' },
+  8: { system: 'square', family: 'square', holohedry: '4mm' },
+  12: { system: 'hexagonal', family: 'hexagonal', holohedry: '6mm' }
+};
+
+const HOLOHEDRIES_3D = {
+  2: { system: 'triclinic', family: 'triclinic', holohedry: '1̄' },
+  4: { system: 'monoclinic', family: 'monoclinic', holohedry: '2/m' },
+  8: { system: 'orthorhombic', family: 'orthorhombic', holohedry: 'mmm' },
+  12: { system: 'rhombohedral', family: 'hexagonal', holohedry: '3̄m' },
+  16: { system: 'tetragonal', family: 'tetragonal', holohedry: '4/mmm' },
+  24: { system: 'hexagonal', family: 'hexagonal', holohedry: '6/mmm' },
+  48: { system: 'cubic', family: 'cubic', holohedry: 'm3̄m' }
+};
+
+/** Factor by which the tolerance is widened to look for broken symmetry */
+const BROKEN_SYMMETRY_FACTOR = 5;
+
+/**
+ * Classify the Bravais lattice spanned by the given vectors.
+ *
+ * @param {Array<Array<number>>} vectors - [a1, a2] (2D) or [a1, a2, a3] (3D)
+ * @param {number} tolerance - Allowed relative deviation of the metric (e.g. 0.01)
+ * @returns {Object} {
+ *   system, family, holohedry, centering,
+ *   type      — key into LATTICE_2D / LATTICE_3D,
+ *   basis     — lattice vectors in the primitive form that type expects,
+ *   params    — conventional parameters (standardised like LATTICE_3D),
+ *   strain    — largest metric deviation among the accepted operations,
+ *   broken    — { system, holohedry, strain } of a higher symmetry found only
+ *               at a wider tolerance, or null
+ * }
+ */
+export function classifyLattice(vectors, tolerance = 0.01) {
+  const dim = vectors.length;
+  const reduced = dim === 2
+    ? reduceBasis2D(vectors[0], vectors[1])
+    : reduceBasis3D(vectors[0], vectors[1], vectors[2]);
+  const ctx = createContext(reduced);
+  const table = dim === 2 ? HOLOHEDRIES_2D : HOLOHEDRIES_3D;
+
+  const { ops, cell } = findHolohedry(ctx, tolerance, table);
+  const { system, family, holohedry } = table[ops.length];
+
+  // Report a higher symmetry that only a wider tolerance would accept
+  let broken = null;
+  const { ops: looseOps } = findHolohedry(ctx, tolerance * BROKEN_SYMMETRY_FACTOR, table);
+  if (looseOps.length > ops.length) {
+    broken = {
+      system: table[looseOps.length].system,
+      holohedry: table[looseOps.length].holohedry,
+      strain: Math.max(...looseOps.map(op => op.dev))
+    };
+  }
+
+  return {
+    system,
+    family,
+    holohedry,
+    centering: cell.centering,
+    type: cell.type,
+    basis: cell.basis.map(ctx.toCart),
+    params: cell.params,
+    strain: Math.max(...ops.map(op => op.dev)),
+    broken
+  };
+}
+
+/**
+ * Point group of the lattice spanned by the given vectors, as Cartesian
+ * matrices. The operations are orthogonal, so the same matrices act on the
+ * reciprocal lattice. Unlike classifyLattice, the default tolerance only
+ * absorbs rounding: a strained cell gets the lower symmetry it really has.
+ *
+ * @param {Array<Array<number>>} vectors - [a1, a2] (2D) or [a1, a2, a3] (3D)
+ * @param {number} tolerance - Allowed relative deviation of the metric
+ * @returns {Array<Array<Array<number>>>} Matrices R (rows), R·k in Cartesian
+ *   coordinates, identity first
+ */
+export function latticePointGroup(vectors, tolerance = 1e-6) {
+  const dim = vectors.length;
+  const reduced = dim === 2
+    ? reduceBasis2D(vectors[0], vectors[1])
+    : reduceBasis3D(vectors[0], vectors[1], vectors[2]);
+  const ctx = createContext(reduced);
+  const { ops } = findHolohedry(ctx, tolerance, dim === 2 ? HOLOHEDRIES_2D : HOLOHEDRIES_3D);
+
+  // R = C · B⁻¹, where B holds the reduced basis and C its images as
+  // columns; the rows of B⁻¹ are the dual basis vectors
+  const dual = dualBasis(reduced);
+  const matrices = ops.map(op => {
+    const images = op.cols.map(ctx.toCart);
+    return Array.from({ length: dim }, (_, i) =>
+      Array.from({ length: dim }, (_, j) => images.reduce((s, c, k) => s + c[i] * dual[k][j], 0))
+    );
+  });
+  const isIdentity = m => m.every((row, i) => row.every((v, j) => Math.abs(v - (i === j ? 1 : 0)) < 1e-9));
+  return [...matrices.filter(isIdentity).slice(0, 1), ...matrices.filter(m => !isIdentity(m))];
+}
+
+/** Dual basis: vectors d_i with d_i · basis_j = δ_ij */
+function dualBasis(basis) {
+  if (basis.length === 2) {
+    const [u, v] = basis;
+    const det = u[0] * v[1] - u[1] * v[0];
+    return [[v[1] / det, -v[0] / det], [-u[1] / det, u[0] / det]];
+  }
+  const [u, v, w] = basis;
+  const det = vdot(u, vcross(v, w));
+  return [vcross(v, w), vcross(w, u), vcross(u, v)].map(d => d.map(x => x / det));
+}
+
+/**
+ * Set up integer-coordinate helpers for a reduced basis.
+ */
+function createContext(basis) {
+  const dim = basis.length;
+  const G = basis.map(u => basis.map(v => vdot(u, v)));
+  const scale = Math.max(...G.map((row, i) => row[i]));
+
+  // Short lattice vectors in reduced coordinates, shortest first
+  const range = 3;
+  const cands = [];
+  const idx = new Array(dim).fill(-range);
+  for (;;) {
+    if (idx.some(v => v !== 0)) cands.push(idx.slice());
+    let k = 0;
+    while (k < dim && idx[k] === range) idx[k++] = -range;
+    if (k === dim) break;
+    idx[k]++;
+  }
+
+  const dot = (m, n) => {
+    let s = 0;
+    for (let i = 0; i < dim; i++) {
+      for (let j = 0; j < dim; j++) s += m[i] * G[i][j] * n[j];
+    }
+    return s;
+  };
+  cands.sort((m, n) => dot(m, m) - dot(n, n));
+
+  return {
+    dim,
+    G,
+    scale,
+    cands,
+    dot,
+    norm: n => Math.sqrt(dot(n, n)),
+    toCart: n => basis[0].map((_, c) => n.reduce((s, ni, i) => s + ni * basis[i][c], 0))
+  };
+}
+
+/**
+ * Find the metric-preserving integer operations and the conventional cell
+ * they define, tightening the tolerance until the operations form one of the
+ * lattice holohedries. A wide tolerance can accept a set of operations that
+ * is not closed, or a group without the axes its order implies.
+ *
+ * @returns {Object} { ops, cell }
+ */
+function findHolohedry(ctx, tolerance, table) {
+  const build = ctx.dim === 2 ? conventional2D : conventional3D;
+  let tol = tolerance;
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const ops = findOperations(ctx, tol);
+    if (table[ops.length] && isGroup(ops)) {
+      const cell = build(table[ops.length].system, ops, ctx);
+      if (cell) return { ops, cell };
+    }
+    tol /= 2;
+  }
+  // Identity and inversion always survive: fall back to the lowest symmetry
+  const ops = findOperations(ctx, 0).filter(op => trace(op) === ctx.dim || trace(op) === -ctx.dim);
+  return { ops, cell: build(table[2].system, ops, ctx) };
+}
+
+/** Whether a set of operations is closed under composition */
+function isGroup(ops) {
+  const key = op => op.cols.map(c => c.join(',')).join(';');
+  const keys = new Set(ops.map(key));
+  return ops.every(a => ops.every(b => keys.has(key({ cols: b.cols.map(c => apply(a, c)) }))));
+}
+
+/**
+ * Enumerate integer matrices (as column lists) mapping the basis onto lattice
+ * vectors with the same metric. The deviation of each operation is the
+ * largest change of a metric element, relative to the longest basis vector
+ * and halved so that it reads as a length strain.
+ */
+function findOperations(ctx, tol) {
+  const { dim, G, scale, cands, dot } = ctx;
+  const unit = i => Array.from({ length: dim }, (_, j) => (i === j ? 1 : 0));
+  const images = G.map((row, i) =>
+    cands.filter(n => Math.abs(dot(n, n) - row[i]) <= 2 * tol * scale + 1e-12 * scale)
+  );
+  const ops = [];
+
+  const search = (cols, devSoFar) => {
+    const j = cols.length;
+    if (j === dim) {
+      const d = intDet(cols);
+      if (Math.abs(d) === 1) ops.push({ cols, det: d, dev: devSoFar });
+      return;
+    }
+    for (const n of images[j]) {
+      let dev = Math.abs(dot(n, n) - G[j][j]);
+      let ok = true;
+      for (let i = 0; i < j && ok; i++) {
+        const d = Math.abs(dot(cols[i], n) - G[i][j]);
+        dev = Math.max(dev, d);
+        ok = d <= 2 * tol * scale + 1e-12 * scale;
+      }
+      if (ok) search([...cols, n], Math.max(devSoFar, dev / (2 * scale)));
+    }
+  };
+  search([], 0);
+
+  // The identity must always be present, even at zero tolerance
+  if (!ops.some(op => op.cols.every((c, i) => c.every((v, k) => v === unit(i)[k])))) {
+    ops.push({ cols: G.map((_, i) => unit(i)), det: 1, dev: 0 });
+  }
+  return ops;
+}
+
+/** Determinant of an integer matrix given as columns */
+function intDet(cols) {
+  if (cols.length === 2) return cols[0][0] * cols[1][1] - cols[0][1] * cols[1][0];
+  const [a, b, c] = cols;
+  return a[0] * (b[1] * c[2] - b[2] * c[1])
+    - a[1] * (b[0] * c[2] - b[2] * c[0])
+    + a[2] * (b[0] * c[1] - b[1] * c[0]);
+}
+
+/** Apply an operation (columns) to integer coordinates */
+function apply(op, n) {
+  return op.cols[0].map((_, i) => op.cols.reduce((s, col, j) => s + col[i] * n[j], 0));
+}
+
+/** Proper (rotation) part of a 3D operation */
+function proper(op) {
+  return { cols: op.cols.map(c => c.map(v => v * op.det)), det: 1 };
+}
+
+/** Trace of an operation */
+function trace(op) {
+  return op.cols.reduce((s, col, i) => s + col[i], 0);
+}
+
+const same = (m, n) => m.every((v, i) => v === n[i]);
+const neg = n => n.map(v => -v);
+const add = (m, n) => m.map((v, i) => v + n[i]);
+const isEven = n => n.every(v => v % 2 === 0);
+const isParallel = (m, n) => m.length === 2
+  ? m[0] * n[1] - m[1] * n[0] === 0
+  : [[0, 1], [1, 2], [0, 2]].every(([i, j]) => m[i] * n[j] === m[j] * n[i]);
+
+/** Shortest lattice vector satisfying a predicate */
+function shortest(ctx, predicate) {
+  return ctx.cands.find(predicate) || null;
+}
+
+/** Distinct axes (shortest lattice vector along each) of a set of rotations */
+function axesOf(ctx, rotations) {
+  const axes = [];
+  for (const r of rotations) {
+    const axis = shortest(ctx, n => same(apply(r, n), n));
+    if (axis && !axes.some(a => isParallel(a, axis))) axes.push(axis);
+  }
+  return axes.sort((m, n) => ctx.dot(m, m) - ctx.dot(n, n));
+}
+
+/** Angle between two lattice vectors in degrees */
+function angle(ctx, m, n) {
+  const c = ctx.dot(m, n) / (ctx.norm(m) * ctx.norm(n));
+  return Math.acos(Math.max(-1, Math.min(1, c))) / DEG;
+}
+
+/** Orient a 2D basis counter-clockwise */
+function rightHanded2D(u, v) {
+  return intDet([u, v]) < 0 ? [u, neg(v)] : [u, v];
+}
+
+/**
+ * Conventional description of a 2D lattice of the given system, or null if
+ * the operations lack the mirror lines the system requires.
+ */
+function conventional2D(system, ops, ctx) {
+  const [u, v] = rightHanded2D([1, 0], [0, 1]);
+  const mean = (...ns) => ns.reduce((s, n) => s + ctx.norm(n), 0) / ns.length;
+
+  switch (system) {
+    case 'hexagonal':
+      return { type: 'hexagonal', centering: 'p', basis: [u, v], params: { a: mean(u, v) } };
+    case 'square':
+      return { type: 'square', centering: 'p', basis: [u, v], params: { a: mean(u, v) } };
+    case 'rectangular': {
+      // The two mirror lines carry the conventional axes
+      const mirrors = ops.filter(op => op.det === -1);
+      const axes = axesOf(ctx, mirrors);
+      if (axes.length !== 2) return null;
+      const [A, B] = rightHanded2D(...axes);
+      if (Math.abs(intDet([A, B])) > 2) return null;
+      const params = { a: ctx.norm(A), b: ctx.norm(B) };
+      if (Math.abs(intDet([A, B])) === 1) {
+        return { type: 'rectangular', centering: 'p', basis: [A, B], params };
+      }
+      const half = n => n.map(x => x / 2);
+      return {
+        type: 'centered-rectangular',
+        centering: 'c',
+        basis: [half(add(A, neg(B))), half(add(A, B))],
+        params
+      };
+    }
+    default:
+      return {
+        type: 'oblique',
+        centering: 'p',
+        basis: [u, v],
+        params: { a: ctx.norm(u), b: ctx.norm(v), gamma: angle(ctx, u, v) }
+      };
+  }
+}
+
+/**
+ * Conventional description of a 3D lattice of the given system, with the
+ * basis in the Setyawan–Curtarolo primitive form of the matching type.
+ * Returns null if the operations lack the axes the system requires.
+ */
+function conventional3D(system, ops, ctx) {
+  const rotations = ops.map(proper);
+  const ofTrace = t => rotations.filter(r => trace(r) === t);
+  const half = n => n.map(x => x / 2);
+  const sum = (...ns) => ns.reduce(add);
+  const len = n => ctx.norm(n);
+  const orient = (A, B, C) => (intDet([A, B, C]) < 0 ? [A, B, neg(C)] : [A, B, C]);
+
+  switch (system) {
+    case 'cubic': {
+      // Three 4-fold axes; the cube they span holds 1, 2 or 4 lattice points
+      const axes = axesOf(ctx, ofTrace(1));
+      if (axes.length !== 3) return null;
+      const [A, B, C] = orient(...axes);
+      const ratio = Math.abs(intDet([A, B, C]));
+      if (![1, 2, 4].includes(ratio)) return null;
+      const params = { a: (len(A) + len(B) + len(C)) / 3 };
+      if (ratio === 4) {
+        return { type: 'fcc', centering: 'F', params, basis: [half(add(B, C)), half(add(A, C)), half(add(A, B))] };
+      }
+      if (ratio === 2) {
+        return { type: 'bcc', centering: 'I', params, basis: bodyCentered(A, B, C) };
+      }
+      return { type: 'cubic', centering: 'P', params, basis: [A, B, C] };
+    }
+    case 'tetragonal': {
+      const [C] = axesOf(ctx, ofTrace(1));
+      const fourfold = ofTrace(1)[0];
+      if (!C) return null;
+      const A = shortest(ctx, n => !isParallel(n, C) && ofTrace(-1).some(r => same(apply(r, n), n)));
+      if (!A) return null;
+      const [, B, Cc] = orient(A, apply(fourfold, A), C);
+      if (Math.abs(intDet([A, B, Cc])) > 2) return null;
+      const params = { a: (len(A) + len(B)) / 2, c: len(Cc) };
+      if (Math.abs(intDet([A, B, Cc])) === 2) {
+        return { type: 'bct', centering: 'I', params, basis: bodyCentered(A, B, Cc) };
+      }
+      return { type: 'tetragonal', centering: 'P', params, basis: [A, B, Cc] };
+    }
+    case 'orthorhombic': {
+      let axes = axesOf(ctx, ofTrace(-1));
+      if (axes.length !== 3) return null;
+      const ratio = Math.abs(intDet(axes));
+      if (![1, 2, 4].includes(ratio)) return null;
+      let type = 'orthorhombic';
+      let centering = 'P';
+      if (ratio === 4) {
+        type = 'orcf';
+        centering = 'F';
+      } else if (ratio === 2) {
+        if (isEven(sum(...axes))) {
+          type = 'orci';
+          centering = 'I';
+        } else {
+          // Put the centred face first, shorter axis leading
+          type = 'orcc';
+          centering = 'C';
+          const pairs = [[0, 1, 2], [1, 2, 0], [0, 2, 1]];
+          const pair = pairs.find(([p, q]) => isEven(add(axes[p], axes[q])));
+          if (!pair) return null;
+          const [i, j, k] = pair;
+          axes = [axes[i], axes[j], axes[k]];
+          if (len(axes[0]) > len(axes[1])) axes = [axes[1], axes[0], axes[2]];
+        }
+      }
+      const [A, B, C] = orient(...axes);
+      const params = { a: len(A), b: len(B), c: len(C) };
+      const basis = {
+        orthorhombic: [A, B, C],
+        orcf: [half(add(B, C)), half(add(A, C)), half(add(A, B))],
+        orci: bodyCentered(A, B, C),
+        orcc: [half(add(A, neg(B))), half(add(A, B)), C]
+      }[type];
+      return { type, centering, params, basis };
+    }
+    case 'hexagonal': {
+      const [C] = axesOf(ctx, ofTrace(2));
+      const threefold = ofTrace(0)[0];
+      if (!C || !threefold) return null;
+      const A1 = shortest(ctx, n => same(add(add(n, apply(threefold, n)), apply(threefold, apply(threefold, n))), [0, 0, 0]));
+      if (!A1) return null;
+      const [, A2, Cc] = orient(A1, apply(threefold, A1), C);
+      if (Math.abs(intDet([A1, A2, Cc])) !== 1) return null;
+      return {
+        type: 'hexagonal',
+        centering: 'P',
+        params: { a: (len(A1) + len(A2)) / 2, c: len(Cc) },
+        basis: [A1, A2, Cc]
+      };
+    }
+    case 'rhombohedral': {
+      // Primitive rhombohedral vectors: shortest vectors one third of the
+      // way up the 3-fold axis, related to each other by the rotation
+      const threefold = ofTrace(0)[0];
+      if (!threefold) return null;
+      const [C] = axesOf(ctx, [threefold]);
+      const orbitSum = n => add(add(n, apply(threefold, n)), apply(threefold, apply(threefold, n)));
+      const r1 = C && shortest(ctx, n => same(orbitSum(n), C));
+      if (!r1) return null;
+      let r2 = apply(threefold, r1);
+      let r3 = apply(threefold, r2);
+      if (Math.abs(intDet([r1, r2, r3])) !== 1) return null;
+      if (intDet([r1, r2, r3]) < 0) [r2, r3] = [r3, r2];
+      return {
+        type: 'rhombohedral',
+        centering: 'R',
+        params: {
+          a: (len(r1) + len(r2) + len(r3)) / 3,
+          alpha: (angle(ctx, r1, r2) + angle(ctx, r2, r3) + angle(ctx, r1, r3)) / 3
+        },
+        basis: [r1, r2, r3]
+      };
+    }
+    case 'monoclinic': {
+      // Unique axis along the 2-fold; the other two span the lattice plane
+      // perpendicular to it
+      const twofold = ofTrace(-1)[0];
+      if (!twofold) return null;
+      let [U] = axesOf(ctx, [twofold]);
+      const inPlane = n => same(apply(twofold, n), neg(n));
+      const V = shortest(ctx, inPlane);
+      const W = V && shortest(ctx, n => inPlane(n) && !isParallel(n, V));
+      if (!U || !W || Math.abs(intDet([U, V, W])) > 2) return null;
+
+      let B;
+      let C;
+      let type;
+      let centering;
+      if (Math.abs(intDet([U, V, W])) === 1) {
+        type = 'monoclinic';
+        centering = 'P';
+        [B, C] = len(V) <= len(W) ? [V, W] : [W, V];
+      } else {
+        type = 'mclc';
+        centering = 'C';
+        B = shortest(ctx, n => inPlane(n) && isEven(add(U, n)));
+        C = B && shortest(ctx, n => inPlane(n) && Math.abs(intDet([U, B, n])) === 2);
+        if (!C) return null;
+      }
+      if (ctx.dot(B, C) < 0) C = neg(C);
+      if (intDet([U, B, C]) < 0) U = neg(U);
+      const params = { a: len(U), b: len(B), c: len(C), alpha: angle(ctx, B, C) };
+      const basis = type === 'monoclinic'
+        ? [U, B, C]
+        : [half(add(U, B)), half(add(neg(U), B)), C];
+      return { type, centering, params, basis };
+    }
+    default: {
+      const [u, v, w] = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+      return {
+        type: 'triclinic',
+        centering: 'P',
+        params: {
+          a: len(u), b: len(v), c: len(w),
+          alpha: angle(ctx, v, w), beta: angle(ctx, u, w), gamma: angle(ctx, u, v)
+        },
+        basis: [u, v, w]
+      };
+    }
+  }
+}
+
+/** Setyawan–Curtarolo primitive vectors of a body-centred cell A, B, C */
+function bodyCentered(A, B, C) {
+  const half = n => n.map(x => x / 2);
+  return [
+    half(add(add(neg(A), B), C)),
+    half(add(add(A, neg(B)), C)),
+    half(add(add(A, B), neg(C)))
+  ];
+}
+
+/**
+ * Human-readable summary of a classification, e.g.
+ * "Hexagonal P (6/mmm)" or "Centered rectangular c (2mm)".
+ */
+export function describeClassification(result) {
+  const name = {
+    'centered-rectangular': 'Centered rectangular'
+  }[result.type] || result.system.charAt(0).toUpperCase() + result.system.slice(1);
+  return `${name} ${result.centering} (${result.holohedry})`;
+}
@@ -0,0 +1,134 @@
+/**
+ * contours.js — Constant-energy contours (2D) and surfaces (3D) of bands
+ * inside the 1st Brillouin zone.
+ *
+ * A band is sampled on a regular k-grid over the bounding box of the zone,
+ * one cell wider all round so that the level set reaches past every face;
+ * marching squares or cubes trace it, and the pieces are clipped to the zone.
+ * Since a band is periodic in the reciprocal lattice, every piece of the
+ * level set is drawn once.
+ */
+
+import { vsub, vdot, vlerp } from './math.js';
+import { marchingSquares, marchingCubes } from './marchingcubes.js';
+
+/** Relative distance within which a point counts as on a zone face */
+const CLIP_TOLERANCE = 1e-9;
+
+/**
+ * A regular k-grid covering the zone.
+ *
+ * @param {Array} corners - Vertices of the zone, 2D or 3D
+ * @param {number} resolution - Grid cells across the longest extent of the zone
+ * @returns {{ dims: number[], origin: number[], step: number, kpoints: Array }}
+ *   kpoints in grid order, x fastest (see marchingSquares, marchingCubes)
+ */
+export function zoneGrid(corners, resolution) {
+  const axes = corners[0].map((_, i) => i);
+  const lo = axes.map(i => Math.min(...corners.map(v => v[i])));
+  const hi = axes.map(i => Math.max(...corners.map(v => v[i])));
+  const step = Math.max(...hi.map((h, i) => h - lo[i])) / resolution;
+  const origin = lo.map(x => x - step);
+  const dims = hi.map((h, i) => Math.ceil((h - lo[i]) / step) + 3);
+
+  const kpoints = [];
+  const index = axes.map(() => 0);
+  const count = dims.reduce((product, n) => product * n, 1);
+  for (let p = 0; p < count; p++) {
+    kpoints.push(axes.map(i => origin[i] + index[i] * step));
+    for (let i = 0; i < axes.length && ++index[i] === dims[i]; i++) index[i] = 0;
+  }
+  return { dims, origin, step, kpoints };
+}
+
+/**
+ * The contour field = level inside a 2D zone.
+ *
+ * @param {ArrayLike<number>} field - Values at the points of the grid
+ * @param {Object} grid - zoneGrid of the zone
+ * @param {number} level
+ * @param {Array} zone - Vertices of the zone polygon, in order
+ * @returns {Array<Array<number[]>>} Segments of two points each
+ */
+export function contourInZone2D(field, grid, level, zone) {
+  const planes = zone.map((v, i) => {
+    const edge = vsub(zone[(i + 1) % zone.length], v);
+    return facePlane([edge[1], -edge[0]], v);
+  });
+  const scale = grid.step * Math.max(...grid.dims);
+  return marchingSquares(field, grid.dims, grid.origin, grid.step, level)
+    .map(segment => clipSegment(segment, planes, scale))
+    .filter(Boolean);
+}
+
+/**
+ * The surface field = level inside a 3D zone.
+ *
+ * @param {ArrayLike<number>} field - Values at the points of the grid
+ * @param {Object} grid - zoneGrid of the zone
+ * @param {number} level
+ * @param {Array<{ vertices: Array, normal: Array }>} faces - Faces of the zone
+ * @returns {Array<Array<number[]>>} Triangles of three points each
+ */
+export function surfaceInZone3D(field, grid, level, faces) {
+  const planes = faces.map(({ vertices, normal }) => facePlane(normal, vertices[0]));
+  const scale = grid.step * Math.max(...grid.dims);
+  return marchingCubes(field, grid.dims, grid.origin, grid.step, level)
+    .flatMap(triangle => clipTriangle(triangle, planes, scale));
+}
+
+/**
+ * The half-space n·k ≤ d bounded by a face through a point, with the origin
+ * (Γ, inside the zone) on the inner side.
+ */
+function facePlane(normal, point) {
+  const length = Math.sqrt(vdot(normal, normal));
+  let n = normal.map(x => x / length);
+  let d = vdot(n, point);
+  if (d < 0) {
+    n = n.map(x => -x);
+    d = -d;
+  }
+  return { normal: n, d };
+}
+
+/** Clip a segment to the half-spaces; null if nothing is left */
+function clipSegment([p, q], planes, scale) {
+  let t0 = 0;
+  let t1 = 1;
+  for (const { normal, d } of planes) {
+    const dp = vdot(normal, p) - d;
+    const dq = vdot(normal, q) - d;
+    if (dp > CLIP_TOLERANCE * scale && dq > CLIP_TOLERANCE * scale) return null;
+    if (dp > 0 && dq < 0) t0 = Math.max(t0, dp / (dp - dq));
+    else if (dp < 0 && dq > 0) t1 = Math.min(t1, dp / (dp - dq));
+  }
+  return t0 < t1 ? [vlerp(p, q, t0), vlerp(p, q, t1)] : null;
+}
+
+/**
+ * Clip a triangle to the half-spaces and fan the remaining polygon back
+ * into triangles.
+ */
+function clipTriangle(triangle, planes, scale) {
+  const eps = CLIP_TOLERANCE * scale;
+  let polygon = triangle;
+  for (const { normal, d } of planes) {
+    const dist = polygon.map(v => vdot(normal, v) - d);
+    if (dist.every(s => s <= eps)) continue;
+    if (dist.every(s => s >= -eps)) return [];
+    const clipped = [];
+    polygon.forEach((v, i) => {
+      const j = (i + 1) % polygon.length;
+      if (dist[i] <= eps) clipped.push(v);
+      if ((dist[i] < -eps && dist[j] > eps) || (dist[i] > eps && dist[j] < -eps)) {
+        clipped.push(vlerp(v, polygon[j], dist[i] / (dist[i] - dist[j])));
+      }
+    });
+    polygon = clipped;
+    if (polygon.length < 3) return [];
+  }
+  const triangles = [];
+  for (let i = 1; i < polygon.length - 1; i++) triangles.push([polygon[0], polygon[i], polygon[i + 1]]);
+  return triangles;
+}
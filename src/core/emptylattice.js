@@ -0,0 +1,219 @@
+/**
+ * emptylattice.js — Free-electron bands of the empty lattice.
+ *
+ * With no potential an electron has E = ħ²|k|²/2m. Read in the reduced zone
+ * scheme, a k in the 1st zone stands for every k + G, so each reciprocal
+ * lattice vector adds a branch E_G(k) = ħ²|k + G|²/2m, and the nth lowest
+ * branch at k is the piece of the parabola that lies in the nth zone. Two
+ * branches meet where k + G and k + G′ are equally long, i.e. on the Bragg
+ * plane of G − G′, which is where a weak potential opens a gap.
+ *
+ * Energies are in units of E₁ = ħ²|G₁/2|²/2m, the free-electron energy on
+ * the nearest Bragg plane (G₁ the shortest reciprocal lattice vector), so
+ * that the bands do not depend on the lattice constant.
+ */
+
+import { vadd, vdot, vscale, vlength } from './math.js';
+
+/** Energies (relative to E₁) closer than this are degenerate */
+const DEGENERACY_TOLERANCE = 1e-6;
+
+/** Crossings closer than this (in steps and in E₁) are one crossing */
+const CROSSING_MERGE = 0.01;
+
+/**
+ * E₁ in units of ħ²/2m (k in the units of the reciprocal lattice).
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors, the shortest among them
+ * @returns {number} |G₁|²/4
+ */
+export function boundaryEnergy(reciprocalPoints) {
+  return Math.min(...reciprocalPoints.map(G => vdot(G, G))) / 4;
+}
+
+/**
+ * The free-electron branches E_G(k) = |k + G|²/E₁ along a list of k-points,
+ * for G = 0 and every given G.
+ *
+ * @param {Array} kpoints - k-points in Cartesian coordinates
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (origin
+ *   excluded), covering |G| ≤ √(maxEnergy · E₁) + max|k|
+ * @param {number} maxEnergy - Branches that stay above this (in E₁) are dropped
+ * @returns {Array<{ G: Array, energies: Float64Array }>} Lowest branch first
+ */
+export function freeElectronBranches(kpoints, reciprocalPoints, maxEnergy) {
+  const unit = boundaryEnergy(reciprocalPoints);
+  const branches = [];
+  for (const G of [reciprocalPoints[0].map(() => 0), ...reciprocalPoints]) {
+    const energies = Float64Array.from(kpoints, k => {
+      const q = vadd(k, G);
+      return vdot(q, q) / unit;
+    });
+    const lowest = Math.min(...energies);
+    if (lowest <= maxEnergy) branches.push({ G, energies, lowest });
+  }
+  branches.sort((a, b) => a.lowest - b.lowest);
+  return branches.map(({ G, energies }) => ({ G, energies }));
+}
+
+/**
+ * Bands numbered by energy: bands[n][i] is the (n+1)th lowest branch at k_i.
+ * @param {Array<{ energies: Float64Array }>} branches
+ * @returns {Array<Float64Array>}
+ */
+export function sortBands(branches) {
+  const bands = branches.map(() => new Float64Array(branches[0]?.energies.length ?? 0));
+  const column = new Float64Array(branches.length);
+  for (let i = 0; i < (bands[0]?.length ?? 0); i++) {
+    branches.forEach(({ energies }, n) => { column[n] = energies[i]; });
+    column.sort();
+    column.forEach((E, n) => { bands[n][i] = E; });
+  }
+  return bands;
+}
+
+/**
+ * Where branches are degenerate along a sampled path. A set of branches that
+ * stays degenerate over consecutive samples (along a symmetry line) is
+ * reported once, in the middle of the stretch; two branches that cross
+ * between samples are reported at the interpolated crossing.
+ *
+ * @param {Array<{ energies: Float64Array }>} branches
+ * @param {number[]} distances - Path distance of every sample; two equal
+ *   distances in a row mark a jump
+ * @param {number} maxEnergy - Degeneracies above this are left out
+ * @returns {Array<{ distance: number, energy: number, count: number }>}
+ *   count is the number of branches that meet
+ */
+export function findDegeneracies(branches, distances, maxEnergy) {
+  const marks = [];
+  const same = (a, b) => Math.abs(a - b) <= DEGENERACY_TOLERANCE * Math.max(1, Math.abs(a));
+  const jump = i => distances[i] === distances[i - 1];
+
+  // Stretches of equal energies, keyed by the branches involved
+  let open = new Map();
+  const close = ({ start, end, members }) => {
+    const middle = Math.floor((start + end) / 2);
+    const energy = branches[members[0]].energies[middle];
+    if (energy <= maxEnergy) marks.push({ distance: distances[middle], energy, count: members.length });
+  };
+  for (let i = 0; i <= distances.length; i++) {
+    const next = new Map();
+    if (i < distances.length) {
+      const order = branches.map((_, n) => n).sort((a, b) => branches[a].energies[i] - branches[b].energies[i]);
+      for (let s = 0; s < order.length;) {
+        let e = s + 1;
+        while (e < order.length && same(branches[order[e]].energies[i], branches[order[s]].energies[i])) e++;
+        if (e - s >= 2) {
+          const members = order.slice(s, e).sort((a, b) => a - b);
+          const key = members.join(',');
+          const run = open.get(key);
+          next.set(key, run && !jump(i) ? { ...run, end: i } : { start: i, end: i, members });
+          if (run && jump(i)) close(run);
+        }
+        s = e;
+      }
+    }
+    for (const [key, run] of open) {
+      if (!next.has(key)) close(run);
+    }
+    open = next;
+  }
+
+  // Crossings strictly between two samples; the same crossing of several
+  // branches, interpolated pair by pair, comes out within a fraction of a step
+  const crossings = [];
+  for (let a = 0; a < branches.length; a++) {
+    for (let b = a + 1; b < branches.length; b++) {
+      const Ea = branches[a].energies;
+      const Eb = branches[b].energies;
+      for (let i = 1; i < distances.length; i++) {
+        if (jump(i)) continue;
+        const before = Ea[i - 1] - Eb[i - 1];
+        const after = Ea[i] - Eb[i];
+        if (same(Ea[i - 1], Eb[i - 1]) || same(Ea[i], Eb[i]) || before * after > 0) continue;
+        const t = before / (before - after);
+        const distance = distances[i - 1] + t * (distances[i] - distances[i - 1]);
+        const energy = Ea[i - 1] + t * (Ea[i] - Ea[i - 1]);
+        if (energy > maxEnergy) continue;
+        const step = distances[i] - distances[i - 1];
+        let crossing = crossings.find(c => c.interval === i
+          && Math.abs(c.distance - distance) <= CROSSING_MERGE * step
+          && Math.abs(c.energy - energy) <= CROSSING_MERGE * Math.max(1, energy));
+        if (!crossing) {
+          crossing = { interval: i, distance, energy, members: new Set() };
+          crossings.push(crossing);
+        }
+        crossing.members.add(a).add(b);
+      }
+    }
+  }
+  for (const { distance, energy, members } of crossings) {
+    marks.push({ distance, energy, count: members.size });
+  }
+  return marks.sort((p, q) => p.distance - q.distance || p.energy - q.energy);
+}
+
+/**
+ * Sample the straight line k = s·u through Γ, for −range ≤ s ≤ range.
+ *
+ * @param {Array} direction - Unit vector u
+ * @param {number} range - Half-length of the line
+ * @param {number} density - Samples per unit length
+ * @param {number[]} stops - Values of s to hit exactly, e.g. Bragg crossings
+ * @returns {{ kpoints: Array, distances: number[] }} distance s + range
+ */
+export function sampleLine(direction, range, density, stops = []) {
+  const steps = Math.max(1, Math.ceil(2 * range * density));
+  const values = Array.from({ length: steps + 1 }, (_, j) => -range + 2 * range * j / steps);
+  for (const s of stops) {
+    if (Math.abs(s) < range && !values.some(v => Math.abs(v - s) <= DEGENERACY_TOLERANCE * range)) values.push(s);
+  }
+  values.sort((a, b) => a - b);
+  return {
+    kpoints: values.map(s => vscale(direction, s)),
+    distances: values.map(s => s + range)
+  };
+}
+
+/**
+ * Where the line k = s·u through Γ crosses Bragg planes.
+ *
+ * @param {Array} direction - Unit vector u
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (origin excluded)
+ * @param {number} range - Only crossings with |s| ≤ range
+ * @returns {Array<{ s: number, planes: Array }>} By s, with the G of every
+ *   plane through the crossing
+ */
+export function braggCrossings(direction, reciprocalPoints, range) {
+  const crossings = [];
+  for (const G of reciprocalPoints) {
+    const along = vdot(G, direction);
+    if (Math.abs(along) < 1e-9 * vlength(G)) continue;
+    const s = vdot(G, G) / (2 * along);
+    if (Math.abs(s) > range) continue;
+    const crossing = crossings.find(c => Math.abs(c.s - s) <= DEGENERACY_TOLERANCE * range);
+    if (crossing) crossing.planes.push(G);
+    else crossings.push({ s, planes: [G] });
+  }
+  return crossings.sort((a, b) => a.s - b.s);
+}
+
+/**
+ * The zones a point belongs to: n + 1 where n Bragg planes separate it from
+ * Γ, and a run of zones when it lies on planes itself.
+ *
+ * @param {Array} k
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors covering |G| ≤ 2|k|
+ * @returns {{ first: number, last: number }}
+ */
+export function zonesAt(k, reciprocalPoints) {
+  let beyond = 0;
+  let on = 0;
+  for (const G of reciprocalPoints) {
+    const halfSq = vdot(G, G) / 2;
+    const excess = vdot(G, k) - halfSq;
+    if (excess > DEGENERACY_TOLERANCE * halfSq) beyond++;
+    else if (excess >= -DEGENERACY_TOLERANCE * halfSq) on++;
+  }
+  return { first: beyond + 1, last: beyond + on + 1 };
+}
@@ -0,0 +1,78 @@
+/**
+ * ewald.js — Ewald construction for elastic scattering.
+ *
+ * An incident wave of wavevector k (|k| = 2π/λ) is scattered elastically
+ * into k′ = k + G when |k + G| = |k|: the von Laue condition, or
+ * 2k·G + G² = 0, which puts k on the Bragg plane of −G. Drawn with k
+ * ending at the origin of the reciprocal lattice, the Ewald sphere of
+ * radius |k| centred on −k passes through the origin and through every G
+ * that scatters the beam; the centre lies on the Bragg plane of each such
+ * G, and k′ runs from the centre to G. With d = 2π/|G| the condition is
+ * Bragg's law, λ = 2d sin θ, 2θ being the angle between k and k′.
+ */
+
+import { vadd, vscale, vdot, vlength } from './math.js';
+import { BOHR } from './importers.js';
+
+/** hc in keV·Å, for X-ray energies */
+export const HC_KEV_ANGSTROM = 12.398419843;
+
+/**
+ * Wavelength of an X-ray photon.
+ *
+ * @param {number} energy - Photon energy, keV
+ * @param {string} unit - Length unit of the lattice, 'Å' or 'bohr'
+ * @returns {number} λ = hc/E in that unit
+ */
+export function xrayWavelength(energy, unit) {
+  const wavelength = HC_KEV_ANGSTROM / energy;
+  return unit === 'bohr' ? wavelength / BOHR : wavelength;
+}
+
+/**
+ * Incident wavevector.
+ *
+ * @param {Array} direction - Beam direction, any length
+ * @param {number} wavelength - λ, in the length unit of the lattice
+ * @returns {Array} k with |k| = 2π/λ
+ */
+export function incidentWavevector(direction, wavelength) {
+  return vscale(direction, 2 * Math.PI / (wavelength * vlength(direction)));
+}
+
+/**
+ * The reciprocal lattice points on the Ewald sphere (circle in 2D).
+ *
+ * @param {Array} kIn - Incident wavevector
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (origin
+ *   excluded), covering |G| ≤ 2|k|
+ * @param {Array} cell - Real-space cell of the Miller indices, primitive or
+ *   conventional
+ * @param {number} tolerance - Largest | |k + G| − |k| | relative to |k|
+ * @returns {Array<{ G, hkl: number[], kOut, twoTheta: number, d: number, deviation: number }>}
+ *   Points in order of |G|; hkl are the indices of G = h b1 + k b2 (+ l b3)
+ *   in the reciprocal basis of cell, twoTheta the scattering angle in degrees,
+ *   d = 2π/|G| the spacing of the lattice planes, deviation the relative
+ *   distance from the sphere
+ */
+export function ewaldReflections(kIn, reciprocalPoints, cell, tolerance) {
+  const radius = vlength(kIn);
+  const reflections = [];
+  for (const G of reciprocalPoints) {
+    const kOut = vadd(kIn, G);
+    const deviation = (vlength(kOut) - radius) / radius;
+    if (Math.abs(deviation) > tolerance) continue;
+    const cos = vdot(kIn, kOut) / (radius * vlength(kOut));
+    reflections.push({
+      G,
+      // a_i·b_j = 2π δ_ij, so a_i·G/2π is the ith index; it is an integer for
+      // any cell spanned by lattice vectors, e.g. the conventional one
+      hkl: cell.map(a => Math.round(vdot(a, G) / (2 * Math.PI))),
+      kOut,
+      twoTheta: Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI,
+      d: 2 * Math.PI / vlength(G),
+      deviation
+    });
+  }
+  return reflections.sort((p, q) => vlength(p.G) - vlength(q.G));
+}
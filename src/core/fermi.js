@@ -0,0 +1,171 @@
+/**
+ * fermi.js — Free-electron Fermi surfaces and Harrison's construction.
+ *
+ * Z electrons per primitive cell, two per k-state, fill a Fermi circle (2D)
+ * or sphere (3D) that holds Z/2 zones' worth of k-space. Harrison's
+ * construction cuts the Fermi surface at the Bragg planes: the part inside
+ * the nth zone, folded back into the 1st zone, is the Fermi surface of the
+ * nth band, and the occupied fragments of the nth zone fold into the
+ * occupied part of that band.
+ *
+ * In 3D the folding is done on the energies instead of the geometry: the
+ * nth band at k in the 1st zone is the nth lowest |k + G|², sampled on a
+ * k-grid across the zone, and its Fermi surface is the isosurface at k_F²
+ * (see contours.js).
+ */
+
+import { vsub, vdot, vlength, clipPolygonByPlane2D } from './math.js';
+import { reduceToFirstZone } from './brillouin.js';
+import { zonesAt } from './emptylattice.js';
+import { zoneGrid, surfaceInZone3D } from './contours.js';
+
+/** Samples around the Fermi circle before its cuts are refined */
+const ARC_STEPS = 1440;
+
+/** Bisection steps that pin down a cut between two samples */
+const CUT_ITERATIONS = 40;
+
+/** Sides of the polygon standing in for the Fermi circle when clipping */
+const CIRCLE_SIDES = 256;
+
+/**
+ * Free-electron Fermi wavevector.
+ *
+ * @param {number} electrons - Electrons per primitive cell (valence × atoms)
+ * @param {number} cellMeasure - Area (2D) or volume (3D) of the primitive cell
+ * @param {number} dimension - 2 or 3
+ * @returns {number} k_F = √(2πZ/A) in 2D, (3π²Z/V)^(1/3) in 3D
+ */
+export function fermiWavevector(electrons, cellMeasure, dimension) {
+  return dimension === 2
+    ? Math.sqrt(2 * Math.PI * electrons / cellMeasure)
+    : Math.cbrt(3 * Math.PI * Math.PI * electrons / cellMeasure);
+}
+
+/**
+ * Cut the Fermi circle into the arcs that lie in one zone and one copy of
+ * the 1st zone each, and fold every arc back by its G.
+ *
+ * @param {number} kF - Fermi wavevector
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors covering |G| ≤ 2k_F
+ *   and the neighbours of the 1st zone
+ * @returns {Array<{ zone: number, G: Array, arc: Array, folded: Array }>} arc
+ *   is a polyline on the circle, folded the same polyline moved by −G; a
+ *   circle inside the 1st zone comes back as one closed arc
+ */
+export function fermiArcs2D(kF, reciprocalPoints) {
+  const point = phi => [kF * Math.cos(phi), kF * Math.sin(phi)];
+  const classify = phi => {
+    const k = point(phi);
+    const zone = zonesAt(k, reciprocalPoints).first;
+    const { G } = reduceToFirstZone(k, reciprocalPoints);
+    return { zone, G, key: `${zone}|${G.map(x => x.toFixed(6)).join(',')}` };
+  };
+
+  // Runs of samples with one zone and one G, each cut refined by bisection
+  const runs = [];
+  let before = classify(0);
+  let run = { ...before, arc: [point(0)] };
+  for (let j = 1; j <= ARC_STEPS; j++) {
+    const phi = 2 * Math.PI * j / ARC_STEPS;
+    const after = classify(phi);
+    if (after.key === before.key) {
+      run.arc.push(point(phi));
+      continue;
+    }
+    let lo = 2 * Math.PI * (j - 1) / ARC_STEPS;
+    let hi = phi;
+    for (let i = 0; i < CUT_ITERATIONS; i++) {
+      const mid = (lo + hi) / 2;
+      if (classify(mid).key === before.key) lo = mid;
+      else hi = mid;
+    }
+    run.arc.push(point(lo));
+    runs.push(run);
+    run = { ...after, arc: [point(hi), point(phi)] };
+    before = after;
+  }
+  if (runs.length === 0) {
+    runs.push(run);
+  } else if (run.key === runs[0].key) {
+    // The last run goes on through φ = 0 into the first
+    runs[0].arc = [...run.arc.slice(0, -1), ...runs[0].arc];
+  } else {
+    runs.push(run);
+  }
+
+  return runs.map(({ zone, G, arc }) => ({ zone, G, arc, folded: arc.map(k => vsub(k, G)) }));
+}
+
+/**
+ * The occupied parts of folded zone pieces: each piece clipped to the Fermi
+ * circle as seen from where it was folded from, i.e. centred on −G.
+ *
+ * @param {Array<{ polygon: Array, G: Array }>} pieces - Folded zone (foldZone2D)
+ * @param {number} kF - Fermi wavevector
+ * @returns {Array<{ polygon: Array, G: Array }>} Non-empty parts, same order
+ */
+export function occupiedPieces2D(pieces, kF) {
+  // Tangent lines of a circumscribed polygon, n·(k + G) ≤ k_F
+  const normals = Array.from({ length: CIRCLE_SIDES }, (_, i) => {
+    const phi = 2 * Math.PI * i / CIRCLE_SIDES;
+    return [Math.cos(phi), Math.sin(phi)];
+  });
+  const occupied = [];
+  for (const piece of pieces) {
+    let polygon = piece.polygon;
+    for (const n of normals) {
+      polygon = clipPolygonByPlane2D(polygon, n, kF - vdot(n, piece.G));
+      if (polygon.length < 3) break;
+    }
+    if (polygon.length >= 3) occupied.push({ ...piece, polygon });
+  }
+  return occupied;
+}
+
+/**
+ * The free-electron Fermi surface folded into the 1st zone, band by band.
+ *
+ * @param {number} kF - Fermi wavevector
+ * @param {Array<{ vertices: Array, normal: Array }>} firstZone - Faces of the
+ *   1st zone (meshToFaces), outward unit normals
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors (origin
+ *   excluded), covering |G| ≤ k_F + the circumradius of the zone
+ * @param {number} resolution - Grid cells across the longest extent of the zone
+ * @returns {Array<{ band: number, triangles: Array<Array<number[]>> }>} One
+ *   sheet per band that the Fermi surface passes through, lowest first;
+ *   band 1 is the sphere clipped to the zone
+ */
+export function fermiSurface3D(kF, firstZone, reciprocalPoints, resolution) {
+  const corners = firstZone.flatMap(({ vertices }) => vertices);
+  const grid = zoneGrid(corners, resolution);
+  const radius = kF + Math.max(...corners.map(vlength)) + 2 * grid.step;
+  const branches = [[0, 0, 0], ...reciprocalPoints.filter(G => vlength(G) <= radius)];
+
+  // bands[n][p] = (n + 1)th lowest |k + G|² at grid point p
+  const bands = branches.map(() => new Float32Array(grid.kpoints.length));
+  const energies = new Float64Array(branches.length);
+  grid.kpoints.forEach((k, p) => {
+    branches.forEach((G, j) => {
+      const q = [k[0] + G[0], k[1] + G[1], k[2] + G[2]];
+      energies[j] = vdot(q, q);
+    });
+    energies.sort();
+    energies.forEach((E, n) => { bands[n][p] = E; });
+  });
+
+  const level = kF * kF;
+  const sheets = [];
+  bands.forEach((field, n) => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const E of field) {
+      if (E < min) min = E;
+      if (E > max) max = E;
+    }
+    if (min >= level || max <= level) return;
+    const triangles = surfaceInZone3D(field, grid, level, firstZone);
+    if (triangles.length > 0) sheets.push({ band: n + 1, triangles });
+  });
+  return sheets;
+}
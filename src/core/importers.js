@@ -0,0 +1,539 @@
+/**
+ * importers.js — Crystal-structure file import.
+ *
+ * Each parser turns the text of a structure file into a primitive real-space
+ * basis { a1, a2, a3 }, ready for reciprocal3D and the zone construction.
+ * Lengths keep the unit of the file (ångström or bohr), so the zone is drawn
+ * for exactly the cell that was computed. Where the file lists every atom
+ * of the cell (POSCAR, pw.x), the atoms come along as Cartesian positions
+ * in the same unit, so the point group of the crystal can be found; a CIF
+ * holds only the asymmetric unit and gives the lattice alone.
+ *
+ * Supported formats:
+ *   CIF                 — cell lengths, angles and space-group centering
+ *   VASP POSCAR/CONTCAR — scale factor and three lattice vectors
+ *   Quantum ESPRESSO    — pw.x input, ibrav with celldm or A, B, C, or
+ *                         CELL_PARAMETERS in alat, bohr or angstrom
+ */
+
+import { LATTICE_3D, validateLatticeParams } from './lattice.js';
+import { vadd, vsub, vscale, vdot, vcross } from './math.js';
+
+/** Bohr radius in ångström */
+export const BOHR = 0.529177210903;
+
+/**
+ * International Tables numbers of the centred space groups, used when a CIF
+ * gives the number but no Hermann–Mauguin symbol. Every other group is P.
+ */
+const CENTERED_SPACE_GROUPS = {
+  A: [38, 39, 40, 41],
+  C: [5, 8, 9, 12, 15, 20, 21, 35, 36, 37, 63, 64, 65, 66, 67, 68],
+  F: [22, 42, 43, 69, 70, 196, 202, 203, 209, 210, 216, 219, 225, 226, 227, 228],
+  I: [
+    23, 24, 44, 45, 46, 71, 72, 73, 74, 79, 80, 82, 87, 88, 97, 98, 107, 108,
+    109, 110, 119, 120, 121, 122, 139, 140, 141, 142, 197, 199, 204, 206, 211,
+    214, 217, 220, 229, 230
+  ],
+  R: [146, 148, 155, 160, 161, 166, 167]
+};
+
+/**
+ * Parse a structure file, choosing the format from its name and content.
+ *
+ * @param {string} filename - Used only to pick the format
+ * @param {string} text - File contents
+ * @returns {Object} { a1, a2, a3, unit, name, format, description, atoms },
+ *   atoms being [{ species, position }] or null
+ * @throws {Error} If the file cannot be read as a supported format
+ */
+export function parseStructureFile(filename, text) {
+  const lower = filename.toLowerCase();
+  if (lower.endsWith('.cif') || /^\s*data_/m.test(text)) {
+    return parseCIF(text);
+  }
+  if (/^\s*&system\b/im.test(text)) {
+    return parseQE(text);
+  }
+  if (/(poscar|contcar)/.test(lower) || lower.endsWith('.vasp') || looksLikePOSCAR(text)) {
+    return parsePOSCAR(text);
+  }
+  throw new Error(`Unrecognised structure file: ${filename}`);
+}
+
+/**
+ * Parse a Crystallographic Information File.
+ *
+ * Reads the cell lengths and angles and the space group of the first data
+ * block, builds the conventional cell and converts it to the primitive cell
+ * of the centering letter (P, A, B, C, I, F or R).
+ *
+ * @param {string} text - CIF contents
+ * @returns {Object} { a1, a2, a3, unit, name, format, description, atoms: null }
+ * @throws {Error} If the cell is missing or invalid
+ */
+export function parseCIF(text) {
+  const { block, items } = readCIFItems(text);
+
+  const number = key => {
+    const value = parseFloat(items[key]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`CIF is missing a numeric ${key}`);
+    }
+    return value;
+  };
+  const params = {
+    a: number('_cell_length_a'),
+    b: number('_cell_length_b'),
+    c: number('_cell_length_c'),
+    alpha: number('_cell_angle_alpha'),
+    beta: number('_cell_angle_beta'),
+    gamma: number('_cell_angle_gamma')
+  };
+  const error = validateLatticeParams(params);
+  if (error) throw new Error(`Invalid CIF cell: ${error}`);
+
+  const symbol = items['_space_group_name_h-m_alt'] ?? items['_symmetry_space_group_name_h-m'] ?? null;
+  const spaceGroupNumber = parseInt(
+    items['_space_group_it_number'] ?? items['_symmetry_int_tables_number'], 10
+  );
+  const centering = centeringLetter(symbol, spaceGroupNumber);
+
+  const { a1, a2, a3 } = LATTICE_3D.triclinic(params);
+  const primitive = primitiveCell(centering, a1, a2, a3, params);
+
+  const spaceGroup = symbol || (Number.isFinite(spaceGroupNumber) ? `No. ${spaceGroupNumber}` : 'unknown');
+  return {
+    ...primitive,
+    unit: 'Å',
+    name: block || 'CIF structure',
+    format: 'CIF',
+    description: `space group ${spaceGroup}, centering ${centering}`,
+    atoms: null
+  };
+}
+
+/**
+ * Collect the single-valued data items of the first CIF data block.
+ * Tags are lower-cased, with the DDLm '.' separator mapped to '_', so that
+ * _cell.length_a and _cell_length_a read the same. Loops are skipped.
+ */
+function readCIFItems(text) {
+  const lines = text.split(/\r?\n/);
+  const items = {};
+  let block = null;
+  let inLoop = false;
+  let loopHasData = false;
+  let pendingTag = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Multi-line text field
+    if (line.startsWith(';')) {
+      const field = [line.slice(1)];
+      while (++i < lines.length && !lines[i].startsWith(';')) field.push(lines[i]);
+      if (pendingTag) items[pendingTag] = field.join('\n').trim();
+      pendingTag = null;
+      continue;
+    }
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    if (/^data_/i.test(trimmed)) {
+      if (block !== null) break;
+      block = trimmed.slice(5);
+      inLoop = false;
+      continue;
+    }
+    if (/^loop_/i.test(trimmed)) {
+      inLoop = true;
+      loopHasData = false;
+      pendingTag = null;
+      continue;
+    }
+
+    if (trimmed.startsWith('_')) {
+      if (inLoop && !loopHasData) continue;  // loop header
+      inLoop = false;
+      const [, rawTag, rest] = trimmed.match(/^(\S+)\s*(.*)$/);
+      const tag = rawTag.toLowerCase().replace(/\./g, '_');
+      const value = firstCIFValue(rest);
+      if (value === null) {
+        pendingTag = tag;
+      } else {
+        items[tag] = value;
+        pendingTag = null;
+      }
+      continue;
+    }
+
+    if (inLoop) {
+      loopHasData = true;
+    } else if (pendingTag) {
+      items[pendingTag] = firstCIFValue(trimmed);
+      pendingTag = null;
+    }
+  }
+  return { block, items };
+}
+
+/** First value on a CIF line: a quoted string or a bare token */
+function firstCIFValue(rest) {
+  const s = rest.trim();
+  if (!s || s.startsWith('#')) return null;
+  const quoted = s.match(/^(['"])(.*?)\1(\s|$)/);
+  if (quoted) return quoted[2];
+  return s.split(/\s+/)[0];
+}
+
+/**
+ * Centering letter from a Hermann–Mauguin symbol such as 'F d -3 m' or
+ * 'P 1 21/c 1', falling back to the space-group number.
+ */
+function centeringLetter(symbol, spaceGroupNumber) {
+  const letter = symbol?.trim().charAt(0).toUpperCase();
+  if (letter && 'PABCIFR'.includes(letter)) return letter;
+  if (Number.isFinite(spaceGroupNumber)) {
+    for (const [l, numbers] of Object.entries(CENTERED_SPACE_GROUPS)) {
+      if (numbers.includes(spaceGroupNumber)) return l;
+    }
+    return 'P';
+  }
+  console.warn('No space group in CIF; assuming a primitive cell');
+  return 'P';
+}
+
+/**
+ * Primitive vectors of a conventional cell a, b, c with the given centering.
+ * An R lattice is expected in hexagonal axes (obverse setting); a cell that
+ * is already rhombohedral (a = b = c, α = β = γ) is primitive as it stands.
+ */
+function primitiveCell(centering, a, b, c, params) {
+  const half = v => vscale(v, 0.5);
+  switch (centering) {
+    case 'A':
+      return { a1: a, a2: half(vsub(b, c)), a3: half(vadd(b, c)) };
+    case 'B':
+      return { a1: half(vsub(a, c)), a2: b, a3: half(vadd(a, c)) };
+    case 'C':
+      return { a1: half(vsub(a, b)), a2: half(vadd(a, b)), a3: c };
+    case 'I':
+      return {
+        a1: half(vadd(vsub(b, a), c)),
+        a2: half(vadd(vsub(a, b), c)),
+        a3: half(vsub(vadd(a, b), c))
+      };
+    case 'F':
+      return { a1: half(vadd(b, c)), a2: half(vadd(a, c)), a3: half(vadd(a, b)) };
+    case 'R': {
+      const hexagonalAxes = Math.abs(params.gamma - 120) < 1e-3 && Math.abs(params.a - params.b) < 1e-6 * params.a;
+      if (!hexagonalAxes) return { a1: a, a2: b, a3: c };
+      const third = v => vscale(v, 1 / 3);
+      return {
+        a1: third(vadd(vadd(vscale(a, 2), b), c)),
+        a2: third(vadd(vsub(b, a), c)),
+        a3: third(vsub(c, vadd(a, vscale(b, 2))))
+      };
+    }
+    default:
+      return { a1: a, a2: b, a3: c };
+  }
+}
+
+/**
+ * Parse a VASP POSCAR or CONTCAR file.
+ *
+ * Line 1 is a comment, line 2 the scale factor and lines 3–5 the lattice
+ * vectors in ångström. A negative scale factor is the cell volume; three
+ * scale factors (VASP 6) scale the Cartesian axes separately. The atoms
+ * follow: species names (VASP 5) and counts, an optional Selective dynamics
+ * line, Direct or Cartesian, and one position per atom.
+ *
+ * @param {string} text - POSCAR contents
+ * @returns {Object} { a1, a2, a3, unit, name, format, description, atoms }
+ * @throws {Error} If the header is malformed
+ */
+export function parsePOSCAR(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines.length < 5) throw new Error('POSCAR is too short');
+
+  const numbers = line => line.trim().split(/\s+/).slice(0, 3).map(Number);
+  const scale = lines[1].trim().split(/\s+/).map(Number);
+  const vectors = [2, 3, 4].map(i => numbers(lines[i]));
+  if (!scale.length || scale.some(v => !Number.isFinite(v)) ||
+      vectors.some(v => v.length < 3 || v.some(x => !Number.isFinite(x)))) {
+    throw new Error('POSCAR lines 2–5 must hold the scale factor and three lattice vectors');
+  }
+
+  let factors;
+  let description;
+  if (scale.length >= 3) {
+    factors = scale.slice(0, 3);
+    description = `axis scale factors ${factors.join(', ')}`;
+  } else if (scale[0] < 0) {
+    // Negative scale: the target cell volume in Å³
+    const volume = Math.abs(vdot(vectors[0], vcross(vectors[1], vectors[2])));
+    const s = Math.cbrt(-scale[0] / volume);
+    factors = [s, s, s];
+    description = `volume ${-scale[0]} Å³`;
+  } else {
+    factors = [scale[0], scale[0], scale[0]];
+    description = `scale factor ${scale[0]}`;
+  }
+  const [a1, a2, a3] = vectors.map(v => v.map((x, i) => x * factors[i]));
+  return {
+    a1, a2, a3,
+    unit: 'Å',
+    name: lines[0].trim() || 'POSCAR',
+    format: 'POSCAR',
+    description,
+    atoms: readPOSCARAtoms(lines.slice(5), [a1, a2, a3], factors)
+  };
+}
+
+/**
+ * The atoms of a POSCAR, from the line after the lattice vectors on, or
+ * null if that part is missing or malformed. Without species names (VASP 4)
+ * the species are numbered.
+ */
+function readPOSCARAtoms(lines, basis, factors) {
+  const fields = i => (lines[i] || '').trim().split(/\s+/);
+  let row = 0;
+  let names = null;
+  if (!Number.isFinite(Number(fields(0)[0]))) names = fields(row++);
+  const counts = fields(row++).map(Number);
+  if (counts.some(n => !Number.isInteger(n) || n < 0)) return null;
+  if (/^s/i.test(fields(row)[0])) row++;
+  const cartesian = /^[ck]/i.test(fields(row++)[0]);
+
+  const atoms = [];
+  counts.forEach((count, type) => {
+    for (let i = 0; i < count; i++) {
+      const v = fields(row++).slice(0, 3).map(Number);
+      if (v.length < 3 || v.some(x => !Number.isFinite(x))) return;
+      const position = cartesian
+        ? v.map((x, k) => x * factors[k])
+        : [0, 1, 2].map(k => v.reduce((s, f, j) => s + f * basis[j][k], 0));
+      atoms.push({ species: names?.[type] ?? `#${type + 1}`, position });
+    }
+  });
+  return atoms.length === counts.reduce((a, b) => a + b, 0) && atoms.length > 0 ? atoms : null;
+}
+
+/** Whether the text starts like a POSCAR: a comment, a scale line and three vectors */
+function looksLikePOSCAR(text) {
+  const lines = text.split(/\r?\n/);
+  const numeric = (line, n) => {
+    const fields = (line || '').trim().split(/\s+/);
+    return fields.length >= n && fields.slice(0, n).every(f => Number.isFinite(Number(f)));
+  };
+  return numeric(lines[1], 1) && [2, 3, 4].every(i => numeric(lines[i], 3));
+}
+
+/**
+ * Parse a Quantum ESPRESSO pw.x input file.
+ *
+ * The cell comes from ibrav with celldm(1..6) (bohr) or A, B, C, cosAB,
+ * cosAC, cosBC (ångström), using the primitive vectors of the pw.x
+ * documentation; ibrav = 0 reads the CELL_PARAMETERS card in alat, bohr or
+ * angstrom. The result keeps the unit the file was written in. Atoms come
+ * from the ATOMIC_POSITIONS card in alat, bohr, angstrom or crystal units.
+ *
+ * @param {string} text - pw.x input contents
+ * @returns {Object} { a1, a2, a3, unit, name, format, description, atoms }
+ * @throws {Error} If the cell cannot be determined
+ */
+export function parseQE(text) {
+  const system = readNamelist(text, 'system');
+  const control = readNamelist(text, 'control');
+  const ibrav = parseInt(system.ibrav, 10);
+  if (!Number.isFinite(ibrav)) throw new Error('pw.x input has no ibrav in &SYSTEM');
+
+  // Lattice constant and its unit: celldm in bohr, or A, B, C in ångström
+  const celldm = [1, 2, 3, 4, 5, 6].map(i => system[`celldm(${i})`] ?? 0);
+  let unit = 'bohr';
+  if (system.a !== undefined) {
+    unit = 'Å';
+    celldm[0] = system.a;
+    if (system.b !== undefined) celldm[1] = system.b / system.a;
+    if (system.c !== undefined) celldm[2] = system.c / system.a;
+    if (ibrav === 14) {
+      celldm[3] = system.cosbc ?? 0;
+      celldm[4] = system.cosac ?? 0;
+      celldm[5] = system.cosab ?? 0;
+    } else if (ibrav === -12 || ibrav === -13) {
+      celldm[4] = system.cosac ?? 0;
+    } else {
+      celldm[3] = system.cosab ?? 0;
+    }
+  }
+  const alat = celldm[0];
+
+  let vectors;
+  let description;
+  if (ibrav === 0) {
+    const card = readCellParameters(text);
+    if (!card) throw new Error('ibrav = 0 requires a CELL_PARAMETERS card');
+    const option = card.option || (alat ? 'alat' : 'bohr');
+    if (option === 'alat') {
+      if (!alat) throw new Error('CELL_PARAMETERS alat requires celldm(1) or A');
+      vectors = card.vectors.map(v => vscale(v, alat));
+    } else if (option === 'bohr') {
+      vectors = card.vectors;
+      unit = 'bohr';
+    } else if (option === 'angstrom') {
+      vectors = card.vectors;
+      unit = 'Å';
+    } else {
+      throw new Error(`Unsupported CELL_PARAMETERS unit: ${option}`);
+    }
+    description = `ibrav = 0, CELL_PARAMETERS ${option}`;
+  } else {
+    if (!alat) throw new Error(`ibrav = ${ibrav} requires celldm(1) or A`);
+    vectors = bravaisVectorsQE(ibrav, celldm).map(v => vscale(v, alat));
+    description = `ibrav = ${ibrav}`;
+  }
+
+  const [a1, a2, a3] = vectors;
+  const alatUnit = system.a !== undefined ? 'Å' : 'bohr';
+  const toUnit = (x, from) => (from === unit ? x : from === 'bohr' ? x * BOHR : x / BOHR);
+  return {
+    a1, a2, a3,
+    unit,
+    name: control.prefix || 'pw.x input',
+    format: 'Quantum ESPRESSO',
+    description,
+    atoms: readAtomicPositions(text, system.nat, option => ({
+      alat: alat ? v => v.map(x => toUnit(x * alat, alatUnit)) : null,
+      bohr: v => v.map(x => toUnit(x, 'bohr')),
+      angstrom: v => v.map(x => toUnit(x, 'Å')),
+      crystal: v => [0, 1, 2].map(k => v.reduce((s, f, j) => s + f * vectors[j][k], 0))
+    }[option]))
+  };
+}
+
+/**
+ * The ATOMIC_POSITIONS card: nat lines of species and three coordinates,
+ * converted by the function that converter returns for the card's unit
+ * option. Null if the card is missing, short or in an unsupported unit.
+ */
+function readAtomicPositions(text, nat, converter) {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(l => /^\s*atomic_positions\b/i.test(l));
+  if (start < 0 || !Number.isInteger(nat)) return null;
+  const option = (lines[start].match(/atomic_positions\s*[{(]?\s*(\w+)?/i)[1] || 'alat').toLowerCase();
+  const convert = converter(option);
+  if (!convert) return null;
+  const atoms = lines.slice(start + 1)
+    .filter(l => l.trim() && !/^\s*[!#]/.test(l))
+    .slice(0, nat)
+    .map(l => {
+      const [species, ...coords] = l.trim().split(/\s+/);
+      return { species, v: coords.slice(0, 3).map(x => Number(x.replace(/[dD]/, 'e'))) };
+    });
+  if (atoms.length < nat || atoms.some(({ v }) => v.length < 3 || v.some(x => !Number.isFinite(x)))) return null;
+  return atoms.map(({ species, v }) => ({ species, position: convert(v) }));
+}
+
+/**
+ * Read the key = value pairs of a Fortran namelist (&NAME ... /).
+ * Keys are lower-cased; numbers accept the Fortran exponent letter d.
+ */
+function readNamelist(text, name) {
+  const match = text.match(new RegExp(`^\\s*&${name}\\b([\\s\\S]*?)^\\s*/`, 'im'));
+  const values = {};
+  if (!match) return values;
+  const body = match[1].replace(/!.*$/gm, '');
+  const pair = /([a-z_][\w()]*)\s*=\s*('[^']*'|"[^"]*"|[^,\s]+)/gi;
+  let m;
+  while ((m = pair.exec(body))) {
+    const key = m[1].toLowerCase().replace(/\s+/g, '');
+    const raw = m[2];
+    if (/^['"]/.test(raw)) {
+      values[key] = raw.slice(1, -1);
+    } else {
+      const value = Number(raw.replace(/[dD]/, 'e'));
+      values[key] = Number.isFinite(value) ? value : raw;
+    }
+  }
+  return values;
+}
+
+/** The CELL_PARAMETERS card: its unit option and three vectors */
+function readCellParameters(text) {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(l => /^\s*cell_parameters\b/i.test(l));
+  if (start < 0) return null;
+  const option = (lines[start].match(/cell_parameters\s*[{(]?\s*(\w+)?/i)[1] || '').toLowerCase();
+  const vectors = lines.slice(start + 1)
+    .filter(l => l.trim() && !/^\s*[!#]/.test(l))
+    .slice(0, 3)
+    .map(l => l.trim().split(/\s+/).slice(0, 3).map(x => Number(x.replace(/[dD]/, 'e'))));
+  if (vectors.length < 3 || vectors.some(v => v.length < 3 || v.some(x => !Number.isFinite(x)))) {
+    throw new Error('CELL_PARAMETERS must be followed by three lattice vectors');
+  }
+  return { option, vectors };
+}
+
+/**
+ * Primitive vectors of a pw.x Bravais lattice in units of celldm(1), as
+ * listed in the pw.x input documentation.
+ */
+function bravaisVectorsQE(ibrav, celldm) {
+  const [, ba, ca, c4, c5, c6] = celldm;
+  const r3 = Math.sqrt(3);
+  switch (ibrav) {
+    case 1:
+      return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    case 2:
+      return [[-0.5, 0, 0.5], [0, 0.5, 0.5], [-0.5, 0.5, 0]];
+    case 3:
+      return [[0.5, 0.5, 0.5], [-0.5, 0.5, 0.5], [-0.5, -0.5, 0.5]];
+    case -3:
+      return [[-0.5, 0.5, 0.5], [0.5, -0.5, 0.5], [0.5, 0.5, -0.5]];
+    case 4:
+      return [[1, 0, 0], [-0.5, r3 / 2, 0], [0, 0, ca]];
+    case 5:
+    case -5: {
+      const tx = Math.sqrt((1 - c4) / 2);
+      const ty = Math.sqrt((1 - c4) / 6);
+      const tz = Math.sqrt((1 + 2 * c4) / 3);
+      if (ibrav === 5) return [[tx, -ty, tz], [0, 2 * ty, tz], [-tx, -ty, tz]];
+      const u = (tz - 2 * Math.SQRT2 * ty) / r3;
+      const v = (tz + Math.SQRT2 * ty) / r3;
+      return [[u, v, v], [v, u, v], [v, v, u]];
+    }
+    case 6:
+      return [[1, 0, 0], [0, 1, 0], [0, 0, ca]];
+    case 7:
+      return [[0.5, -0.5, ca / 2], [0.5, 0.5, ca / 2], [-0.5, -0.5, ca / 2]];
+    case 8:
+      return [[1, 0, 0], [0, ba, 0], [0, 0, ca]];
+    case 9:
+      return [[0.5, ba / 2, 0], [-0.5, ba / 2, 0], [0, 0, ca]];
+    case -9:
+      return [[0.5, -ba / 2, 0], [0.5, ba / 2, 0], [0, 0, ca]];
+    case 91:
+      return [[1, 0, 0], [0, ba / 2, -ca / 2], [0, ba / 2, ca / 2]];
+    case 10:
+      return [[0.5, 0, ca / 2], [0.5, ba / 2, 0], [0, ba / 2, ca / 2]];
+    case 11:
+      return [[0.5, ba / 2, ca / 2], [-0.5, ba / 2, ca / 2], [-0.5, -ba / 2, ca / 2]];
+    case 12:
+      return [[1, 0, 0], [ba * c4, ba * Math.sqrt(1 - c4 * c4), 0], [0, 0, ca]];
+    case -12:
+      return [[1, 0, 0], [0, ba, 0], [ca * c5, 0, ca * Math.sqrt(1 - c5 * c5)]];
+    case 13:
+      return [[0.5, 0, -ca / 2], [ba * c4, ba * Math.sqrt(1 - c4 * c4), 0], [0.5, 0, ca / 2]];
+    case -13:
+      return [[0.5, ba / 2, 0], [-0.5, ba / 2, 0], [ca * c5, 0, ca * Math.sqrt(1 - c5 * c5)]];
+    case 14: {
+      const sg = Math.sqrt(1 - c6 * c6);
+      const z = Math.sqrt(1 + 2 * c4 * c5 * c6 - c4 * c4 - c5 * c5 - c6 * c6) / sg;
+      return [[1, 0, 0], [ba * c6, ba * sg, 0], [ca * c5, ca * (c4 - c5 * c6) / sg, ca * z]];
+    }
+    default:
+      throw new Error(`Unsupported ibrav = ${ibrav}`);
+  }
+}
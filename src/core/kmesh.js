@@ -0,0 +1,130 @@
+/**
+ * kmesh.js — Monkhorst–Pack and Γ-centred k-point meshes.
+ *
+ * A mesh of N1 × N2 (× N3) points is laid out in the reciprocal basis,
+ * k = Σ (n_i + o_i + s_i) / N_i · b_i, where s_i is the shift in units of
+ * one step and o_i = 1/2 for an even N_i of a Monkhorst–Pack mesh (which
+ * then straddles Γ) and 0 otherwise, as in the Γ-centred mesh. Each point is
+ * then folded into the 1st zone.
+ *
+ * Symmetry reduction sorts the points into stars under a k-space point group.
+ * Two points are equivalent when R·k − k′ is a reciprocal lattice vector,
+ * i.e. their fractional coordinates agree modulo 1. A star is represented by
+ * its member farthest along the IBZ seed, which lies in the wedge that
+ * computeIBZ2D / computeIBZ3D draw.
+ */
+
+import { vdot, vcross } from './math.js';
+import { reduceToFirstZone } from './brillouin.js';
+import { applyOperation } from './symmetry.js';
+
+/** Fractional coordinates closer than this count as the same point */
+const KEY_TOLERANCE = 1e-6;
+
+/**
+ * Fractional coordinates of a mesh, each in [−1/2, 1/2).
+ *
+ * @param {number[]} divisions - N1, N2 (, N3)
+ * @param {Object} options
+ * @param {boolean} options.gammaCentred - Γ-centred instead of Monkhorst–Pack
+ * @param {number[]} options.shift - Shift along each axis in units of one step
+ * @returns {Array<number[]>} N1·N2(·N3) coordinate tuples, first axis slowest
+ */
+export function meshFractions(divisions, { gammaCentred = false, shift = [] } = {}) {
+  const axes = divisions.map((n, i) => {
+    const offset = (gammaCentred || n % 2 === 1 ? 0 : 0.5) + (shift[i] ?? 0);
+    return Array.from({ length: n }, (_, r) => {
+      const u = (r + offset) / n;
+      return u - Math.floor(u + 0.5);
+    });
+  });
+  return axes.reduce(
+    (tuples, axis) => tuples.flatMap(tuple => axis.map(u => [...tuple, u])),
+    [[]]
+  );
+}
+
+/**
+ * A mesh in Cartesian coordinates, folded into the 1st zone.
+ *
+ * @param {number[]} divisions - N1, N2 (, N3)
+ * @param {Array} reciprocalBasis - [b1, b2] or [b1, b2, b3]
+ * @param {Array} reciprocalPoints - Reciprocal lattice vectors covering the
+ *   neighbours of the 1st zone (see reduceToFirstZone)
+ * @param {Object} options - See meshFractions
+ * @returns {Array<{ fractional: number[], k: number[] }>} fractional is the
+ *   point before folding
+ */
+export function generateKMesh(divisions, reciprocalBasis, reciprocalPoints, options = {}) {
+  return meshFractions(divisions, options).map(fractional => {
+    const k = reciprocalBasis[0].map((_, j) => fractional.reduce((sum, u, i) => sum + u * reciprocalBasis[i][j], 0));
+    return { fractional, k: reduceToFirstZone(k, reciprocalPoints).k };
+  });
+}
+
+/**
+ * Reduce a mesh by a k-space point group.
+ *
+ * @param {Array<{ k: number[] }>} points - Mesh points (generateKMesh)
+ * @param {Array} ops - Cartesian matrices of the group, time reversal included
+ * @param {Array} reciprocalBasis - [b1, b2] or [b1, b2, b3]
+ * @param {number[]} seed - IBZ seed; each star is represented by its member
+ *   with the largest k·seed
+ * @returns {{ irreducible: Array<{ k: number[], fractional: number[], multiplicity: number }>,
+ *   mapping: number[], closed: boolean }} mapping gives the irreducible point
+ *   of every mesh point; closed is false when the group maps some mesh point
+ *   off the mesh, so that the mesh breaks the symmetry it is reduced by
+ */
+export function reduceKMesh(points, ops, reciprocalBasis, seed) {
+  const toFractional = fractionalCoordinates(reciprocalBasis);
+  const key = k => toFractional(k)
+    .map(u => Math.round((u - Math.floor(u + KEY_TOLERANCE)) / KEY_TOLERANCE))
+    .join(',');
+  const onMesh = new Set(points.map(({ k }) => key(k)));
+  const starOf = new Map();
+  const irreducible = [];
+  let closed = true;
+
+  const mapping = points.map(({ k }) => {
+    const found = starOf.get(key(k));
+    if (found !== undefined) {
+      irreducible[found].multiplicity++;
+      return found;
+    }
+    const index = irreducible.length;
+    let representative = k;
+    let best = vdot(seed, k);
+    for (const R of ops) {
+      const image = applyOperation(R, k);
+      const imageKey = key(image);
+      starOf.set(imageKey, index);
+      if (!onMesh.has(imageKey)) closed = false;
+      const along = vdot(seed, image);
+      if (along > best + KEY_TOLERANCE * Math.abs(best)) {
+        representative = image;
+        best = along;
+      }
+    }
+    irreducible.push({ k: representative, fractional: toFractional(representative), multiplicity: 1 });
+    return index;
+  });
+  return { irreducible, mapping, closed };
+}
+
+/**
+ * Map from Cartesian k to coordinates in a reciprocal basis, through the
+ * dual basis (a_i / 2π).
+ */
+function fractionalCoordinates(basis) {
+  let dual;
+  if (basis.length === 2) {
+    const [[a, b], [c, d]] = basis;
+    const det = a * d - b * c;
+    dual = [[d / det, -c / det], [-b / det, a / det]];
+  } else {
+    const [u, v, w] = basis;
+    const det = vdot(u, vcross(v, w));
+    dual = [vcross(v, w), vcross(w, u), vcross(u, v)].map(x => x.map(y => y / det));
+  }
+  return k => dual.map(d => vdot(d, k));
+}
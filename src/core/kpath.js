@@ -0,0 +1,179 @@
+/**
+ * kpath.js — Band-structure paths through the high-symmetry points.
+ *
+ * A path is written the way band-structure plots label their axis:
+ * 'Γ–X–M–Γ–R–X|M–R' runs Γ → X → M → Γ → R → X, then jumps to M and runs to
+ * R. Parsed, it is a list of segments, each a list of at least two labels.
+ * The standard paths are those of Setyawan & Curtarolo, per zone variant,
+ * and use the labels of getHighSymmetryPoints2D / getHighSymmetryPoints3D.
+ */
+
+import { getLatticeVariant3D } from './lattice.js';
+import { vsub, vlength, vlerp } from './math.js';
+
+/** Standard paths of the 2D lattices, walking the edge of the irreducible wedge */
+const STANDARD_PATHS_2D = {
+  'square': 'Γ–X–M–Γ',
+  'rectangular': 'Γ–X–S–Y–Γ–S',
+  'hexagonal': 'Γ–M–K–Γ',
+  'oblique': 'Γ–Y–H–C–H₁–X–Γ',
+  'centered-rectangular': 'Γ–X–S–X₁–Y–Γ'
+};
+
+/** Setyawan–Curtarolo paths by zone variant (getLatticeVariant3D) */
+const STANDARD_PATHS_3D = {
+  CUB: 'Γ–X–M–Γ–R–X|M–R',
+  FCC: 'Γ–X–W–K–Γ–L–U–W–L–K|U–X',
+  BCC: 'Γ–H–N–Γ–P–H|P–N',
+  TET: 'Γ–X–M–Γ–Z–R–A–Z|X–R|M–A',
+  BCT1: 'Γ–X–M–Γ–Z–P–N–Z₁–M|X–P',
+  BCT2: 'Γ–X–Y–Σ–Γ–Z–Σ₁–N–P–Y₁–Z|X–P',
+  ORC: 'Γ–X–S–Y–Γ–Z–U–R–T–Z|Y–T|U–X|S–R',
+  ORCF1: 'Γ–Y–T–Z–Γ–X–A₁–Y|T–X₁|X–A–Z|L–Γ',
+  ORCF2: 'Γ–Y–C–D–X–Γ–Z–D₁–H–C|C₁–Z|X–H₁|H–Y|L–Γ',
+  ORCF3: 'Γ–Y–T–Z–Γ–X–A₁–Y|X–A–Z|L–Γ',
+  ORCI: 'Γ–X–L–T–W–R–X₁–Z–Γ–Y–S–W|L₁–Y|Y₁–Z',
+  ORCC: 'Γ–X–S–R–A–Z–Γ–Y–X₁–A₁–T–Y|Z–T',
+  HEX: 'Γ–M–K–Γ–A–L–H–A|L–M|K–H',
+  RHL1: 'Γ–L–B₁|B–Z–Γ–X|Q–F–P₁–Z|L–P',
+  RHL2: 'Γ–P–Z–Q–Γ–F–P₁–Q₁–L–Z',
+  MCL: 'Γ–Y–H–C–E–M₁–A–X–H₁|M–D–Z|Y–D',
+  MCLC1: 'Γ–Y–F–L–I|I₁–Z–F₁|Y–X₁|X–Γ–N|M–Γ',
+  MCLC2: 'Γ–Y–F–L–I|I₁–Z–F₁|N–Γ–M',
+  MCLC3: 'Γ–Y–F–H–Z–I–F₁|H₁–Y₁–X–Γ–N|M–Γ',
+  MCLC4: 'Γ–Y–F–H–Z–I|H₁–Y₁–X–Γ–N|M–Γ',
+  MCLC5: 'Γ–Y–F–L–I|I₁–Z–H–F₁|H₁–Y₁–X–Γ–N|M–Γ',
+  TRI1a: 'X–Γ–Y|L–Γ–Z|N–Γ–M|R–Γ',
+  TRI2a: 'X–Γ–Y|L–Γ–Z|N–Γ–M|R–Γ'
+};
+
+/** Spelled-out labels accepted when a path is typed in */
+const LABEL_ALIASES = { G: 'Γ', GAMMA: 'Γ', Gamma: 'Γ', SIGMA: 'Σ', Sigma: 'Σ' };
+
+/**
+ * Standard path of a 2D lattice.
+ * @param {string} type - Key of LATTICE_2D, or the type a custom cell was classified as
+ * @returns {Array<Array<string>>} Segments of labels
+ */
+export function standardKPath2D(type) {
+  return parseKPath(STANDARD_PATHS_2D[type] ?? '');
+}
+
+/**
+ * Standard path of a 3D lattice, for the zone variant its parameters select.
+ * @param {string} type - Key of LATTICE_3D
+ * @param {Array} b1, b2, b3 - Reciprocal basis vectors
+ * @param {Object} params - Standardised lattice parameters (lattice.params)
+ * @returns {Array<Array<string>>} Segments of labels
+ */
+export function standardKPath3D(type, b1, b2, b3, params = {}) {
+  return parseKPath(STANDARD_PATHS_3D[getLatticeVariant3D(type, b1, b2, b3, params)] ?? '');
+}
+
+/**
+ * Parse a path. Labels are separated by dashes (-, –, —) or spaces, segments
+ * by '|' or ','. 'G' and 'Gamma' stand for Γ, 'Sigma' for Σ, and a digit
+ * after a label becomes a subscript (X1 → X₁). Segments of fewer than two
+ * labels are dropped.
+ *
+ * @param {string} text
+ * @returns {Array<Array<string>>} Segments of labels
+ */
+export function parseKPath(text) {
+  return text.split(/[|,]/)
+    .map(segment => segment.split(/[\s\-–—]+/).filter(Boolean).map(normaliseLabel))
+    .filter(segment => segment.length >= 2);
+}
+
+function normaliseLabel(label) {
+  const [, name, digits] = label.match(/^(.*?)(\d*)$/);
+  const base = LABEL_ALIASES[name] ?? name;
+  return base + [...digits].map(d => '₀₁₂₃₄₅₆₇₈₉'[d]).join('');
+}
+
+/**
+ * Write segments back in the form parseKPath reads.
+ * @param {Array<Array<string>>} segments
+ * @returns {string} e.g. 'Γ–X–M–Γ|M–R'
+ */
+export function formatKPath(segments) {
+  return segments.map(segment => segment.join('–')).join('|');
+}
+
+/**
+ * Keep the parts of a path whose labels are among the given points: a
+ * segment is cut at every unknown label, and pieces shorter than two labels
+ * are dropped.
+ *
+ * @param {Array<Array<string>>} segments
+ * @param {Object} points - Map of label to k
+ * @returns {{ segments: Array<Array<string>>, unknown: Array<string> }}
+ *   unknown lists each missing label once
+ */
+export function resolveKPath(segments, points) {
+  const resolved = [];
+  const unknown = new Set();
+  for (const segment of segments) {
+    let piece = [];
+    for (const label of [...segment, null]) {
+      if (label !== null && label in points) {
+        piece.push(label);
+        continue;
+      }
+      if (label !== null) unknown.add(label);
+      if (piece.length >= 2) resolved.push(piece);
+      piece = [];
+    }
+  }
+  return { segments: resolved, unknown: [...unknown] };
+}
+
+/**
+ * Sample a path at a given density. Each leg from one label to the next is
+ * cut into ceil(length · density) equal steps, at least one, so that steps
+ * come out close to 1/density in every leg while the labelled points are
+ * hit exactly. Consecutive legs share their joint; across a break the
+ * distance does not advance, and the tick there carries both labels
+ * ('B₁|B'), as on the axis of a band-structure plot.
+ *
+ * @param {Array<Array<string>>} segments - Path; every label must be in points
+ * @param {Object} points - Map of label to k
+ * @param {number} density - Samples per unit length in k-space
+ * @returns {{ kpoints: Array, distances: number[],
+ *   ticks: Array<{ label: string, distance: number, index: number }>,
+ *   legs: Array<{ from: Array, to: Array }> }} index is that of the tick's
+ *   first sample in kpoints
+ */
+export function sampleKPath(segments, points, density) {
+  const kpoints = [];
+  const distances = [];
+  const ticks = [];
+  const legs = [];
+  let distance = 0;
+
+  segments.forEach((segment, s) => {
+    const first = segment[0];
+    if (s > 0) {
+      ticks[ticks.length - 1].label += `|${first}`;
+    } else {
+      ticks.push({ label: first, distance, index: 0 });
+    }
+    kpoints.push(points[first]);
+    distances.push(distance);
+
+    for (let i = 1; i < segment.length; i++) {
+      const from = points[segment[i - 1]];
+      const to = points[segment[i]];
+      const length = vlength(vsub(to, from));
+      const steps = Math.max(1, Math.ceil(length * density));
+      for (let j = 1; j <= steps; j++) {
+        kpoints.push(j === steps ? to : vlerp(from, to, j / steps));
+        distances.push(distance + length * j / steps);
+      }
+      distance += length;
+      legs.push({ from, to });
+      ticks.push({ label: segment[i], distance, index: kpoints.length - 1 });
+    }
+  });
+  return { kpoints, distances, ticks, legs };
+}
@@ -2,52 +2,361 @@
  * lattice.js — Real and reciprocal lattice generation for 2D and 3D systems.
  *
  * Lattice types supported:
- *   2D: square, rectangular, hexagonal
- *   3D: cubic (SC), face-centered cubic (FCC), body-centered cubic (BCC)
+ *   2D: square, rectangular, hexagonal, oblique, centered rectangular
+ *   3D: all fourteen Bravais lattices — cubic (SC, FCC, BCC), tetragonal
+ *       (TET, BCT), orthorhombic (ORC, ORCF, ORCI, ORCC), hexagonal (HEX),
+ *       rhombohedral (RHL), monoclinic (MCL, MCLC) and triclinic (TRI)
  */
 
-import { vcross, vscale, vdot, vlength } from './math.js';
+import { vadd, vsub, vcross, vscale, vdot, vlength, lineLineIntersection2D } from './math.js';
+import { reduceBasis2D, reduceBasis3D } from './reduction.js';
+
+const DEG = Math.PI / 180;
+
+/**
+ * Editable parameters of each 2D lattice type, with their default values.
+ * Lengths are in arbitrary units a; angles are in degrees.
+ */
+export const LATTICE_PARAMS_2D = {
+  square: { a: 1 },
+  rectangular: { a: 1, b: 1.5 },
+  hexagonal: { a: 1 },
+  oblique: { a: 1, b: 1.3, gamma: 105 },
+  'centered-rectangular': { a: 1, b: 1.6 },
+  custom: {}
+};
+
+/** Editable parameters of each 3D lattice type, with their default values */
+export const LATTICE_PARAMS_3D = {
+  cubic: { a: 1 },
+  fcc: { a: 1 },
+  bcc: { a: 1 },
+  tetragonal: { a: 1, c: 1.5 },
+  bct: { a: 1, c: 1.5 },
+  orthorhombic: { a: 1, b: 1.3, c: 1.6 },
+  orcf: { a: 1, b: 1.3, c: 1.6 },
+  orci: { a: 1, b: 1.3, c: 1.6 },
+  orcc: { a: 1, b: 1.6, c: 1.3 },
+  hexagonal: { a: 1, c: 1.6 },
+  rhombohedral: { a: 1, alpha: 70 },
+  monoclinic: { a: 1, b: 1.2, c: 1.5, alpha: 75 },
+  mclc: { a: 1, b: 1.4, c: 1.5, alpha: 75 },
+  triclinic: { a: 1, b: 1.2, c: 1.4, alpha: 80, beta: 85, gamma: 95 },
+  custom: {}
+};
 
 /** 2D lattice definitions: returns { a1, a2 } real-space basis vectors */
 export const LATTICE_2D = {
-  square: (a = 1) => ({
+  square: ({ a = 1 } = {}) => ({
     a1: [a, 0],
     a2: [0, a],
     name: 'Square'
   }),
-  rectangular: (a = 1, b = 1.5) => ({
+  rectangular: ({ a = 1, b = 1.5 } = {}) => ({
     a1: [a, 0],
     a2: [0, b],
     name: 'Rectangular'
   }),
-  hexagonal: (a = 1) => ({
+  hexagonal: ({ a = 1 } = {}) => ({
     a1: [a, 0],
     a2: [a * Math.cos(Math.PI / 3), a * Math.sin(Math.PI / 3)],
     name: 'Hexagonal'
-  })
+  }),
+  oblique: ({ a = 1, b = 1.3, gamma = 105 } = {}) => ({
+    a1: [a, 0],
+    a2: [b * Math.cos(gamma * DEG), b * Math.sin(gamma * DEG)],
+    name: 'Oblique'
+  }),
+  // Primitive cell of the conventional a × b rectangle with a centring point
+  'centered-rectangular': ({ a = 1, b = 1.6 } = {}) => ({
+    a1: [a / 2, -b / 2],
+    a2: [a / 2, b / 2],
+    name: 'Centered Rectangular'
+  }),
+  // User-supplied basis, replaced by its Gauss-reduced equivalent
+  custom: ({ a1 = [1, 0], a2 = [0.3, 1.1] } = {}) => {
+    const [r1, r2] = reduceBasis2D(a1.slice(0, 2), a2.slice(0, 2));
+    return { a1: r1, a2: r2, name: 'Custom' };
+  }
 };
 
-/** 3D lattice definitions: returns { a1, a2, a3 } real-space basis vectors */
+/**
+ * 3D lattice definitions: returns { a1, a2, a3 } real-space basis vectors.
+ *
+ * Primitive vectors follow Setyawan & Curtarolo, Comput. Mater. Sci. 49,
+ * 299 (2010). Where that convention orders the cell (a < b < c for the
+ * orthorhombic family, α < 90° for the monoclinic ones, and a reduced bc
+ * plane for MCLC) the axes are relabelled to satisfy it, and the returned
+ * `params` hold the standardised values that getHighSymmetryPoints3D expects.
+ */
 export const LATTICE_3D = {
-  cubic: (a = 1) => ({
+  cubic: ({ a = 1 } = {}) => ({
     a1: [a, 0, 0],
     a2: [0, a, 0],
     a3: [0, 0, a],
-    name: 'Simple Cubic'
+    name: 'Simple Cubic',
+    params: { a }
   }),
-  fcc: (a = 1) => ({
+  fcc: ({ a = 1 } = {}) => ({
     a1: [0, a / 2, a / 2],
     a2: [a / 2, 0, a / 2],
     a3: [a / 2, a / 2, 0],
-    name: 'FCC'
+    name: 'FCC',
+    params: { a }
+  }),
+  bcc: ({ a = 1 } = {}) => ({
+    a1: [-a / 2, a / 2, a / 2],
+    a2: [a / 2, -a / 2, a / 2],
+    a3: [a / 2, a / 2, -a / 2],
+    name: 'BCC',
+    params: { a }
   }),
-  bcc: (a = 1) => ({
-    a1: [a / 2, a / 2, -a / 2],
-    a2: [-a / 2, a / 2, a / 2],
-    a3: [a / 2, -a / 2, a / 2],
-    name: 'BCC'
-  })
+  tetragonal: ({ a = 1, c = 1.5 } = {}) => ({
+    a1: [a, 0, 0],
+    a2: [0, a, 0],
+    a3: [0, 0, c],
+    name: 'Tetragonal',
+    params: { a, c }
+  }),
+  bct: ({ a = 1, c = 1.5 } = {}) => ({
+    a1: [-a / 2, a / 2, c / 2],
+    a2: [a / 2, -a / 2, c / 2],
+    a3: [a / 2, a / 2, -c / 2],
+    name: 'Body-Centered Tetragonal',
+    params: { a, c }
+  }),
+  orthorhombic: ({ a = 1, b = 1.3, c = 1.6 } = {}) => {
+    [a, b, c] = [a, b, c].sort((x, y) => x - y);
+    return {
+      a1: [a, 0, 0],
+      a2: [0, b, 0],
+      a3: [0, 0, c],
+      name: 'Orthorhombic',
+      params: { a, b, c }
+    };
+  },
+  orcf: ({ a = 1, b = 1.3, c = 1.6 } = {}) => {
+    [a, b, c] = [a, b, c].sort((x, y) => x - y);
+    return {
+      a1: [0, b / 2, c / 2],
+      a2: [a / 2, 0, c / 2],
+      a3: [a / 2, b / 2, 0],
+      name: 'Face-Centered Orthorhombic',
+      params: { a, b, c }
+    };
+  },
+  orci: ({ a = 1, b = 1.3, c = 1.6 } = {}) => {
+    [a, b, c] = [a, b, c].sort((x, y) => x - y);
+    return {
+      a1: [-a / 2, b / 2, c / 2],
+      a2: [a / 2, -b / 2, c / 2],
+      a3: [a / 2, b / 2, -c / 2],
+      name: 'Body-Centered Orthorhombic',
+      params: { a, b, c }
+    };
+  },
+  orcc: ({ a = 1, b = 1.6, c = 1.3 } = {}) => {
+    [a, b] = [a, b].sort((x, y) => x - y);
+    return {
+      a1: [a / 2, -b / 2, 0],
+      a2: [a / 2, b / 2, 0],
+      a3: [0, 0, c],
+      name: 'Base-Centered Orthorhombic',
+      params: { a, b, c }
+    };
+  },
+  hexagonal: ({ a = 1, c = 1.6 } = {}) => ({
+    a1: [a / 2, -a * Math.sqrt(3) / 2, 0],
+    a2: [a / 2, a * Math.sqrt(3) / 2, 0],
+    a3: [0, 0, c],
+    name: 'Hexagonal',
+    params: { a, c }
+  }),
+  rhombohedral: ({ a = 1, alpha = 70 } = {}) => {
+    const ca = Math.cos(alpha * DEG);
+    const ch = Math.cos(alpha * DEG / 2);
+    const sh = Math.sin(alpha * DEG / 2);
+    return {
+      a1: [a * ch, -a * sh, 0],
+      a2: [a * ch, a * sh, 0],
+      a3: [a * ca / ch, 0, a * Math.sqrt(1 - ca * ca / (ch * ch))],
+      name: 'Rhombohedral',
+      params: { a, alpha }
+    };
+  },
+  monoclinic: ({ a = 1, b = 1.2, c = 1.5, alpha = 75 } = {}) => {
+    // Unique axis a; b ≤ c and α ≤ 90° by flipping or swapping in-plane axes
+    [b, c] = [b, c].sort((x, y) => x - y);
+    alpha = Math.min(alpha, 180 - alpha);
+    return {
+      a1: [a, 0, 0],
+      a2: [0, b, 0],
+      a3: [0, c * Math.cos(alpha * DEG), c * Math.sin(alpha * DEG)],
+      name: 'Monoclinic',
+      params: { a, b, c, alpha }
+    };
+  },
+  mclc: ({ a = 1, b = 1.4, c = 1.5, alpha = 75 } = {}) => {
+    ({ b, c, alpha } = standardMCLC(b, c, alpha));
+    return {
+      a1: [a / 2, b / 2, 0],
+      a2: [-a / 2, b / 2, 0],
+      a3: [0, c * Math.cos(alpha * DEG), c * Math.sin(alpha * DEG)],
+      name: 'Base-Centered Monoclinic',
+      params: { a, b, c, alpha }
+    };
+  },
+  triclinic: ({ a = 1, b = 1.2, c = 1.4, alpha = 80, beta = 85, gamma = 95 } = {}) => {
+    const ca = Math.cos(alpha * DEG);
+    const cb = Math.cos(beta * DEG);
+    const cg = Math.cos(gamma * DEG);
+    const sg = Math.sin(gamma * DEG);
+    const v = Math.sqrt(1 - ca * ca - cb * cb - cg * cg + 2 * ca * cb * cg);
+    return {
+      a1: [a, 0, 0],
+      a2: [b * cg, b * sg, 0],
+      a3: [c * cb, c * (ca - cb * cg) / sg, c * v / sg],
+      name: 'Triclinic',
+      params: { a, b, c, alpha, beta, gamma }
+    };
+  },
+  // User-supplied basis, replaced by its Delaunay-reduced equivalent
+  custom: ({ a1 = [1, 0, 0], a2 = [0.3, 1.1, 0], a3 = [0.2, 0.4, 1.3] } = {}) => {
+    const [r1, r2, r3] = reduceBasis3D(a1, a2, a3);
+    return { a1: r1, a2: r2, a3: r3, name: 'Custom', params: {} };
+  }
+};
+
+/**
+ * Standardise the bc plane of a base-centred monoclinic cell.
+ * The centring (a + b)/2 fixes b only up to b + 2L, L being the lattice of
+ * the bc plane: b becomes the shortest vector of that class, c the shortest
+ * vector completing the plane, and flipping b brings α below 90°. The
+ * Setyawan–Curtarolo points assume this cell with b ≤ c; some lattices
+ * still have c < b, and their points are not tabulated.
+ * @param {number} b, c - Conventional lengths
+ * @param {number} alpha - Angle between b and c, degrees
+ * @returns {{ b: number, c: number, alpha: number, tabulated: boolean }}
+ *   Standardised b, c and α, and whether the tabulated points apply
+ */
+export function standardMCLC(b, c, alpha) {
+  const [u, v] = reduceBasis2D([b, 0], [c * Math.cos(alpha * DEG), c * Math.sin(alpha * DEG)]);
+  const w = vlength(vadd(u, v)) < vlength(vsub(u, v)) ? vadd(u, v) : vsub(u, v);
+  // Parity of b in the reduced basis picks its class of L/2L; the shortest
+  // vectors of the three classes are u, v and w
+  const det = u[0] * v[1] - u[1] * v[0];
+  const m = Math.abs(Math.round(b * v[1] / det)) % 2;
+  const n = Math.abs(Math.round(-b * u[1] / det)) % 2;
+  const [B, C] = m && n ? [w, u] : m ? [u, v] : [v, u];
+  const [bLength, cLength] = [vlength(B), vlength(C)];
+  const along = Math.abs(vdot(B, C)) / bLength;
+  const across = Math.abs(B[0] * C[1] - B[1] * C[0]) / bLength;
+  return {
+    b: bLength,
+    c: cLength,
+    alpha: Math.atan2(across, along) / DEG,
+    tabulated: cLength >= bLength - 1e-9
+  };
+}
+
+/**
+ * Conventional cells of the centred lattices as integer combinations of the
+ * primitive vectors above: row i gives the ith conventional vector. Every
+ * other type is its own conventional cell.
+ */
+const CONVENTIONAL_CELLS_2D = {
+  'centered-rectangular': [[1, 1], [-1, 1]]
 };
+const CONVENTIONAL_CELLS_3D = {
+  fcc: [[-1, 1, 1], [1, -1, 1], [1, 1, -1]],
+  orcf: [[-1, 1, 1], [1, -1, 1], [1, 1, -1]],
+  bcc: [[0, 1, 1], [1, 0, 1], [1, 1, 0]],
+  bct: [[0, 1, 1], [1, 0, 1], [1, 1, 0]],
+  orci: [[0, 1, 1], [1, 0, 1], [1, 1, 0]],
+  orcc: [[1, 1, 0], [-1, 1, 0], [0, 0, 1]],
+  mclc: [[1, -1, 0], [1, 1, 0], [0, 0, 1]],
+  // Hexagonal axes, c along the threefold axis
+  rhombohedral: [[1, -1, 0], [0, 1, -1], [1, 1, 1]]
+};
+
+/**
+ * Conventional cell of a lattice.
+ *
+ * @param {string} type - Lattice type, as the keys of LATTICE_2D / LATTICE_3D
+ * @param {Array} cell - Primitive vectors of that type, [a1, a2] or [a1, a2, a3]
+ * @returns {{ vectors: Array, points: number }} Conventional vectors, and the
+ *   lattice points per conventional cell (its measure over the primitive one)
+ */
+export function conventionalCell(type, cell) {
+  const table = cell.length === 2 ? CONVENTIONAL_CELLS_2D : CONVENTIONAL_CELLS_3D;
+  const rows = table[type] ?? cell.map((_, i) => cell.map((_, j) => (i === j ? 1 : 0)));
+  const vectors = rows.map(row => cell[0].map((_, k) => row.reduce((sum, n, i) => sum + n * cell[i][k], 0)));
+  const det = rows.length === 2
+    ? rows[0][0] * rows[1][1] - rows[0][1] * rows[1][0]
+    : rows[0][0] * (rows[1][1] * rows[2][2] - rows[1][2] * rows[2][1])
+      - rows[0][1] * (rows[1][0] * rows[2][2] - rows[1][2] * rows[2][0])
+      + rows[0][2] * (rows[1][0] * rows[2][1] - rows[1][1] * rows[2][0]);
+  return { vectors, points: Math.abs(det) };
+}
+
+/**
+ * Validate a set of lattice parameters.
+ * Lengths must be positive; angles must lie strictly between 0° and 180°
+ * and, when all three are given, describe a cell of non-zero volume.
+ * @param {Object} params - Any of { a, b, c, alpha, beta, gamma }
+ * @param {string} [type] - Lattice type, for type-specific limits
+ * @returns {string|null} Error message, or null if the parameters are valid
+ */
+export function validateLatticeParams(params, type = null) {
+  for (const key of ['a', 'b', 'c']) {
+    if (!(key in params)) continue;
+    const v = params[key];
+    if (!Number.isFinite(v) || v <= 0) return `${key} must be a positive number`;
+  }
+
+  const symbols = { alpha: 'α', beta: 'β', gamma: 'γ' };
+  for (const key of ['alpha', 'beta', 'gamma']) {
+    if (!(key in params)) continue;
+    const v = params[key];
+    if (!Number.isFinite(v) || v <= 0 || v >= 180) {
+      return `${symbols[key]} must lie between 0° and 180°`;
+    }
+  }
+
+  if ('alpha' in params && 'beta' in params && 'gamma' in params) {
+    const ca = Math.cos(params.alpha * DEG);
+    const cb = Math.cos(params.beta * DEG);
+    const cg = Math.cos(params.gamma * DEG);
+    // Squared volume of a cell with unit edges
+    const v2 = 1 - ca * ca - cb * cb - cg * cg + 2 * ca * cb * cg;
+    if (v2 < 1e-9) return 'α, β and γ do not form a valid cell';
+  }
+  if (type === 'rhombohedral' && params.alpha >= 120) {
+    return 'α must be below 120° for a rhombohedral cell';
+  }
+  return null;
+}
+
+/**
+ * Validate user-supplied basis vectors.
+ * The vectors must be finite and linearly independent.
+ * @param {Array<Array<number>>} vectors - [a1, a2] in 2D or [a1, a2, a3] in 3D
+ * @returns {string|null} Error message, or null if the basis is valid
+ */
+export function validateBasis(vectors) {
+  if (vectors.some(v => v.some(x => !Number.isFinite(x)))) {
+    return 'basis components must be numbers';
+  }
+  const lengths = vectors.map(vlength);
+  if (lengths.some(l => l === 0)) return 'basis vectors must be non-zero';
+
+  const volume = vectors.length === 2
+    ? vectors[0][0] * vectors[1][1] - vectors[0][1] * vectors[1][0]
+    : vdot(vectors[0], vcross(vectors[1], vectors[2]));
+  const scale = lengths.reduce((p, l) => p * l, 1);
+  if (Math.abs(volume) < 1e-6 * scale) return 'basis vectors are linearly dependent';
+  return null;
+}
 
 /**
  * Compute 2D reciprocal lattice vectors from real-space basis.
@@ -84,12 +393,17 @@ export function reciprocal3D(a1, a2, a3) {
 /**
  * Generate all reciprocal lattice points within a given shell radius.
  * For 2D: returns array of [kx, ky] vectors (excluding origin).
+ *
+ * The basis is Gauss-reduced first, so the index square covers every G
+ * out to roughly maxN reduced basis lengths even for a skewed input cell.
+ *
  * @param {Array} b1 - First reciprocal basis vector
  * @param {Array} b2 - Second reciprocal basis vector
- * @param {number} maxN - Maximum Miller index to consider
+ * @param {number} maxN - Maximum index to consider along each reduced basis vector
  * @returns {Array} Array of reciprocal lattice vectors G = h*b1 + k*b2
  */
 export function generateReciprocalPoints2D(b1, b2, maxN) {
+  [b1, b2] = reduceBasis2D(b1, b2);
   const points = [];
   for (let h = -maxN; h <= maxN; h++) {
     for (let k = -maxN; k <= maxN; k++) {
@@ -103,13 +417,40 @@ export function generateReciprocalPoints2D(b1, b2, maxN) {
   return points;
 }
 
+/**
+ * Generate every reciprocal lattice point with |G| ≤ radius (2D), sorted by
+ * length. 2D counterpart of generateReciprocalPointsWithin3D.
+ * @param {Array} b1 - First reciprocal basis vector
+ * @param {Array} b2 - Second reciprocal basis vector
+ * @param {number} radius - Largest |G| to include
+ * @returns {Array} Array of reciprocal lattice vectors G (origin excluded)
+ */
+export function generateReciprocalPointsWithin2D(b1, b2, radius) {
+  const basis = reduceBasis2D(b1, b2);
+  const area = Math.abs(basis[0][0] * basis[1][1] - basis[0][1] * basis[1][0]);
+  // Spacing of the lattice lines along the other basis vector
+  const range = basis.map((_, i) => Math.ceil(radius * vlength(basis[1 - i]) / area));
+  const points = [];
+  for (let h = -range[0]; h <= range[0]; h++) {
+    for (let k = -range[1]; k <= range[1]; k++) {
+      if (h === 0 && k === 0) continue;
+      const G = vadd(vscale(basis[0], h), vscale(basis[1], k));
+      if (vlength(G) <= radius) points.push(G);
+    }
+  }
+  points.sort((a, b) => vlength(a) - vlength(b));
+  return points;
+}
+
 /**
  * Generate all reciprocal lattice points within a given shell radius (3D).
+ * The basis is Delaunay-reduced first (see generateReciprocalPoints2D).
  * @param {Array} b1, b2, b3 - Reciprocal basis vectors
- * @param {number} maxN - Maximum Miller index to consider
+ * @param {number} maxN - Maximum index to consider along each reduced basis vector
  * @returns {Array} Array of reciprocal lattice vectors G
  */
 export function generateReciprocalPoints3D(b1, b2, b3, maxN) {
+  [b1, b2, b3] = reduceBasis3D(b1, b2, b3);
   const points = [];
   for (let h = -maxN; h <= maxN; h++) {
     for (let k = -maxN; k <= maxN; k++) {
@@ -128,6 +469,35 @@ export function generateReciprocalPoints3D(b1, b2, b3, maxN) {
   return points;
 }
 
+/**
+ * Generate every reciprocal lattice point with |G| ≤ radius (3D), sorted by
+ * length. The index range along each reduced basis vector is the radius
+ * over the spacing of the lattice planes that vector crosses.
+ * @param {Array} b1, b2, b3 - Reciprocal basis vectors
+ * @param {number} radius - Largest |G| to include
+ * @returns {Array} Array of reciprocal lattice vectors G (origin excluded)
+ */
+export function generateReciprocalPointsWithin3D(b1, b2, b3, radius) {
+  const basis = reduceBasis3D(b1, b2, b3);
+  const volume = Math.abs(vdot(basis[0], vcross(basis[1], basis[2])));
+  const range = basis.map((_, i) => {
+    const spacing = volume / vlength(vcross(basis[(i + 1) % 3], basis[(i + 2) % 3]));
+    return Math.ceil(radius / spacing);
+  });
+  const points = [];
+  for (let h = -range[0]; h <= range[0]; h++) {
+    for (let k = -range[1]; k <= range[1]; k++) {
+      for (let l = -range[2]; l <= range[2]; l++) {
+        if (h === 0 && k === 0 && l === 0) continue;
+        const G = vadd(vadd(vscale(basis[0], h), vscale(basis[1], k)), vscale(basis[2], l));
+        if (vlength(G) <= radius) points.push(G);
+      }
+    }
+  }
+  points.sort((a, b) => vlength(a) - vlength(b));
+  return points;
+}
+
 /**
  * Get high-symmetry points for a given 2D lattice type.
  * Returns an object mapping label to [kx, ky] coordinates in reciprocal space.
@@ -145,36 +515,313 @@ export function getHighSymmetryPoints2D(type, b1, b2) {
       points['S'] = vscale([b1[0] + b2[0], b1[1] + b2[1]], 0.5);
       break;
     case 'hexagonal':
-      // K and M points for hexagonal lattice
-      points['K'] = vscale([b1[0] + b2[0], b1[1] + b2[1]], 1 / 3);
+      // K is the centroid of Γ and two neighbouring reciprocal points 60°
+      // apart: b1 and b2 themselves, or b1 and b1 + b2 when they are 120° apart
+      points['K'] = vscale(vadd(b1, vdot(b1, b2) < 0 ? vadd(b1, b2) : b2), 1 / 3);
       points['M'] = vscale(b1, 0.5);
       break;
+    case 'oblique': {
+      // The zone is an irregular hexagon bounded by ±u, ±v and ±w, where
+      // (u, v) is the reduced basis and w the third shortest vector.
+      // X, Y, C are the edge midpoints; H and H₁ the two inequivalent corners.
+      const [u, v] = reduceBasis2D(b1, b2);
+      const obtuse = vdot(u, v) < 0;
+      const w = obtuse ? vadd(u, v) : vsub(u, v);
+      const vEnd = obtuse ? v : vscale(v, -1);
+      points['X'] = vscale(u, 0.5);
+      points['Y'] = vscale(v, 0.5);
+      points['C'] = vscale(w, 0.5);
+      points['H'] = circumcentre2D(w, vEnd);
+      points['H₁'] = circumcentre2D(u, w);
+      break;
+    }
+    case 'centered-rectangular': {
+      // kz = 0 section of the Setyawan–Curtarolo ORCC zone. The conventional
+      // reciprocal axes are b1 + b2 and b2 − b1; the shorter one ends on an
+      // edge (Y), the longer one on a corner (X) whose position depends on a/b.
+      const p = vadd(b1, b2);
+      const q = vsub(b2, b1);
+      const [long, short] = vlength(p) >= vlength(q) ? [p, q] : [q, p];
+      const zeta = (1 + vdot(short, short) / vdot(long, long)) / 4;
+      points['X'] = vscale(long, zeta);
+      points['X₁'] = vsub(b2, points['X']);
+      points['Y'] = vscale(short, 0.5);
+      points['S'] = vscale(b2, 0.5);
+      break;
+    }
   }
   return points;
 }
 
 /**
- * Get high-symmetry points for a given 3D lattice type.
+ * Circumcentre of the triangle (0, p, q): the point where the Bragg lines
+ * of p and q meet, i.e. a corner of the Wigner-Seitz cell.
+ */
+function circumcentre2D(p, q) {
+  return lineLineIntersection2D(vscale(p, 0.5), p, vscale(q, 0.5), q);
+}
+
+/**
+ * Determine the Setyawan–Curtarolo zone variant of a 3D lattice, e.g. 'BCT1',
+ * 'ORCF2' or 'MCLC3'. The variant selects which set of high-symmetry points
+ * (and which zone shape) applies for the given parameters.
+ *
+ * @param {string} type - Key of LATTICE_3D
+ * @param {Array} b1, b2, b3 - Reciprocal basis vectors
+ * @param {Object} params - Standardised lattice parameters (lattice.params)
+ * @returns {string} Variant name
  */
-export function getHighSymmetryPoints3D(type, b1, b2, b3) {
-  const points = { 'Γ': [0, 0, 0] };
+export function getLatticeVariant3D(type, b1, b2, b3, params = {}) {
+  const { a = 1, b = 1, c = 1, alpha = 90 } = params;
   switch (type) {
-    case 'cubic':
-      points['X'] = vscale(b1, 0.5);
-      points['M'] = vscale([b1[0] + b2[0], b1[1] + b2[1], b1[2] + b2[2]], 0.5);
-      points['R'] = vscale([b1[0] + b2[0] + b3[0], b1[1] + b2[1] + b3[1], b1[2] + b2[2] + b3[2]], 0.5);
-      break;
-    case 'fcc':
-      points['X'] = vscale(b1, 0.5);
-      points['L'] = vscale([b1[0] + b2[0] + b3[0], b1[1] + b2[1] + b3[1], b1[2] + b2[2] + b3[2]], 0.5);
-      points['W'] = vscale([b1[0] + b2[0], b1[1] + b2[1], b1[2] + b2[2]], 0.5);
-      points['K'] = vscale([3 * b1[0] + 3 * b2[0], 3 * b1[1] + 3 * b2[1], 3 * b1[2] + 3 * b2[2]], 1 / 8);
-      break;
-    case 'bcc':
-      points['H'] = vscale([b1[0] + b2[0] - b3[0], b1[1] + b2[1] - b3[1], b1[2] + b2[2] - b3[2]], 0.5);
-      points['N'] = vscale([b1[0] + b2[0], b1[1] + b2[1], b1[2] + b2[2]], 0.5);
-      points['P'] = vscale([b1[0] + b2[0] + b3[0], b1[1] + b2[1] + b3[1], b1[2] + b2[2] + b3[2]], 0.25);
-      break;
+    case 'cubic': return 'CUB';
+    case 'fcc': return 'FCC';
+    case 'bcc': return 'BCC';
+    case 'tetragonal': return 'TET';
+    case 'bct': return c < a ? 'BCT1' : 'BCT2';
+    case 'orthorhombic': return 'ORC';
+    case 'orcf': {
+      const d = (1 / (a * a) - 1 / (b * b) - 1 / (c * c)) * a * a;
+      if (Math.abs(d) < 1e-9) return 'ORCF3';
+      return d > 0 ? 'ORCF1' : 'ORCF2';
+    }
+    case 'orci': return 'ORCI';
+    case 'orcc': return 'ORCC';
+    case 'hexagonal': return 'HEX';
+    case 'rhombohedral': return alpha < 90 ? 'RHL1' : 'RHL2';
+    case 'monoclinic': return 'MCL';
+    case 'mclc': {
+      const kgamma = vangle(b1, b2);
+      if (Math.abs(kgamma - 90) < 1e-6) return 'MCLC2';
+      if (kgamma > 90) return 'MCLC1';
+      const sa = Math.sin(alpha * DEG);
+      const t = b * Math.cos(alpha * DEG) / c + b * b * sa * sa / (a * a);
+      if (Math.abs(t - 1) < 1e-9) return 'MCLC4';
+      return t < 1 ? 'MCLC3' : 'MCLC5';
+    }
+    case 'triclinic': {
+      // The Delaunay-reduced reciprocal basis is all-obtuse; a right angle
+      // removes one face pair
+      const [v1, v2, v3] = reduceBasis3D(b1, b2, b3);
+      const scale = vdot(v1, v1) + vdot(v2, v2) + vdot(v3, v3);
+      const rightAngle = [vdot(v1, v2), vdot(v2, v3), vdot(v1, v3)]
+        .some(d => Math.abs(d) < 1e-9 * scale);
+      return rightAngle ? 'TRI2a' : 'TRI1a';
+    }
+    default: return type.toUpperCase();
+  }
+}
+
+/**
+ * Get high-symmetry points for a given 3D lattice type.
+ * Labels and fractional coordinates (in units of b1, b2, b3) follow
+ * Setyawan & Curtarolo; parameter-dependent points are evaluated from
+ * the standardised lattice parameters.
+ *
+ * @param {string} type - Key of LATTICE_3D
+ * @param {Array} b1, b2, b3 - Reciprocal basis vectors
+ * @param {Object} params - Standardised lattice parameters (lattice.params)
+ * @returns {Object} Map of label to [kx, ky, kz]
+ */
+export function getHighSymmetryPoints3D(type, b1, b2, b3, params = {}) {
+  const variant = getLatticeVariant3D(type, b1, b2, b3, params);
+  const frac = highSymmetryFractions3D(variant, params);
+  // Triclinic points are tabulated on the reduced basis, since an arbitrary
+  // triclinic cell does not expose its zone faces as simple Miller indices
+  const basis = type === 'triclinic' ? reduceBasis3D(b1, b2, b3) : [b1, b2, b3];
+  const points = {};
+  for (const [label, f] of Object.entries(frac)) {
+    points[label] = [0, 1, 2].map(i => f[0] * basis[0][i] + f[1] * basis[1][i] + f[2] * basis[2][i]);
   }
   return points;
 }
+
+/**
+ * Fractional coordinates of the high-symmetry points of each zone variant.
+ */
+function highSymmetryFractions3D(variant, params) {
+  const { a = 1, b = 1, c = 1, alpha = 90 } = params;
+  const ca = Math.cos(alpha * DEG);
+  const sa = Math.sin(alpha * DEG);
+  const G = [0, 0, 0];
+
+  switch (variant) {
+    case 'CUB':
+      return { 'Γ': G, 'M': [1 / 2, 1 / 2, 0], 'R': [1 / 2, 1 / 2, 1 / 2], 'X': [0, 1 / 2, 0] };
+    case 'FCC':
+      return {
+        'Γ': G, 'K': [3 / 8, 3 / 8, 3 / 4], 'L': [1 / 2, 1 / 2, 1 / 2],
+        'U': [5 / 8, 1 / 4, 5 / 8], 'W': [1 / 2, 1 / 4, 3 / 4], 'X': [1 / 2, 0, 1 / 2]
+      };
+    case 'BCC':
+      return { 'Γ': G, 'H': [1 / 2, -1 / 2, 1 / 2], 'N': [0, 0, 1 / 2], 'P': [1 / 4, 1 / 4, 1 / 4] };
+    case 'TET':
+      return {
+        'Γ': G, 'A': [1 / 2, 1 / 2, 1 / 2], 'M': [1 / 2, 1 / 2, 0],
+        'R': [0, 1 / 2, 1 / 2], 'X': [0, 1 / 2, 0], 'Z': [0, 0, 1 / 2]
+      };
+    case 'BCT1': {
+      const eta = (1 + c * c / (a * a)) / 4;
+      return {
+        'Γ': G, 'M': [-1 / 2, 1 / 2, 1 / 2], 'N': [0, 1 / 2, 0], 'P': [1 / 4, 1 / 4, 1 / 4],
+        'X': [0, 0, 1 / 2], 'Z': [eta, eta, -eta], 'Z₁': [-eta, 1 - eta, eta]
+      };
+    }
+    case 'BCT2': {
+      const eta = (1 + a * a / (c * c)) / 4;
+      const zeta = a * a / (2 * c * c);
+      return {
+        'Γ': G, 'N': [0, 1 / 2, 0], 'P': [1 / 4, 1 / 4, 1 / 4],
+        'Σ': [-eta, eta, eta], 'Σ₁': [eta, 1 - eta, -eta], 'X': [0, 0, 1 / 2],
+        'Y': [-zeta, zeta, 1 / 2], 'Y₁': [1 / 2, 1 / 2, -zeta], 'Z': [1 / 2, 1 / 2, -1 / 2]
+      };
+    }
+    case 'ORC':
+      return {
+        'Γ': G, 'R': [1 / 2, 1 / 2, 1 / 2], 'S': [1 / 2, 1 / 2, 0], 'T': [0, 1 / 2, 1 / 2],
+        'U': [1 / 2, 0, 1 / 2], 'X': [1 / 2, 0, 0], 'Y': [0, 1 / 2, 0], 'Z': [0, 0, 1 / 2]
+      };
+    case 'ORCF1':
+    case 'ORCF3': {
+      const zeta = (1 + a * a / (b * b) - a * a / (c * c)) / 4;
+      const eta = (1 + a * a / (b * b) + a * a / (c * c)) / 4;
+      const points = {
+        'Γ': G, 'A': [1 / 2, 1 / 2 + zeta, zeta], 'A₁': [1 / 2, 1 / 2 - zeta, 1 - zeta],
+        'L': [1 / 2, 1 / 2, 1 / 2], 'T': [1, 1 / 2, 1 / 2], 'X': [0, eta, eta],
+        'Y': [1 / 2, 0, 1 / 2], 'Z': [1 / 2, 1 / 2, 0]
+      };
+      if (variant === 'ORCF1') points['X₁'] = [1, 1 - eta, 1 - eta];
+      return points;
+    }
+    case 'ORCF2': {
+      const eta = (1 + a * a / (b * b) - a * a / (c * c)) / 4;
+      const phi = (1 + c * c / (b * b) - c * c / (a * a)) / 4;
+      const delta = (1 + b * b / (a * a) - b * b / (c * c)) / 4;
+      return {
+        'Γ': G, 'C': [1 / 2, 1 / 2 - eta, 1 - eta], 'C₁': [1 / 2, 1 / 2 + eta, eta],
+        'D': [1 / 2 - delta, 1 / 2, 1 - delta], 'D₁': [1 / 2 + delta, 1 / 2, delta],
+        'L': [1 / 2, 1 / 2, 1 / 2], 'H': [1 - phi, 1 / 2 - phi, 1 / 2], 'H₁': [phi, 1 / 2 + phi, 1 / 2],
+        'X': [0, 1 / 2, 1 / 2], 'Y': [1 / 2, 0, 1 / 2], 'Z': [1 / 2, 1 / 2, 0]
+      };
+    }
+    case 'ORCI': {
+      const zeta = (1 + a * a / (c * c)) / 4;
+      const eta = (1 + b * b / (c * c)) / 4;
+      const delta = (b * b - a * a) / (4 * c * c);
+      const mu = (a * a + b * b) / (4 * c * c);
+      return {
+        'Γ': G, 'L': [-mu, mu, 1 / 2 - delta], 'L₁': [mu, -mu, 1 / 2 + delta],
+        'L₂': [1 / 2 - delta, 1 / 2 + delta, -mu], 'R': [0, 1 / 2, 0], 'S': [1 / 2, 0, 0],
+        'T': [0, 0, 1 / 2], 'W': [1 / 4, 1 / 4, 1 / 4], 'X': [-zeta, zeta, zeta],
+        'X₁': [zeta, 1 - zeta, -zeta], 'Y': [eta, -eta, eta], 'Y₁': [1 - eta, eta, -eta],
+        'Z': [1 / 2, 1 / 2, -1 / 2]
+      };
+    }
+    case 'ORCC': {
+      const zeta = (1 + a * a / (b * b)) / 4;
+      return {
+        'Γ': G, 'A': [zeta, zeta, 1 / 2], 'A₁': [-zeta, 1 - zeta, 1 / 2], 'R': [0, 1 / 2, 1 / 2],
+        'S': [0, 1 / 2, 0], 'T': [-1 / 2, 1 / 2, 1 / 2], 'X': [zeta, zeta, 0],
+        'X₁': [-zeta, 1 - zeta, 0], 'Y': [-1 / 2, 1 / 2, 0], 'Z': [0, 0, 1 / 2]
+      };
+    }
+    case 'HEX':
+      return {
+        'Γ': G, 'A': [0, 0, 1 / 2], 'H': [1 / 3, 1 / 3, 1 / 2], 'K': [1 / 3, 1 / 3, 0],
+        'L': [1 / 2, 0, 1 / 2], 'M': [1 / 2, 0, 0]
+      };
+    case 'RHL1': {
+      const eta = (1 + 4 * ca) / (2 + 4 * ca);
+      const nu = 3 / 4 - eta / 2;
+      return {
+        'Γ': G, 'B': [eta, 1 / 2, 1 - eta], 'B₁': [1 / 2, 1 - eta, eta - 1], 'F': [1 / 2, 1 / 2, 0],
+        'L': [1 / 2, 0, 0], 'L₁': [0, 0, -1 / 2], 'P': [eta, nu, nu], 'P₁': [1 - nu, 1 - nu, 1 - eta],
+        'P₂': [nu, nu, eta - 1], 'Q': [1 - nu, nu, 0], 'X': [nu, 0, -nu], 'Z': [1 / 2, 1 / 2, 1 / 2]
+      };
+    }
+    case 'RHL2': {
+      const t = Math.tan(alpha * DEG / 2);
+      const eta = 1 / (2 * t * t);
+      const nu = 3 / 4 - eta / 2;
+      return {
+        'Γ': G, 'F': [1 / 2, -1 / 2, 0], 'L': [1 / 2, 0, 0], 'P': [1 - nu, -nu, 1 - nu],
+        'P₁': [nu, nu - 1, nu - 1], 'Q': [eta, eta, eta], 'Q₁': [1 - eta, -eta, -eta],
+        'Z': [1 / 2, -1 / 2, 1 / 2]
+      };
+    }
+    case 'MCL': {
+      const eta = (1 - b * ca / c) / (2 * sa * sa);
+      const nu = 1 / 2 - eta * c * ca / b;
+      return {
+        'Γ': G, 'A': [1 / 2, 1 / 2, 0], 'C': [0, 1 / 2, 1 / 2], 'D': [1 / 2, 0, 1 / 2],
+        'D₁': [1 / 2, 0, -1 / 2], 'E': [1 / 2, 1 / 2, 1 / 2], 'H': [0, eta, 1 - nu],
+        'H₁': [0, 1 - eta, nu], 'H₂': [0, eta, -nu], 'M': [1 / 2, eta, 1 - nu],
+        'M₁': [1 / 2, 1 - eta, nu], 'M₂': [1 / 2, eta, -nu], 'X': [0, 1 / 2, 0],
+        'Y': [0, 0, 1 / 2], 'Y₁': [0, 0, -1 / 2], 'Z': [1 / 2, 0, 0]
+      };
+    }
+    case 'MCLC1':
+    case 'MCLC2': {
+      const zeta = (2 - b * ca / c) / (4 * sa * sa);
+      const eta = 1 / 2 + 2 * zeta * c * ca / b;
+      const psi = 3 / 4 - a * a / (4 * b * b * sa * sa);
+      const phi = psi + (3 / 4 - psi) * b * ca / c;
+      return {
+        'Γ': G, 'N': [1 / 2, 0, 0], 'N₁': [0, -1 / 2, 0], 'F': [1 - zeta, 1 - zeta, 1 - eta],
+        'F₁': [zeta, zeta, eta], 'F₂': [-zeta, -zeta, 1 - eta],
+        'I': [phi, 1 - phi, 1 / 2], 'I₁': [1 - phi, phi - 1, 1 / 2], 'L': [1 / 2, 1 / 2, 1 / 2],
+        'M': [1 / 2, 0, 1 / 2], 'X': [1 - psi, psi - 1, 0], 'X₁': [psi, 1 - psi, 0],
+        'X₂': [psi - 1, -psi, 0], 'Y': [1 / 2, 1 / 2, 0], 'Y₁': [-1 / 2, -1 / 2, 0], 'Z': [0, 0, 1 / 2]
+      };
+    }
+    case 'MCLC3':
+    case 'MCLC4': {
+      const mu = (1 + b * b / (a * a)) / 4;
+      const delta = b * c * ca / (2 * a * a);
+      const zeta = mu - 1 / 4 + (1 - b * ca / c) / (4 * sa * sa);
+      const eta = 1 / 2 + 2 * zeta * c * ca / b;
+      const phi = 1 + zeta - 2 * mu;
+      const psi = eta - 2 * delta;
+      return {
+        'Γ': G, 'F': [1 - phi, 1 - phi, 1 - psi], 'F₁': [phi, phi - 1, psi], 'F₂': [1 - phi, -phi, 1 - psi],
+        'H': [zeta, zeta, eta], 'H₁': [1 - zeta, -zeta, 1 - eta], 'H₂': [-zeta, -zeta, 1 - eta],
+        'I': [1 / 2, -1 / 2, 1 / 2], 'M': [1 / 2, 0, 1 / 2], 'N': [1 / 2, 0, 0], 'N₁': [0, -1 / 2, 0],
+        'X': [1 / 2, -1 / 2, 0], 'Y': [mu, mu, delta], 'Y₁': [1 - mu, -mu, -delta],
+        'Y₂': [-mu, -mu, -delta], 'Y₃': [mu, mu - 1, delta], 'Z': [0, 0, 1 / 2]
+      };
+    }
+    case 'MCLC5': {
+      const zeta = (b * b / (a * a) + (1 - b * ca / c) / (sa * sa)) / 4;
+      const eta = 1 / 2 + 2 * zeta * c * ca / b;
+      const mu = eta / 2 + b * b / (4 * a * a) - b * c * ca / (2 * a * a);
+      const nu = 2 * mu - zeta;
+      const rho = 1 - zeta * a * a / (b * b);
+      const omega = (4 * nu - 1 - b * b * sa * sa / (a * a)) * c / (2 * b * ca);
+      const delta = zeta * c * ca / b + omega / 2 - 1 / 4;
+      return {
+        'Γ': G, 'F': [nu, nu, omega], 'F₁': [1 - nu, 1 - nu, 1 - omega], 'F₂': [nu, nu - 1, omega],
+        'H': [zeta, zeta, eta], 'H₁': [1 - zeta, -zeta, 1 - eta], 'H₂': [-zeta, -zeta, 1 - eta],
+        'I': [rho, 1 - rho, 1 / 2], 'I₁': [1 - rho, rho - 1, 1 / 2], 'L': [1 / 2, 1 / 2, 1 / 2],
+        'M': [1 / 2, 0, 1 / 2], 'N': [1 / 2, 0, 0], 'N₁': [0, -1 / 2, 0], 'X': [1 / 2, -1 / 2, 0],
+        'Y': [mu, mu, delta], 'Y₁': [1 - mu, -mu, -delta], 'Y₂': [-mu, -mu, -delta],
+        'Y₃': [mu, mu - 1, delta], 'Z': [0, 0, 1 / 2]
+      };
+    }
+    case 'TRI1a':
+    case 'TRI2a':
+      // In the Delaunay-reduced basis (see getHighSymmetryPoints3D) the seven
+      // face pairs are ±v1, ±v2, ±v3, ±(v1+v2), ±(v2+v3), ±(v1+v3), ±(v1+v2+v3)
+      return {
+        'Γ': G, 'L': [1 / 2, 1 / 2, 0], 'M': [0, 1 / 2, 1 / 2], 'N': [1 / 2, 0, 1 / 2],
+        'R': [1 / 2, 1 / 2, 1 / 2], 'X': [1 / 2, 0, 0], 'Y': [0, 1 / 2, 0], 'Z': [0, 0, 1 / 2]
+      };
+    default:
+      return { 'Γ': G };
+  }
+}
+
+/** Angle between two vectors in degrees */
+function vangle(u, v) {
+  const cos = vdot(u, v) / (vlength(u) * vlength(v));
+  return Math.acos(Math.max(-1, Math.min(1, cos))) / DEG;
+}
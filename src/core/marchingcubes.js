@@ -0,0 +1,136 @@
+/**
+ * marchingcubes.js — Isolines and isosurfaces of a scalar field sampled on
+ * a regular grid.
+ *
+ * The classic marching-cubes polygonisation (Lorensen & Cline): every grid
+ * cube is classified by which of its eight corners lie below the isovalue,
+ * and the triangle table gives the surface through it, with vertices
+ * interpolated linearly along the cube edges. The edge and triangle tables
+ * are the ones three.js ships for its MarchingCubes object (Bourke's corner
+ * and edge numbering). Marching squares does the same for the squares of a
+ * 2D grid. Everything runs on the CPU.
+ */
+
+import { edgeTable, triTable } from 'three/examples/jsm/objects/MarchingCubes.js';
+
+/** Cube corners (Bourke's numbering) as grid offsets */
+const CORNERS = [
+  [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+  [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+];
+
+/** Square corners as grid offsets, and square edges as pairs of corners */
+const SQUARE_CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+const SQUARE_EDGES = [[0, 1], [1, 2], [2, 3], [3, 0]];
+
+/**
+ * Isoline segments through a square, as pairs of edges, by which corners lie
+ * below the isovalue. The two saddle cases (5 and 10) depend on the centre
+ * and are resolved in marchingSquares.
+ */
+const SQUARE_SEGMENTS = [
+  [], [[3, 0]], [[0, 1]], [[3, 1]],
+  [[1, 2]], null, [[0, 2]], [[3, 2]],
+  [[2, 3]], [[0, 2]], null, [[1, 2]],
+  [[1, 3]], [[0, 1]], [[3, 0]], []
+];
+
+/** Cube edges as pairs of corners */
+const EDGES = [
+  [0, 1], [1, 2], [2, 3], [3, 0],
+  [4, 5], [5, 6], [6, 7], [7, 4],
+  [0, 4], [1, 5], [2, 6], [3, 7]
+];
+
+/**
+ * Triangulate the isosurface field = iso.
+ *
+ * @param {ArrayLike<number>} field - Values at the grid points, x fastest:
+ *   field[x + nx·(y + ny·z)]
+ * @param {number[]} dims - Grid points along each axis, [nx, ny, nz]
+ * @param {number[]} origin - Position of grid point (0, 0, 0)
+ * @param {number} step - Grid spacing, the same along every axis
+ * @param {number} iso - Isovalue
+ * @returns {Array<Array<number[]>>} Triangles of three vertices each
+ */
+export function marchingCubes(field, dims, origin, step, iso) {
+  const [nx, ny, nz] = dims;
+  const offsets = CORNERS.map(([dx, dy, dz]) => dx + nx * (dy + ny * dz));
+  const values = new Float64Array(8);
+  const edgePoints = new Array(12);
+  const triangles = [];
+
+  for (let z = 0; z < nz - 1; z++) {
+    for (let y = 0; y < ny - 1; y++) {
+      for (let x = 0; x < nx - 1; x++) {
+        const base = x + nx * (y + ny * z);
+        let cubeIndex = 0;
+        for (let c = 0; c < 8; c++) {
+          values[c] = field[base + offsets[c]];
+          if (values[c] < iso) cubeIndex |= 1 << c;
+        }
+        const bits = edgeTable[cubeIndex];
+        if (bits === 0) continue;
+
+        for (let e = 0; e < 12; e++) {
+          if (!(bits & (1 << e))) continue;
+          const [a, b] = EDGES[e];
+          const t = (iso - values[a]) / (values[b] - values[a]);
+          edgePoints[e] = CORNERS[a].map((offset, i) => {
+            const cell = [x, y, z][i];
+            return origin[i] + step * (cell + offset + t * (CORNERS[b][i] - offset));
+          });
+        }
+        for (let i = 16 * cubeIndex; triTable[i] !== -1; i += 3) {
+          triangles.push([edgePoints[triTable[i]], edgePoints[triTable[i + 1]], edgePoints[triTable[i + 2]]]);
+        }
+      }
+    }
+  }
+  return triangles;
+}
+
+/**
+ * Trace the isoline field = iso.
+ *
+ * @param {ArrayLike<number>} field - Values at the grid points, x fastest:
+ *   field[x + nx·y]
+ * @param {number[]} dims - Grid points along each axis, [nx, ny]
+ * @param {number[]} origin - Position of grid point (0, 0)
+ * @param {number} step - Grid spacing, the same along both axes
+ * @param {number} iso - Isovalue
+ * @returns {Array<Array<number[]>>} Segments of two points each
+ */
+export function marchingSquares(field, dims, origin, step, iso) {
+  const [nx, ny] = dims;
+  const offsets = SQUARE_CORNERS.map(([dx, dy]) => dx + nx * dy);
+  const values = new Float64Array(4);
+  const segments = [];
+
+  for (let y = 0; y < ny - 1; y++) {
+    for (let x = 0; x < nx - 1; x++) {
+      const base = x + nx * y;
+      let squareIndex = 0;
+      for (let c = 0; c < 4; c++) {
+        values[c] = field[base + offsets[c]];
+        if (values[c] < iso) squareIndex |= 1 << c;
+      }
+      let pairs = SQUARE_SEGMENTS[squareIndex];
+      if (!pairs) {
+        // Saddle: the centre decides whether the two low corners connect
+        const centreLow = (values[0] + values[1] + values[2] + values[3]) / 4 < iso;
+        pairs = (squareIndex === 5) === centreLow ? [[0, 1], [2, 3]] : [[3, 0], [1, 2]];
+      }
+      const edgePoint = e => {
+        const [a, b] = SQUARE_EDGES[e];
+        const t = (iso - values[a]) / (values[b] - values[a]);
+        return SQUARE_CORNERS[a].map((offset, i) => {
+          const cell = [x, y][i];
+          return origin[i] + step * (cell + offset + t * (SQUARE_CORNERS[b][i] - offset));
+        });
+      };
+      for (const [e1, e2] of pairs) segments.push([edgePoint(e1), edgePoint(e2)]);
+    }
+  }
+  return segments;
+}
@@ -113,23 +113,21 @@ export function pointInConvexPolygon(point, polygon) {
 
 /**
  * Clip a convex polygon by a half-plane defined by n · x <= d.
- * Uses Sutherland-Hodgman algorithm.
+ * Uses Sutherland-Hodgman algorithm. Vertices on the line are kept as they
+ * are and new ones are only made where an edge strictly crosses it, so the
+ * result has no duplicate vertices.
  */
 export function clipPolygonByPlane2D(vertices, normal, d) {
   if (vertices.length === 0) return [];
+  const eps = 1e-9;
   const output = [];
   for (let i = 0; i < vertices.length; i++) {
     const current = vertices[i];
     const next = vertices[(i + 1) % vertices.length];
     const dc = vdot(normal, current) - d;
     const dn = vdot(normal, next) - d;
-    if (dc <= 1e-9) {
-      output.push(current);
-      if (dn > 1e-9) {
-        const t = dc / (dc - dn);
-        output.push(vlerp(current, next, t));
-      }
-    } else if (dn <= 1e-9) {
+    if (dc <= eps) output.push(current);
+    if ((dc < -eps && dn > eps) || (dc > eps && dn < -eps)) {
       const t = dc / (dc - dn);
       output.push(vlerp(current, next, t));
     }
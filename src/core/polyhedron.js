@@ -0,0 +1,286 @@
+/**
+ * polyhedron.js — Indexed meshes for convex polyhedra.
+ *
+ * A mesh is { vertices: [[x,y,z], ...], faces: [{ indices: [i, j, ...], normal }] }
+ * with every face loop counter-clockwise seen from outside. Neighbouring
+ * faces share vertex indices, so each edge i→j of one face is matched by
+ * j→i of exactly one other face.
+ *
+ * Plane cuts work on that topology rather than on coordinates: every vertex
+ * is classified once against the plane, an edge that crosses it gets one new
+ * vertex shared by both of its faces, and the cap is closed by chaining the
+ * edges the cut leaves unmatched. No duplicates to merge, no angle sort, and
+ * the result is a closed 2-manifold whenever the input is.
+ */
+
+import { vdot, vlength, vnormalize, vscale } from './math.js';
+import { boundingRadius } from './geometry.js';
+
+/**
+ * Relative tolerance of plane cuts: vertices within this fraction of the
+ * mesh's radius of a plane count as lying on it.
+ */
+export const MESH_TOLERANCE = 1e-9;
+
+/**
+ * Axis-aligned cube centred at the origin.
+ *
+ * @param {number} R - Half the edge length
+ * @returns {Object} Mesh
+ */
+export function boxMesh(R) {
+  // Corner i has coordinate signs given by its bits (x = 1, y = 2, z = 4)
+  const vertices = Array.from({ length: 8 }, (_, i) => [
+    i & 1 ? R : -R, i & 2 ? R : -R, i & 4 ? R : -R
+  ]);
+  const faces = [
+    { indices: [1, 3, 7, 5], normal: [1, 0, 0] },
+    { indices: [0, 4, 6, 2], normal: [-1, 0, 0] },
+    { indices: [2, 6, 7, 3], normal: [0, 1, 0] },
+    { indices: [0, 1, 5, 4], normal: [0, -1, 0] },
+    { indices: [4, 5, 7, 6], normal: [0, 0, 1] },
+    { indices: [0, 2, 3, 1], normal: [0, 0, -1] }
+  ];
+  return { vertices, faces };
+}
+
+/**
+ * Build a mesh from a face list ({ vertices, normal } per face), merging
+ * vertices that coincide within the tolerance.
+ *
+ * @param {Array} faces - Faces with CCW vertex loops
+ * @param {number} tolerance - Merge distance relative to the bounding radius
+ * @returns {Object} Mesh
+ */
+export function meshFromFaces(faces, tolerance = MESH_TOLERANCE) {
+  const eps = tolerance * boundingRadius(faces.flatMap(face => face.vertices));
+  const vertices = [];
+  const indexOf = (p) => {
+    const found = vertices.findIndex(v =>
+      Math.abs(v[0] - p[0]) <= eps && Math.abs(v[1] - p[1]) <= eps && Math.abs(v[2] - p[2]) <= eps
+    );
+    if (found >= 0) return found;
+    vertices.push(p);
+    return vertices.length - 1;
+  };
+
+  const meshFaces = [];
+  for (const face of faces) {
+    const indices = [];
+    for (const p of face.vertices) {
+      const i = indexOf(p);
+      if (indices[indices.length - 1] !== i) indices.push(i);
+    }
+    if (indices.length > 1 && indices[0] === indices[indices.length - 1]) indices.pop();
+    if (indices.length >= 3) meshFaces.push({ indices, normal: face.normal });
+  }
+  return { vertices, faces: meshFaces };
+}
+
+/**
+ * Face list of a mesh, in the { vertices, normal } form the renderers and
+ * geometry utilities take.
+ *
+ * @param {Object} mesh
+ * @returns {Array} Faces
+ */
+export function meshToFaces(mesh) {
+  return mesh.faces.map(face => ({
+    vertices: face.indices.map(i => mesh.vertices[i]),
+    normal: face.normal
+  }));
+}
+
+/**
+ * Cut a mesh by the plane normal·k = d.
+ *
+ * Both halves are closed with a cap on the plane. A half that would be
+ * empty is null; when the plane misses the mesh (up to the tolerance), the
+ * mesh itself is returned as the other half.
+ *
+ * @param {Object} mesh - Closed convex mesh
+ * @param {Array} normal - Plane normal (need not be unit length)
+ * @param {number} d - Plane offset
+ * @param {number} tolerance - On-plane distance relative to the mesh radius
+ * @returns {{ below: Object|null, above: Object|null }} The parts with
+ *   normal·k ≤ d and ≥ d
+ */
+export function splitMesh(mesh, normal, d, tolerance = MESH_TOLERANCE) {
+  const { vertices } = mesh;
+  const eps = tolerance * vlength(normal) * boundingRadius(vertices);
+  const dist = vertices.map(v => vdot(normal, v) - d);
+  const side = dist.map(s => (s > eps ? 1 : s < -eps ? -1 : 0));
+  if (!side.includes(1)) return { below: mesh, above: null };
+  if (!side.includes(-1)) return { below: null, above: mesh };
+
+  // One new vertex per crossing edge, shared by both halves and both faces
+  const points = vertices.slice();
+  const crossings = new Map();
+  const cut = (i, j) => {
+    const [a, b] = i < j ? [i, j] : [j, i];
+    const key = a * vertices.length + b;
+    let index = crossings.get(key);
+    if (index === undefined) {
+      const t = dist[a] / (dist[a] - dist[b]);
+      points.push(vertices[a].map((x, k) => x + (vertices[b][k] - x) * t));
+      index = points.length - 1;
+      crossings.set(key, index);
+    }
+    return index;
+  };
+
+  const unit = vnormalize(normal);
+  return {
+    below: clipHalf(mesh.faces, points, side, cut, -1, unit),
+    above: clipHalf(mesh.faces, points, side, cut, 1, vscale(unit, -1))
+  };
+}
+
+/**
+ * Clip a mesh to the half-space normal·k ≤ d.
+ *
+ * @param {Object} mesh - Closed convex mesh
+ * @param {Array} normal - Plane normal
+ * @param {number} d - Plane offset
+ * @param {number} tolerance - See splitMesh
+ * @returns {Object} Clipped mesh; empty when nothing is left
+ */
+export function clipMesh(mesh, normal, d, tolerance = MESH_TOLERANCE) {
+  return splitMesh(mesh, normal, d, tolerance).below ?? { vertices: [], faces: [] };
+}
+
+/**
+ * Keep the side `sign` (−1 or +1) of a classified mesh and close it with a
+ * cap whose outward normal is capNormal.
+ */
+function clipHalf(faces, points, side, cut, sign, capNormal) {
+  const onPlane = i => i >= side.length || side[i] === 0;
+  const kept = [];
+  for (const face of faces) {
+    const { indices } = face;
+    const loop = [];
+    for (let k = 0; k < indices.length; k++) {
+      const i = indices[k];
+      const j = indices[(k + 1) % indices.length];
+      if (side[i] !== -sign) loop.push(i);
+      if (side[i] * side[j] === -1) loop.push(cut(i, j));
+    }
+    // A face lying in the plane is replaced by the cap
+    if (loop.length >= 3 && !loop.every(onPlane)) kept.push({ indices: loop, normal: face.normal });
+  }
+
+  // The edges left without a twin all lie in the plane; reversed, they
+  // chain into the cap loop
+  const n = points.length;
+  const edges = new Set();
+  for (const { indices } of kept) {
+    indices.forEach((i, k) => edges.add(i * n + indices[(k + 1) % indices.length]));
+  }
+  const capNext = new Map();
+  for (const { indices } of kept) {
+    indices.forEach((i, k) => {
+      const j = indices[(k + 1) % indices.length];
+      if (!edges.has(j * n + i)) {
+        if (!capNext.has(j)) capNext.set(j, []);
+        capNext.get(j).push(i);
+      }
+    });
+  }
+  for (const [start, targets] of capNext) {
+    while (targets.length > 0) {
+      const loop = [start];
+      let v = targets.pop();
+      while (v !== start && v !== undefined) {
+        loop.push(v);
+        v = capNext.get(v)?.pop();
+      }
+      if (v === start && loop.length >= 3) kept.push({ indices: loop, normal: capNormal });
+    }
+  }
+  return compactMesh(points, kept);
+}
+
+/**
+ * Drop unused vertices and renumber the rest in order of first use.
+ */
+function compactMesh(points, faces) {
+  const remap = new Map();
+  const vertices = [];
+  const compacted = faces.map(face => ({
+    indices: face.indices.map(i => {
+      if (!remap.has(i)) {
+        remap.set(i, vertices.length);
+        vertices.push(points[i]);
+      }
+      return remap.get(i);
+    }),
+    normal: face.normal
+  }));
+  return { vertices, faces: compacted };
+}
+
+/**
+ * Vertex, edge and face adjacency of a mesh.
+ *
+ * Edge e joins edges[e].vertices = [i, j]; edges[e].faces = [f, g] holds
+ * the face running i→j first and the one running j→i second (−1 if there is
+ * none). faceEdges and faceNeighbours follow each face's loop, so
+ * faceNeighbours[f][k] lies across the edge from its kth to its (k+1)th vertex.
+ *
+ * @param {Object} mesh
+ * @returns {{ edges: Array<{ vertices: number[], faces: number[] }>,
+ *   vertexEdges: number[][], vertexFaces: number[][],
+ *   faceEdges: number[][], faceNeighbours: number[][] }}
+ */
+export function meshAdjacency(mesh) {
+  const edges = [];
+  const edgeIndex = new Map();
+  const vertexEdges = mesh.vertices.map(() => []);
+  const vertexFaces = mesh.vertices.map(() => []);
+  const faceEdges = mesh.faces.map(({ indices }, f) => indices.map((i, k) => {
+    const j = indices[(k + 1) % indices.length];
+    vertexFaces[i].push(f);
+    const key = i < j ? `${i},${j}` : `${j},${i}`;
+    let e = edgeIndex.get(key);
+    if (e === undefined) {
+      e = edges.length;
+      edges.push({ vertices: [i, j], faces: [-1, -1] });
+      edgeIndex.set(key, e);
+      vertexEdges[i].push(e);
+      vertexEdges[j].push(e);
+    }
+    edges[e].faces[edges[e].vertices[0] === i ? 0 : 1] = f;
+    return e;
+  }));
+  const faceNeighbours = faceEdges.map((loop, f) => loop.map(e => {
+    const [g, h] = edges[e].faces;
+    return g === f ? h : g;
+  }));
+  return { edges, vertexEdges, vertexFaces, faceEdges, faceNeighbours };
+}
+
+/**
+ * Whether a mesh is a closed, consistently oriented 2-manifold of genus 0:
+ * every directed edge appears once and is matched by its reverse, every
+ * vertex is used, and V − E + F = 2.
+ *
+ * @param {Object} mesh
+ * @returns {boolean}
+ */
+export function isClosedManifold(mesh) {
+  const directed = new Set();
+  for (const { indices } of mesh.faces) {
+    for (let k = 0; k < indices.length; k++) {
+      const key = `${indices[k]},${indices[(k + 1) % indices.length]}`;
+      if (directed.has(key)) return false;
+      directed.add(key);
+    }
+  }
+  for (const key of directed) {
+    const [i, j] = key.split(',');
+    if (!directed.has(`${j},${i}`)) return false;
+  }
+  const { edges, vertexFaces } = meshAdjacency(mesh);
+  if (vertexFaces.some(faces => faces.length === 0)) return false;
+  return mesh.vertices.length - edges.length + mesh.faces.length === 2;
+}
@@ -0,0 +1,74 @@
+/**
+ * reduction.js — Lattice basis reduction.
+ *
+ * A skewed basis describes the same lattice as a nearly orthogonal one, but
+ * enumerating integer combinations of it over a fixed index range misses
+ * short vectors. Reducing first makes such enumerations complete:
+ *   2D: Lagrange–Gauss reduction (the 2D Niggli cell)
+ *   3D: Selling reduction to an obtuse superbase (the Delaunay cell)
+ */
+
+import { vadd, vsub, vscale, vdot, vcross } from './math.js';
+
+/**
+ * Lagrange–Gauss reduction of a 2D basis.
+ * Returns [u, v] spanning the same lattice with |u| ≤ |v| and |u·v| ≤ |u|²/2,
+ * oriented with the same handedness as the input.
+ */
+export function reduceBasis2D(b1, b2) {
+  let u = b1;
+  let v = b2;
+  if (vdot(u, u) > vdot(v, v)) [u, v] = [v, u];
+  for (let iter = 0; iter < 1000; iter++) {
+    const m = Math.round(vdot(u, v) / vdot(u, u));
+    v = vsub(v, vscale(u, m));
+    if (vdot(v, v) >= vdot(u, u) - 1e-12) break;
+    [u, v] = [v, u];
+  }
+  const detIn = b1[0] * b2[1] - b1[1] * b2[0];
+  const detOut = u[0] * v[1] - u[1] * v[0];
+  if (detIn * detOut < 0) v = vscale(v, -1);
+  return [u, v];
+}
+
+/**
+ * Selling reduction of a 3D basis to an obtuse superbase.
+ * Returns [v0, v1, v2, v3] with v0 + v1 + v2 + v3 = 0 and v_i · v_j ≤ 0
+ * for every pair i ≠ j. Any three of the four span the lattice.
+ */
+export function sellingSuperbase3D(b1, b2, b3) {
+  const v = [vscale(vadd(vadd(b1, b2), b3), -1), b1, b2, b3];
+  const scale = vdot(b1, b1) + vdot(b2, b2) + vdot(b3, b3);
+  for (let iter = 0; iter < 1000; iter++) {
+    let pair = null;
+    for (let i = 0; i < 4 && !pair; i++) {
+      for (let j = i + 1; j < 4; j++) {
+        if (vdot(v[i], v[j]) > 1e-12 * scale) { pair = [i, j]; break; }
+      }
+    }
+    if (!pair) break;
+    const [i, j] = pair;
+    for (let k = 0; k < 4; k++) {
+      if (k !== i && k !== j) v[k] = vadd(v[k], v[i]);
+    }
+    v[i] = vscale(v[i], -1);
+  }
+  return v;
+}
+
+/**
+ * Delaunay reduction of a 3D basis.
+ * Returns the three shortest vectors of the obtuse superbase, ordered by
+ * length and oriented with the same handedness as the input.
+ */
+export function reduceBasis3D(b1, b2, b3) {
+  const superbase = sellingSuperbase3D(b1, b2, b3);
+  let [u, v, w] = superbase
+    .slice()
+    .sort((p, q) => vdot(p, p) - vdot(q, q))
+    .slice(0, 3);
+  if (vdot(b1, vcross(b2, b3)) * vdot(u, vcross(v, w)) < 0) {
+    [u, v, w] = [vscale(u, -1), vscale(v, -1), vscale(w, -1)];
+  }
+  return [u, v, w];
+}
@@ -0,0 +1,141 @@
+/**
+ * symmetry.js — Point groups acting on k-space.
+ *
+ * The point group of the lattice comes from classify.js (latticePointGroup)
+ * as Cartesian matrices. A crystal keeps those operations that map its atoms
+ * onto atoms of the same species, up to a translation, so screw axes and
+ * glide planes count as their rotation or mirror. Time reversal adds k → −k
+ * to whatever group is left, and computeIBZ2D / computeIBZ3D in brillouin.js
+ * cut the 1st zone down to one wedge of the result.
+ */
+
+import { vdot, vcross } from './math.js';
+
+/** Point groups by the number of operations of each kind (see operationKind) */
+const POINT_GROUPS_2D = {
+  '1,0,0,0,0,0': '1', '1,1,0,0,0,0': '2', '1,0,0,0,0,1': 'm', '1,1,0,0,0,2': '2mm',
+  '1,0,2,0,0,0': '3', '1,0,2,0,0,3': '3m', '1,1,0,2,0,0': '4', '1,1,0,2,0,4': '4mm',
+  '1,1,2,0,2,0': '6', '1,1,2,0,2,6': '6mm'
+};
+
+const POINT_GROUPS_3D = {
+  '1,0,0,0,0,0,0,0,0,0': '1', '1,0,0,0,0,1,0,0,0,0': '1̄',
+  '1,1,0,0,0,0,0,0,0,0': '2', '1,0,0,0,0,0,1,0,0,0': 'm', '1,1,0,0,0,1,1,0,0,0': '2/m',
+  '1,3,0,0,0,0,0,0,0,0': '222', '1,1,0,0,0,0,2,0,0,0': 'mm2', '1,3,0,0,0,1,3,0,0,0': 'mmm',
+  '1,1,0,2,0,0,0,0,0,0': '4', '1,1,0,0,0,0,0,0,2,0': '4̄', '1,1,0,2,0,1,1,0,2,0': '4/m',
+  '1,5,0,2,0,0,0,0,0,0': '422', '1,1,0,2,0,0,4,0,0,0': '4mm', '1,3,0,0,0,0,2,0,2,0': '4̄2m',
+  '1,5,0,2,0,1,5,0,2,0': '4/mmm',
+  '1,0,2,0,0,0,0,0,0,0': '3', '1,0,2,0,0,1,0,2,0,0': '3̄', '1,3,2,0,0,0,0,0,0,0': '32',
+  '1,0,2,0,0,0,3,0,0,0': '3m', '1,3,2,0,0,1,3,2,0,0': '3̄m',
+  '1,1,2,0,2,0,0,0,0,0': '6', '1,0,2,0,0,0,1,0,0,2': '6̄', '1,1,2,0,2,1,1,2,0,2': '6/m',
+  '1,7,2,0,2,0,0,0,0,0': '622', '1,1,2,0,2,0,6,0,0,0': '6mm', '1,3,2,0,0,0,4,0,0,2': '6̄m2',
+  '1,7,2,0,2,1,7,2,0,2': '6/mmm',
+  '1,3,8,0,0,0,0,0,0,0': '23', '1,3,8,0,0,1,3,8,0,0': 'm3̄', '1,9,8,6,0,0,0,0,0,0': '432',
+  '1,3,8,0,0,0,6,0,6,0': '4̄3m', '1,9,8,6,0,1,9,8,6,0': 'm3̄m'
+};
+
+/** Apply a matrix (rows) to a vector */
+export function applyOperation(R, v) {
+  return R.map(row => vdot(row, v));
+}
+
+/**
+ * Kind of a point operation, from its determinant and trace: the index into
+ * the counts of POINT_GROUPS_2D (E, 2, 3, 4, 6, m) or POINT_GROUPS_3D
+ * (E, 2, 3, 4, 6, 1̄, m, 3̄, 4̄, 6̄).
+ */
+function operationKind(R) {
+  const trace = Math.round(R.reduce((s, row, i) => s + row[i], 0));
+  if (R.length === 2) {
+    return determinant(R) > 0 ? { 2: 0, [-2]: 1, [-1]: 2, 0: 3, 1: 4 }[trace] : 5;
+  }
+  return determinant(R) > 0
+    ? { 3: 0, [-1]: 1, 0: 2, 1: 3, 2: 4 }[trace]
+    : { [-3]: 5, 1: 6, 0: 7, [-1]: 8, [-2]: 9 }[trace];
+}
+
+function determinant(R) {
+  return R.length === 2
+    ? R[0][0] * R[1][1] - R[0][1] * R[1][0]
+    : vdot(R[0], vcross(R[1], R[2]));
+}
+
+/**
+ * Hermann–Mauguin symbol of a point group.
+ *
+ * @param {Array} ops - Cartesian matrices of the group
+ * @returns {string} e.g. 'm3̄m', or '?' if the operations are not a crystallographic group
+ */
+export function pointGroupSymbol(ops) {
+  const dim = ops[0].length;
+  const counts = new Array(dim === 2 ? 6 : 10).fill(0);
+  for (const R of ops) {
+    const kind = operationKind(R);
+    if (kind === undefined) return '?';
+    counts[kind]++;
+  }
+  return (dim === 2 ? POINT_GROUPS_2D : POINT_GROUPS_3D)[counts.join(',')] ?? '?';
+}
+
+/**
+ * Add time reversal (k → −k) to a point group acting on k-space.
+ *
+ * @param {Array} ops - Cartesian matrices of the group
+ * @returns {Array} The group generated by ops and −1
+ */
+export function withTimeReversal(ops) {
+  const result = ops.slice();
+  for (const R of ops) {
+    const inverted = R.map(row => row.map(v => -v));
+    if (!result.some(S => sameMatrix(S, inverted))) result.push(inverted);
+  }
+  return result;
+}
+
+function sameMatrix(R, S) {
+  return R.every((row, i) => row.every((v, j) => Math.abs(v - S[i][j]) < 1e-9));
+}
+
+/**
+ * Point group of a crystal: the lattice operations R for which some
+ * translation t maps every atom x to an atom R·x + t of the same species,
+ * modulo lattice vectors.
+ *
+ * @param {Array} ops - Lattice point group (latticePointGroup)
+ * @param {Array} basis - Real-space primitive vectors [a1, a2, a3]
+ * @param {Array<{ species: string, position: Array }>} atoms - Cartesian
+ *   positions in the units of the basis
+ * @param {number} tolerance - Allowed mismatch in fractional coordinates
+ * @returns {Array} The operations that survive, identity first
+ */
+export function crystalPointGroup(ops, basis, atoms, tolerance = 1e-3) {
+  if (!atoms || atoms.length === 0) return ops;
+  const [u, v, w] = basis;
+  const det = vdot(u, vcross(v, w));
+  const dual = [vcross(v, w), vcross(w, u), vcross(u, v)].map(d => d.map(x => x / det));
+  const fractional = x => dual.map(d => vdot(d, x));
+  const sites = atoms.map(({ species, position }) => ({ species, f: fractional(position) }));
+  const matches = (f, g) => f.every((x, i) => {
+    const delta = x - g[i];
+    return Math.abs(delta - Math.round(delta)) <= tolerance;
+  });
+
+  // Translations are tried from the rarest species, whose first atom must
+  // land on one of its own kind
+  const counts = new Map();
+  for (const { species } of sites) counts.set(species, (counts.get(species) ?? 0) + 1);
+  const anchor = sites.reduce((best, s) => (counts.get(s.species) < counts.get(best.species) ? s : best));
+
+  return ops.filter(R => {
+    const moved = atoms.map(({ position }) => fractional(applyOperation(R, position)));
+    const anchorMoved = moved[sites.indexOf(anchor)];
+    return sites.some(target => {
+      if (target.species !== anchor.species) return false;
+      const t = target.f.map((x, i) => x - anchorMoved[i]);
+      return moved.every((f, k) => {
+        const image = f.map((x, i) => x + t[i]);
+        return sites.some(s => s.species === sites[k].species && matches(image, s.f));
+      });
+    });
+  });
+}
@@ -0,0 +1,151 @@
+/**
+ * tightbinding.js — Built-in tight-binding models, evaluated at k-points.
+ *
+ *   s band    One orbital per site of a square, SC, FCC or BCC lattice:
+ *             E(k) = ε₀ − t Σ_R cos(k·R) − t′ Σ_R′ cos(k·R′),
+ *             R over the nearest and R′ over the next-nearest neighbours.
+ *   graphene  Two sites per cell of the hexagonal lattice (honeycomb),
+ *             E±(k) = ±√((Δ/2)² + t²|f(k)|²), f(k) = Σ_δ e^{ik·δ} over the
+ *             three nearest-neighbour bonds δ; Δ is the on-site energy
+ *             difference of the two sublattices (0 for graphene, ≠ 0 for hBN).
+ *
+ * Neighbours are found from the real-space cell rather than tabulated, so the
+ * models hold for any a (and any primitive cell a custom lattice reduces to).
+ * k is in the units of the reciprocal lattice (2π over the cell's length
+ * unit), energies in those of the hopping parameters.
+ */
+
+import { vadd, vscale, vdot, vlength } from './math.js';
+import { reduceBasis2D, reduceBasis3D } from './reduction.js';
+
+/**
+ * Models, with the lattice types they apply to in each mode and their
+ * parameters ({ key, label, value } with the default value).
+ */
+export const TB_MODELS = {
+  's-band': {
+    name: 's band (t, t′)',
+    lattices: { '2d': ['square'], '3d': ['cubic', 'fcc', 'bcc'] },
+    params: [
+      { key: 'e0', label: 'ε₀', value: 0 },
+      { key: 't', label: 't', value: 1 },
+      { key: 't2', label: 't′', value: 0 }
+    ]
+  },
+  'graphene': {
+    name: 'Graphene π bands (t, Δ)',
+    lattices: { '2d': ['hexagonal'] },
+    params: [
+      { key: 't', label: 't', value: 2.7 },
+      { key: 'delta', label: 'Δ', value: 0 }
+    ]
+  }
+};
+
+/** Relative tolerance for lattice vectors to belong to the same shell */
+const SHELL_TOLERANCE = 1e-6;
+
+/**
+ * Keys of the models that apply to a lattice type.
+ * @param {string} latticeType - Lattice key, or the type a custom cell was classified as
+ * @param {string} mode - '2d' or '3d'
+ * @returns {string[]}
+ */
+export function tightBindingModels(latticeType, mode) {
+  return Object.keys(TB_MODELS).filter(key => TB_MODELS[key].lattices[mode]?.includes(latticeType));
+}
+
+/**
+ * Band energies of a model along a list of k-points.
+ *
+ * @param {string} model - Key of TB_MODELS
+ * @param {Object} params - Parameter values by key; defaults fill the gaps
+ * @param {Array} cell - Real-space primitive vectors
+ * @param {Array} kpoints - k-points in Cartesian coordinates
+ * @returns {Array<Float64Array>} bands[n][i] = E_n(k_i), bands in ascending order
+ */
+export function tightBindingBands(model, params, cell, kpoints) {
+  const values = Object.fromEntries(TB_MODELS[model].params.map(({ key, value }) => [key, params[key] ?? value]));
+  if (model === 'graphene') {
+    const { t, delta } = values;
+    const bonds = honeycombBonds(cell);
+    const lower = new Float64Array(kpoints.length);
+    const upper = new Float64Array(kpoints.length);
+    kpoints.forEach((k, i) => {
+      let re = 0;
+      let im = 0;
+      for (const d of bonds) {
+        re += Math.cos(vdot(k, d));
+        im += Math.sin(vdot(k, d));
+      }
+      const E = Math.sqrt(delta * delta / 4 + t * t * (re * re + im * im));
+      lower[i] = -E;
+      upper[i] = E;
+    });
+    return [lower, upper];
+  }
+
+  const { e0, t, t2 } = values;
+  const [first, second] = neighbourShells(cell, 2);
+  const band = new Float64Array(kpoints.length);
+  kpoints.forEach((k, i) => {
+    let E = e0;
+    for (const R of first) E -= t * Math.cos(vdot(k, R));
+    for (const R of second) E -= t2 * Math.cos(vdot(k, R));
+    band[i] = E;
+  });
+  return [band];
+}
+
+/**
+ * The innermost shells of lattice vectors, nearest first.
+ *
+ * @param {Array} cell - Real-space primitive vectors
+ * @param {number} count - Number of shells
+ * @returns {Array<Array>} Shells of vectors of equal length
+ */
+export function neighbourShells(cell, count) {
+  const basis = cell.length === 2 ? reduceBasis2D(...cell) : reduceBasis3D(...cell);
+  const range = count + 1;
+  const vectors = [];
+  const indices = (dim) => dim === 0
+    ? [[]]
+    : indices(dim - 1).flatMap(rest => Array.from({ length: 2 * range + 1 }, (_, n) => [n - range, ...rest]));
+  for (const n of indices(basis.length)) {
+    if (n.every(x => x === 0)) continue;
+    vectors.push(n.reduce((sum, x, i) => vadd(sum, vscale(basis[i], x)), basis[0].map(() => 0)));
+  }
+  vectors.sort((u, v) => vlength(u) - vlength(v));
+
+  const shells = [];
+  for (const R of vectors) {
+    const shell = shells[shells.length - 1];
+    if (shell && Math.abs(vlength(R) - vlength(shell[0])) <= SHELL_TOLERANCE * vlength(shell[0])) {
+      shell.push(R);
+    } else if (shells.length < count) {
+      shells.push([R]);
+    } else {
+      break;
+    }
+  }
+  return shells;
+}
+
+/**
+ * The three nearest-neighbour bonds of the honeycomb on a hexagonal cell:
+ * from the A site at the origin to the B sites, B sitting at the centroid of
+ * a lattice triangle (0, a1, a2) or (0, a1, a1 + a2), whichever is
+ * equilateral.
+ */
+function honeycombBonds(cell) {
+  const [a1, a2] = cell;
+  const tau = vdot(a1, a2) > 0 ? vscale(vadd(a1, a2), 1 / 3) : vscale(vadd(vscale(a1, 2), a2), 1 / 3);
+  const candidates = [];
+  for (let i = -1; i <= 1; i++) {
+    for (let j = -1; j <= 1; j++) {
+      candidates.push(vadd(tau, vadd(vscale(a1, i), vscale(a2, j))));
+    }
+  }
+  candidates.sort((u, v) => vlength(u) - vlength(v));
+  return candidates.slice(0, 3);
+}
@@ -12,29 +12,127 @@ import {
   LATTICE_2D, LATTICE_3D,
   reciprocal2D, reciprocal3D,
   generateReciprocalPoints2D, generateReciprocalPoints3D,
-  getHighSymmetryPoints2D, getHighSymmetryPoints3D
+  generateReciprocalPointsWithin2D, generateReciprocalPointsWithin3D,
+  getHighSymmetryPoints2D, getHighSymmetryPoints3D, conventionalCell, standardMCLC
 } from './core/lattice.js';
 
-import { computeFirstBZ2D, computeNthBZ2D, computeFirstBZ3D, computeZoneMapPixelBased, getBraggPlanes } from './core/brillouin.js';
+import { classifyLattice, describeClassification, latticePointGroup } from './core/classify.js';
+import { crystalPointGroup, withTimeReversal, pointGroupSymbol } from './core/symmetry.js';
+import { polygonArea, polyhedronVolume } from './core/geometry.js';
+import { vadd, vsub, vdot, vcross, vscale, vlength } from './core/math.js';
+import { meshToFaces, meshAdjacency, isClosedManifold } from './core/polyhedron.js';
+import { standardKPath2D, standardKPath3D, resolveKPath, sampleKPath } from './core/kpath.js';
+import { generateKMesh, reduceKMesh } from './core/kmesh.js';
+import { tightBindingModels, tightBindingBands } from './core/tightbinding.js';
+import { fermiWavevector, fermiArcs2D, occupiedPieces2D, fermiSurface3D } from './core/fermi.js';
+import { zoneGrid, contourInZone2D, surfaceInZone3D } from './core/contours.js';
+import { xrayWavelength, incidentWavevector, ewaldReflections } from './core/ewald.js';
+import {
+  boundaryEnergy, freeElectronBranches, sortBands, findDegeneracies, sampleLine, braggCrossings, zonesAt
+} from './core/emptylattice.js';
+import {
+  computeFirstBZ2D, computeZones2D, zoneBoundingRadius2D,
+  computeFirstBZMesh3D, computeZones3D, zoneBoundingRadius3D,
+  foldZone2D, foldZone3D, zoneMeasures, computeIBZ2D, computeIBZ3D,
+  computeZoneMapRows, generateSpectralColors, getBraggPlanes
+} from './core/brillouin.js';
 import { Renderer2D } from './render/render2d.js';
-import { Renderer3D } from './render/render3d.js';
+import { Renderer3D, IBZ_COLOR_3D } from './render/render3d.js';
+import { BandPlot } from './render/bandplot.js';
 import { createEnvironmentMap, applyRayTraceSettings, removeRayTraceSettings } from './render/raytracer.js';
-import { exportCanvas2D, exportCanvas3D, downloadDataURL } from './render/export.js';
-import { state, initControls, update2D3DVisibility } from './ui/controls.js';
+import {
+  exportCanvas2D, exportCanvas3D, exportSVG2D, exportZoneMeasuresCSV, downloadDataURL
+} from './render/export.js';
+import { ZoneMapPool } from './workers/zoneMapPool.js';
+import {
+  state, initControls, update2D3DVisibility, showZoneProgress, pickKPathPoint, showKPathPanel,
+  showBandModels, showFermiSheets, showContourEnergy
+} from './ui/controls.js';
 import { initMenu } from './ui/menu.js';
 import { LabelManager } from './ui/labels.js';
 import glossary from './notes/glossary.json';
 
 let renderer2d = null;
 let renderer3d = null;
+let realRenderer2d = null;
+let realRenderer3d = null;
+let bandPlot = null;
 let labelManager = null;
 let currentHighSymmetryPoints = {};
+let currentStandardKPath = [];
 let envMap = null;
 
+/** Highest zone drawn in 3D; the fragment count grows roughly linearly with n */
+const MAX_ZONE_3D = 10;
+
+/** Workers computing the pixel zone map, if the browser has them */
+const zoneMapPool = typeof Worker !== 'undefined' ? new ZoneMapPool() : null;
+
+/** Pixel zone map of the last view, and the view of the job in flight */
+let zoneMapCache = { key: null, dataKey: null, grid: null, imageData: null };
+let pendingZoneMapKey = null;
+let zoneMapTimer = null;
+
+/** Delay (ms) before a zone map is computed for a view that stopped changing */
+const ZONE_MAP_DELAY = 120;
+
+/** 2D zone data of the last lattice and zone count (see zoneData2D) */
+let zoneCache2D = { key: null };
+
+/** Fermi circle of the last lattice and electron count (see updateFermi2D) */
+let fermiCache2D = { key: null };
+
+/** Fermi surface of the last lattice, electron count and k-grid (see updateFermi3D) */
+let fermiCache3D = { key: null };
+
+/** Names of zone faces by their number of sides */
+const FACE_SHAPES = { 3: 'triangular', 4: 'quadrilateral', 5: 'pentagonal', 6: 'hexagonal' };
+
+/** Lattice and scene of the last update2D, redrawn on pan and zoom */
+let current2D = null;
+
+/** Last zone measure check, { rows, dimension }, for CSV export */
+let lastZoneMeasures = null;
+
+/** Irreducible k-points listed in the mesh panel at most */
+const MAX_MESH_ROWS = 500;
+
+/** Sampled k-path (sampleKPath plus its segments) while it is drawn or plotted along, else null */
+let currentKPath = null;
+
+/** Lattice behind the band plot: { cell, labelType, reciprocalBasis } of the last update */
+let currentBandLattice = null;
+
+/** k-grid cells across the 1st zone for the constant-energy contour (2D) and surface (3D) */
+const CONTOUR_GRID_2D = 240;
+const CONTOUR_GRID_3D = 48;
+
+/** Tight-binding bands on the contour k-grid of the last lattice and model (see updateContour) */
+let contourCache = { key: null };
+
+/** Reciprocal lattice points the Ewald construction searches at most */
+const MAX_EWALD_POINTS = 20000;
+
+/** Reflections listed in the Ewald panel at most */
+const MAX_EWALD_ROWS = 200;
+
+/**
+ * Real space is drawn 2π times larger than reciprocal space, so that a cell
+ * of side a fills its panel as a zone of side 2π/a does.
+ */
+const REAL_SPACE_ZOOM = 2 * Math.PI;
+
+/** Space view and mode the panels were last laid out for (see layoutViews) */
+let viewLayout = null;
+
 /**
  * Compute and render the current Brillouin zone based on UI state.
  */
 function update() {
+  if (state.mode !== '2d' || state.zoneRendering !== 'pixel' || state.foldZone) {
+    cancelZoneMap();
+  }
+  layoutViews();
   if (state.mode === '2d') {
     update2D();
   } else {
@@ -43,7 +141,292 @@ function update() {
 }
 
 /**
- * Compute and render 2D Brillouin zones.
+ * Show the reciprocal-space panel, the real-space one or both side by side,
+ * and fit the renderers of the current mode to their panels when the layout
+ * changes. In real space alone the reciprocal panel is only hidden, so it
+ * keeps its size.
+ */
+function layoutViews() {
+  const layout = `${state.spaceView}|${state.mode}`;
+  if (layout === viewLayout) return;
+  viewLayout = layout;
+  const viewport = document.getElementById('viewport');
+  viewport.classList.toggle('space-real', state.spaceView === 'real');
+  viewport.classList.toggle('space-both', state.spaceView === 'both');
+  const renderers = state.mode === '2d' ? [renderer2d, realRenderer2d] : [renderer3d, realRenderer3d];
+  for (const renderer of renderers) {
+    if (renderer) renderer.resize();
+  }
+}
+
+/**
+ * Arguments for the current lattice function: the raw basis vectors for the
+ * custom lattice, the editable parameters for every named preset.
+ */
+function latticeInput() {
+  return state.latticeType === 'custom' ? state.customBasis : state.latticeParams;
+}
+
+/**
+ * Build the current lattice. A custom cell is classified first and replaced
+ * by the equivalent primitive cell of its detected Bravais type, so that the
+ * high-symmetry points come from that type's branch.
+ *
+ * @returns {Object} { lattice, labelType, classification } — classification
+ *   is null for the named presets
+ */
+function buildLattice(latticeFn) {
+  const lattice = latticeFn(latticeInput());
+  if (state.latticeType !== 'custom') {
+    return { lattice, labelType: labelTypeOf(state.latticeType, lattice.params), classification: null };
+  }
+  const vectors = lattice.a3 ? [lattice.a1, lattice.a2, lattice.a3] : [lattice.a1, lattice.a2];
+  const classification = classifyLattice(vectors, state.symmetryTolerance / 100);
+  const [a1, a2, a3] = classification.basis;
+  return {
+    lattice: { ...lattice, a1, a2, ...(a3 ? { a3 } : {}), params: classification.params },
+    labelType: labelTypeOf(classification.type, classification.params),
+    classification
+  };
+}
+
+/**
+ * Lattice type whose high-symmetry labels apply to a cell: its own, except
+ * that a base-centred monoclinic cell outside the tabulated setting takes
+ * the triclinic labels, which hold for any lattice.
+ */
+function labelTypeOf(type, params) {
+  if (type !== 'mclc') return type;
+  return standardMCLC(params.b, params.c, params.alpha).tabulated ? type : 'triclinic';
+}
+
+/**
+ * Reciprocal lattice data behind the 2D zones of one lattice and zone count:
+ * the radius bounding zones 1..maxZone (zoneBoundingRadius2D) and every G
+ * with |G| ≤ twice that, plus the zone polygons and folded pieces once
+ * asked for. Cached, since panning and zooming change neither.
+ */
+function zoneData2D(b1, b2, maxZone) {
+  const key = JSON.stringify([b1, b2, maxZone]);
+  if (zoneCache2D.key !== key) {
+    const nearPoints = generateReciprocalPoints2D(b1, b2, 2);
+    const radius = zoneBoundingRadius2D(computeFirstBZ2D(nearPoints), maxZone);
+    const points = generateReciprocalPointsWithin2D(b1, b2, 2 * radius);
+    zoneCache2D = { key, radius, points, zones: null, folded: null };
+  }
+  return zoneCache2D;
+}
+
+/** Zones 1..maxZone of a 2D lattice as polygon fragments (see computeZones2D) */
+function vectorZones2D(b1, b2, maxZone) {
+  const data = zoneData2D(b1, b2, maxZone);
+  if (!data.zones) data.zones = computeZones2D(data.points, maxZone);
+  return data.zones;
+}
+
+/** The nth zone of a 2D lattice folded into the 1st zone (see foldZone2D) */
+function foldedZone2D(b1, b2, n) {
+  const zones = vectorZones2D(b1, b2, n);
+  const data = zoneData2D(b1, b2, n);
+  if (!data.folded) data.folded = foldZone2D(zones[n - 1], generateReciprocalPoints2D(b1, b2, 2));
+  return data.folded;
+}
+
+/**
+ * Ask for the pixel zone map of a view. Requests are debounced, so that a
+ * drag or a run of wheel steps computes one map at the end, not one per
+ * event. The map is computed in the worker pool, replacing any job for
+ * another view, with progress shown below the zone slider; without workers
+ * it is computed here. draw2D runs again once it is ready.
+ *
+ * @param {Object} params - { reciprocalPoints, maxZone, grid, zoneRadius }
+ * @param {string} dataKey - Key of the zone data (zoneData2D) behind params
+ */
+function requestZoneMap(params, dataKey) {
+  const key = JSON.stringify([dataKey, params.grid]);
+  if (zoneMapCache.key === key || pendingZoneMapKey === key) {
+    clearTimeout(zoneMapTimer); // Back to a view that is done or on its way
+    return;
+  }
+
+  const computeHere = () => {
+    const { reciprocalPoints, maxZone, grid, zoneRadius } = params;
+    const data = computeZoneMapRows(reciprocalPoints, maxZone, grid, 0, grid.height, zoneRadius);
+    return new ImageData(data, grid.width, grid.height);
+  };
+  const done = (imageData) => {
+    zoneMapCache = { key, dataKey, grid: params.grid, imageData };
+  };
+
+  clearTimeout(zoneMapTimer);
+  zoneMapTimer = setTimeout(() => {
+    if (!zoneMapPool) {
+      done(computeHere());
+      draw2D();
+      return;
+    }
+    pendingZoneMapKey = key;
+    zoneMapPool.compute(params, showZoneProgress)
+      .then((imageData) => {
+        if (imageData) done(imageData); // null: cancelled by a newer view
+      })
+      .catch((error) => {
+        console.error('Zone map worker failed, computing on the main thread:', error);
+        done(computeHere());
+      })
+      .finally(() => {
+        if (pendingZoneMapKey !== key) return;
+        pendingZoneMapKey = null;
+        showZoneProgress(null);
+        if (state.mode === '2d') draw2D();
+      });
+  }, ZONE_MAP_DELAY);
+}
+
+/** Stop computing a pixel zone map that is no longer going to be shown */
+function cancelZoneMap() {
+  clearTimeout(zoneMapTimer);
+  if (!pendingZoneMapKey) return;
+  pendingZoneMapKey = null;
+  zoneMapPool.cancel();
+  showZoneProgress(null);
+}
+
+/** Color of zones past those the zone map colors */
+const OUTER_ZONE_COLOR = '#999';
+
+/** Color of zone n in the zone map, for bands and sheets that stand for it */
+function zoneColor(n) {
+  if (n > state.maxZone) return OUTER_ZONE_COLOR;
+  const { r, g, b } = generateSpectralColors(state.maxZone)[n - 1];
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * The free-electron Fermi circle of state.electronCount electrons per cell,
+ * cut into its arcs per zone (fermiArcs2D), and the sheets it offers in the
+ * Fermi panel.
+ *
+ * @param {Array} b1, b2 - Reciprocal basis vectors
+ * @param {Array} cell - Real-space primitive vectors
+ * @returns {{ kF: number, arcs: Array, sheets: number }|null} sheets is the
+ *   highest zone the circle reaches; null while the circle is hidden
+ */
+function updateFermi2D(b1, b2, cell) {
+  if (!state.showFermi) return null;
+  const key = JSON.stringify([b1, b2, state.electronCount]);
+  if (fermiCache2D.key !== key) {
+    const [a1, a2] = cell;
+    const kF = fermiWavevector(state.electronCount, Math.abs(a1[0] * a2[1] - a1[1] * a2[0]), 2);
+    // Every G whose Bragg line meets the circle, and the neighbours of the 1st zone
+    const firstZone = computeFirstBZ2D(generateReciprocalPoints2D(b1, b2, 2));
+    const reach = Math.max(kF, ...firstZone.map(vlength));
+    const arcs = fermiArcs2D(kF, generateReciprocalPointsWithin2D(b1, b2, 2 * reach));
+    const sheets = Math.max(...arcs.map(({ zone }) => zone));
+    fermiCache2D = { key, kF, arcs, sheets, occupied: {} };
+  }
+  showFermiSheets(fermiCache2D.sheets);
+  return fermiCache2D;
+}
+
+/** The occupied part of the nth zone folded into the 1st zone (occupiedPieces2D) */
+function occupiedSheet2D(b1, b2, n, kF) {
+  const { occupied } = fermiCache2D;
+  if (!occupied[n]) occupied[n] = occupiedPieces2D(foldedZone2D(b1, b2, n), kF);
+  return occupied[n];
+}
+
+/**
+ * Info line on the Fermi circle and, for a sheet, how much of the 1st zone
+ * its band fills.
+ */
+function fermiSummary({ kF, sheets }, b1, b2) {
+  let summary = `Fermi circle: ${state.electronCount} electrons per cell, k_F = ${kF.toFixed(3)}, ` +
+    `reaching zone ${sheets}`;
+  const n = state.fermiSheet;
+  if (n > 0) {
+    const filled = occupiedSheet2D(b1, b2, n, kF).reduce((sum, { polygon }) => sum + polygonArea(polygon), 0);
+    const zoneArea = Math.abs(b1[0] * b2[1] - b1[1] * b2[0]);
+    summary += `; band ${n} is ${(100 * filled / zoneArea).toFixed(1)}% filled`;
+  }
+  return summary;
+}
+
+/**
+ * The free-electron Fermi sphere of state.electronCount electrons per cell
+ * folded into the 1st zone (fermiSurface3D), and the sheets it offers in the
+ * Fermi panel.
+ *
+ * @param {Array} b1, b2, b3 - Reciprocal basis vectors
+ * @param {Array} cell - Real-space primitive vectors
+ * @param {Array} firstZone - Faces of the 1st zone
+ * @returns {{ kF: number, sheets: Array<{ band, triangles }> }|null} null
+ *   while the sphere is hidden
+ */
+function updateFermi3D(b1, b2, b3, cell, firstZone) {
+  if (!state.showFermi) return null;
+  const key = JSON.stringify([b1, b2, b3, state.electronCount, state.fermiResolution]);
+  if (fermiCache3D.key !== key) {
+    const [a1, a2, a3] = cell;
+    const kF = fermiWavevector(state.electronCount, Math.abs(vdot(a1, vcross(a2, a3))), 3);
+    // Every G that can bring a point of the zone inside the sphere
+    const reach = Math.max(...firstZone.flatMap(({ vertices }) => vertices).map(vlength));
+    const points = generateReciprocalPointsWithin3D(b1, b2, b3, kF + 2 * reach);
+    const sheets = fermiSurface3D(kF, firstZone, points, state.fermiResolution);
+    fermiCache3D = { key, kF, sheets };
+  }
+  const { sheets } = fermiCache3D;
+  showFermiSheets(sheets.length > 0 ? sheets[sheets.length - 1].band : 0);
+  return fermiCache3D;
+}
+
+/**
+ * Info line on the Fermi sphere: the bands it crosses and how far k_F
+ * reaches towards each set of zone faces, named by the high-symmetry point
+ * at the foot of the perpendicular from Γ where there is one.
+ */
+function fermiSummary3D({ kF, sheets }, firstZone) {
+  const classes = [];
+  for (const { vertices, normal } of firstZone) {
+    const distance = vdot(normal, vertices[0]);
+    let faceClass = classes.find(c => Math.abs(c.distance - distance) < 1e-6 * distance);
+    if (!faceClass) {
+      faceClass = { distance, label: null, shape: FACE_SHAPES[vertices.length] ?? `${vertices.length}-sided` };
+      classes.push(faceClass);
+    }
+    // Only one face of a set usually carries the point's label
+    const foot = vscale(normal, distance);
+    faceClass.label ??= Object.keys(currentHighSymmetryPoints)
+      .find(name => vlength(vsub(currentHighSymmetryPoints[name], foot)) < 1e-6 * distance) ?? null;
+  }
+  const reach = classes
+    .sort((p, q) => p.distance - q.distance)
+    .map(({ distance, label, shape }) => `${label ?? 'other'} (${shape}) ${(100 * kF / distance).toFixed(1)}%`);
+  const bands = sheets.map(({ band }) => band).join(', ');
+  return `Fermi sphere: ${state.electronCount} electrons per cell, k_F = ${kF.toFixed(3)}, ` +
+    `crossing band${sheets.length === 1 ? '' : 's'} ${bands || 'none'}; k_F / distance to faces: ${reach.join(', ')}`;
+}
+
+/** Color of a folded piece, by the fragment it comes from (golden-angle hues) */
+function foldedPieceColor(source) {
+  return `hsl(${Math.round(source * 137.508) % 360}, 60%, 60%)`;
+}
+
+/**
+ * Info line comparing the folded pieces with the 1st zone they tile.
+ * @param {number} n - Zone number
+ * @param {number} fragmentCount - Fragments of the zone before folding
+ * @param {number} pieceCount - Pieces after folding
+ * @param {number} measure - Total area (2D) or volume (3D) of the pieces
+ * @param {number} firstMeasure - Area or volume of the 1st zone
+ */
+function foldSummary(n, fragmentCount, pieceCount, measure, firstMeasure) {
+  return `Zone ${n} folded into the 1st zone: ${fragmentCount} fragments → ` +
+    `${pieceCount} pieces, ${(measure / firstMeasure).toFixed(6)} × 1st zone`;
+}
+
+/**
+ * Compute 2D Brillouin zones for the current settings and render them.
  */
 function update2D() {
   if (!renderer2d) {
@@ -58,43 +441,44 @@ function update2D() {
       console.error('Unknown lattice type:', state.latticeType);
       return;
     }
-    const lattice = latticeFn();
+    const { lattice, labelType, classification } = buildLattice(latticeFn);
     const { b1, b2 } = reciprocal2D(lattice.a1, lattice.a2);
 
-    // Generate reciprocal lattice points
-    const latticeRange = Math.ceil(Math.sqrt(state.maxZone)) + 5; // Enough for high zones
-    const reciprocalPoints = generateReciprocalPoints2D(b1, b2, latticeRange);
-
-    // Use pixel-based rendering (Python algorithm)
-    const plotRange = 10.0; // Increased to show more zones
-    const resolution = 800; // High resolution for quality
-    
-    // Compute zone map using pixel-based algorithm
-    const zoneMap = computeZoneMapPixelBased(reciprocalPoints, state.maxZone, resolution, plotRange);
-    
-    // Get Bragg planes for visualization
-    const braggPlanes = getBraggPlanes(reciprocalPoints, plotRange);
-
     // Get high-symmetry points
-    currentHighSymmetryPoints = getHighSymmetryPoints2D(state.latticeType, b1, b2);
+    currentHighSymmetryPoints = getHighSymmetryPoints2D(labelType, b1, b2);
+    currentStandardKPath = standardKPath2D(labelType);
 
     // Update renderer settings
     renderer2d.showGrid = state.showGrid;
     renderer2d.showReciprocalPoints = state.showReciprocalPoints;
     renderer2d.showZoneNumbers = state.showZoneNumbers;
     renderer2d.showLabels = state.showLabels;
-    renderer2d.pixelBased = true;
+    renderer2d.pixelBased = state.zoneRendering === 'pixel';
 
-    // Render with pixel-based zone map
-    renderer2d.render({
-      zoneMap,
-      braggPlanes,
-      plotRange,
-      reciprocalPoints: reciprocalPoints.slice(0, 50),
-      highSymmetryPoints: currentHighSymmetryPoints,
+    const cell = [lattice.a1, lattice.a2];
+    const group = state.showIBZ ? kSpacePointGroup(cell) : null;
+    const firstZone = computeFirstBZ2D(generateReciprocalPoints2D(b1, b2, 2));
+    const fermi = updateFermi2D(b1, b2, cell);
+    const contour = updateContour(cell, labelType, firstZone);
+    current2D = {
       b1,
-      b2
-    });
+      b2,
+      scene: {
+        reciprocalPoints: generateReciprocalPoints2D(b1, b2, 4).slice(0, 50),
+        highSymmetryPoints: currentHighSymmetryPoints,
+        b1,
+        b2,
+        ibz: group && computeIBZ2D(firstZone, group.ops, ibzSeed(currentHighSymmetryPoints)),
+        kPath: updateKPath(),
+        kMesh: updateKMesh([b1, b2], generateReciprocalPoints2D(b1, b2, 2), cell, group),
+        contour: contour && contour.pieces,
+        fermiArcs: fermi && fermi.arcs.map(({ arc }) => arc),
+        ewald: updateEwald([b1, b2], cell, labelType)
+      },
+      fermi
+    };
+    draw2D();
+    updateBands(cell, labelType, [b1, b2]);
 
     // Set up hover tooltips
     labelManager.setupHover2D(
@@ -104,12 +488,81 @@ function update2D() {
     );
 
     // Update info display
-    updateInfo(lattice.name, b1, b2);
+    updateInfo(lattice, state.latticeParams, b1, b2, null, classification);
+    if (state.foldZone) {
+      const n = state.maxZone;
+      const zones = vectorZones2D(b1, b2, n);
+      const pieces = foldedZone2D(b1, b2, n);
+      const area = pieces.reduce((sum, { polygon }) => sum + polygonArea(polygon), 0);
+      appendInfoNote(foldSummary(n, zones[n - 1].length, pieces.length, area, polygonArea(zones[0][0])), false);
+    }
+    if (group) appendInfoNote(ibzSummary(group), false);
+    if (current2D.fermi) appendInfoNote(fermiSummary(current2D.fermi, b1, b2), false);
+    if (state.showZoneMeasures) {
+      appendZoneMeasures(vectorZones2D(b1, b2, state.maxZone), cell);
+    }
+    updateRealSpace(cell, labelType, [b1, b2]);
   } catch (error) {
     console.error('Error in 2D render:', error);
   }
 }
 
+/**
+ * Render the 2D zones of the last update2D in the current view. Panning and
+ * zooming only call this: the zone geometry is cached, and the pixel map is
+ * recomputed for the visible k-window at screen resolution once the view
+ * settles, the previous map standing in until then.
+ */
+function draw2D() {
+  if (!current2D) return;
+  const { b1, b2, scene, fermi } = current2D;
+  const n = state.maxZone;
+
+  if (fermi && state.fermiSheet > 0) {
+    // Harrison's construction: the occupied part of one zone and its Fermi
+    // arcs, folded into the 1st zone
+    const sheet = state.fermiSheet;
+    renderer2d.render({
+      ...scene,
+      foldedPieces: occupiedSheet2D(b1, b2, sheet, fermi.kF).map(({ polygon }) => ({
+        polygon, color: zoneColor(sheet)
+      })),
+      firstZone: vectorZones2D(b1, b2, sheet)[0][0],
+      fermiArcs: fermi.arcs.filter(({ zone }) => zone === sheet).map(({ folded }) => folded)
+    });
+  } else if (state.foldZone) {
+    // Fragments of the nth zone translated back into the 1st zone
+    renderer2d.render({
+      ...scene,
+      foldedPieces: foldedZone2D(b1, b2, n).map(({ polygon, source }) => ({
+        polygon, color: foldedPieceColor(source)
+      })),
+      firstZone: vectorZones2D(b1, b2, n)[0][0]
+    });
+  } else if (renderer2d.pixelBased) {
+    // Use pixel-based rendering (Python algorithm)
+    const data = zoneData2D(b1, b2, n);
+    const view = renderer2d.viewGrid();
+    requestZoneMap({ reciprocalPoints: data.points, maxZone: n, grid: view, zoneRadius: data.radius }, data.key);
+    const zoneMap = zoneMapCache.dataKey === data.key ? zoneMapCache : null;
+
+    renderer2d.render({
+      ...scene,
+      zoneMap: zoneMap && zoneMap.imageData,
+      zoneMapGrid: zoneMap && zoneMap.grid,
+      braggPlanes: getBraggPlanes(data.points, view)
+    });
+  } else {
+    // Exact zone polygons from the Bragg-line arrangement
+    const zones = vectorZones2D(b1, b2, n);
+    renderer2d.render({
+      ...scene,
+      zones: zones.map((polygons, i) => ({ zone: i + 1, polygons })),
+      zoneColors: generateSpectralColors(n)
+    });
+  }
+}
+
 /**
  * Compute and render 3D Brillouin zones.
  */
@@ -122,6 +575,9 @@ function update3D() {
         return;
       }
       renderer3d = new Renderer3D(container);
+      renderer3d.onClick((x, y, event) => {
+        if (state.kPathEditing) pickPathPoint(renderer3d.pickPoint(currentHighSymmetryPoints, x, y), event);
+      });
       console.log('✓ 3D renderer initialized');
     }
 
@@ -133,11 +589,12 @@ function update3D() {
       console.error('Unknown 3D lattice type:', state.latticeType);
       return;
     }
-    const lattice = latticeFn();
+    const { lattice, labelType, classification } = buildLattice(latticeFn);
     const { b1, b2, b3 } = reciprocal3D(lattice.a1, lattice.a2, lattice.a3);
 
-    // Generate reciprocal lattice points
-    const maxIndex = Math.max(state.maxZone + 1, 3);
+    // Generate reciprocal lattice points, only as far as the zones drawn
+    const zoneCount = Math.min(state.maxZone, MAX_ZONE_3D);
+    const maxIndex = Math.max(zoneCount + 1, 3);
     const reciprocalPoints = generateReciprocalPoints3D(b1, b2, b3, maxIndex);
 
     // Ray tracing settings
@@ -155,21 +612,81 @@ function update3D() {
       renderer3d.scene.environment = null;
     }
 
-    // Compute and display 1st BZ (3D higher zones are complex; show 1st zone)
-    const faces = computeFirstBZ3D(reciprocalPoints);
-    const opacity = state.maxZone === 1 ? 0.6 : 0.4;
-    renderer3d.addZone(faces, 1, opacity);
+    // Compute zones 1..n; higher zones come as polyhedral fragments and
+    // fade outwards so the inner zones stay visible
+    const firstZoneMesh = computeFirstBZMesh3D(reciprocalPoints);
+    const firstZone = meshToFaces(firstZoneMesh);
+    let zones = [[firstZone]];
+    if (zoneCount > 1) {
+      const radius = zoneBoundingRadius3D(firstZone, zoneCount);
+      const zonePoints = generateReciprocalPointsWithin3D(b1, b2, b3, 2 * radius);
+      zones = computeZones3D(zonePoints, zoneCount);
+    }
+    // Irreducible wedge, drawn solid inside the dimmed zones
+    const cell = [lattice.a1, lattice.a2, lattice.a3];
+    currentHighSymmetryPoints = getHighSymmetryPoints3D(labelType, b1, b2, b3, lattice.params);
+    currentStandardKPath = standardKPath3D(labelType, b1, b2, b3, lattice.params);
+    const group = state.showIBZ ? kSpacePointGroup(cell) : null;
+    const fermi = updateFermi3D(b1, b2, b3, cell, firstZone);
+    const contour = updateContour(cell, labelType, firstZone);
+    const zoneOpacity = group || fermi || contour ? 0.4 : 1;
+    renderer3d.setContourSurface(contour && contour.pieces);
+    if (fermi) {
+      const shown = fermi.sheets.filter(({ band }) => state.fermiSheet === 0 || band === state.fermiSheet);
+      renderer3d.setFermiSurface(shown.map(({ band, triangles }) => ({ triangles, color: zoneColor(band) })));
+    }
+    const ibz = group && computeIBZ3D(firstZoneMesh, group.ops, ibzSeed(currentHighSymmetryPoints));
+    if (ibz) renderer3d.addZone(meshToFaces(ibz), 1, 0.9, IBZ_COLOR_3D);
+
+    let foldNote = null;
+    if (state.foldZone) {
+      // Fragments of the highest zone translated back into the 1st zone
+      const fragments = zones[zoneCount - 1];
+      const pieces = foldZone3D(fragments, generateReciprocalPoints3D(b1, b2, b3, 2));
+      for (const { faces, source } of pieces) {
+        renderer3d.addZone(faces, zoneCount, 0.85 * zoneOpacity, foldedPieceColor(source));
+      }
+      const volume = pieces.reduce((sum, { faces }) => sum + polyhedronVolume(faces), 0);
+      foldNote = foldSummary(zoneCount, fragments.length, pieces.length, volume, polyhedronVolume(firstZone));
+    } else {
+      zones.forEach((fragments, i) => {
+        const opacity = zoneCount === 1 ? 0.6 : 0.6 - 0.4 * i / (zoneCount - 1);
+        renderer3d.addZone(fragments, i + 1, opacity * zoneOpacity);
+      });
+    }
 
     // Add reciprocal lattice points
     const displayPoints = reciprocalPoints.slice(0, 100);
     renderer3d.addReciprocalPoints(displayPoints);
 
-    // High-symmetry labels
-    currentHighSymmetryPoints = getHighSymmetryPoints3D(state.latticeType, b1, b2, b3);
+    // High-symmetry labels and the k-path through them
     renderer3d.addHighSymmetryLabels(currentHighSymmetryPoints);
+    renderer3d.setKPath(updateKPath());
+    renderer3d.setKMesh(updateKMesh([b1, b2, b3], generateReciprocalPoints3D(b1, b2, b3, 2), cell, group));
+    renderer3d.setEwald(updateEwald([b1, b2, b3], cell, labelType));
+    updateBands(cell, labelType, [b1, b2, b3]);
 
     // Update info
-    updateInfo(lattice.name, b1, b2, b3);
+    updateInfo(lattice, state.latticeParams, b1, b2, b3, classification);
+    const { edges } = meshAdjacency(firstZoneMesh);
+    appendInfoNote(`1st zone: ${firstZoneMesh.faces.length} faces, ${edges.length} edges, `
+      + `${firstZoneMesh.vertices.length} vertices`, false);
+    // Clipping should leave closed polyhedra; flag any that rounding broke
+    if (!isClosedManifold(firstZoneMesh)) appendInfoNote('1st zone mesh is not a closed polyhedron');
+    if (labelType !== (classification ? classification.type : state.latticeType)) {
+      appendInfoNote('Reduced cell has c < b, outside the Setyawan–Curtarolo setting: triclinic labels');
+    }
+    if (group) appendInfoNote(ibzSummary(group), false);
+    if (ibz && !isClosedManifold(ibz)) appendInfoNote('Irreducible zone mesh is not a closed polyhedron');
+    if (foldNote) appendInfoNote(foldNote, false);
+    if (fermi) appendInfoNote(fermiSummary3D(fermi, firstZone), false);
+    if (state.showZoneMeasures) {
+      appendZoneMeasures(zones, cell);
+    }
+    if (state.maxZone > MAX_ZONE_3D) {
+      appendInfoNote(`3D view shows zones 1–${MAX_ZONE_3D}`);
+    }
+    updateRealSpace(cell, labelType, [b1, b2, b3]);
   } catch (error) {
     console.error('Error in 3D render:', error);
     // Fallback to 2D if 3D fails
@@ -183,24 +700,451 @@ function update3D() {
 }
 
 /**
- * Handle PNG export.
+ * Draw the real-space panel, if shown: the Wigner–Seitz cell, cut out of
+ * the half-spaces of the lattice vectors as the 1st zone is of the
+ * reciprocal ones, with the lattice points, the primitive vectors and the
+ * conventional cell. A note names the Bravais lattice on either side, e.g.
+ * body-centred cubic reciprocal to face-centred cubic.
+ *
+ * @param {Array} cell - Primitive vectors, [a1, a2] or [a1, a2, a3]
+ * @param {string} labelType - Lattice type the cell is the standard one of
+ * @param {Array} reciprocalBasis - [b1, b2] or [b1, b2, b3]
+ */
+function updateRealSpace(cell, labelType, reciprocalBasis) {
+  if (state.spaceView === 'reciprocal') return;
+  const conventional = conventionalCell(labelType, cell);
+  let shape;
+  if (cell.length === 2) {
+    const [a1, a2] = cell;
+    const wignerSeitz = computeFirstBZ2D(generateReciprocalPoints2D(a1, a2, 2));
+    realRenderer2d.showGrid = state.showGrid;
+    realRenderer2d.showReciprocalPoints = state.showReciprocalPoints;
+    realRenderer2d.render({
+      zones: [{ zone: 1, polygons: [wignerSeitz] }],
+      zoneColors: generateSpectralColors(1),
+      reciprocalPoints: generateReciprocalPoints2D(a1, a2, 4).slice(0, 50),
+      highSymmetryPoints: {},
+      b1: a1,
+      b2: a2,
+      cell: { vectors: cell, conventional: conventional.vectors }
+    });
+    shape = `${wignerSeitz.length} edges, area ${polygonArea(wignerSeitz).toFixed(4)}`;
+  } else {
+    if (!realRenderer3d) {
+      realRenderer3d = new Renderer3D(document.getElementById('real-container-3d'));
+    }
+    realRenderer3d.clearZones();
+    realRenderer3d.showLabels = state.showLabels;
+    // Cut at the cell's own scale, then zoomed for drawing
+    const wignerSeitz = meshToFaces(computeFirstBZMesh3D(generateReciprocalPoints3D(...cell, 2)));
+    const zoom = v => vscale(v, REAL_SPACE_ZOOM);
+    realRenderer3d.addZone(wignerSeitz.map(face => ({ ...face, vertices: face.vertices.map(zoom) })), 1, 0.6);
+    realRenderer3d.addReciprocalPoints(generateReciprocalPoints3D(...cell, 3).slice(0, 100).map(zoom));
+    realRenderer3d.setCell({ vectors: cell.map(zoom), conventional: conventional.vectors.map(zoom) });
+    shape = `${wignerSeitz.length} faces, volume ${polyhedronVolume(wignerSeitz).toFixed(4)}`;
+  }
+
+  const tolerance = state.symmetryTolerance / 100;
+  const real = describeClassification(classifyLattice(cell, tolerance));
+  const reciprocal = describeClassification(classifyLattice(reciprocalBasis, tolerance));
+  appendInfoNote(`Real space: ${real}; reciprocal lattice: ${reciprocal}`, false);
+  appendInfoNote(`Wigner–Seitz cell: ${shape}; conventional cell: `
+    + `${conventional.points} lattice point${conventional.points === 1 ? '' : 's'}`, false);
+}
+
+/**
+ * The empty-lattice bands as a band plot, energies in units of E₁ up to
+ * state.freeMaxEnergy. The reduced scheme follows the k-path and marks the
+ * degeneracies. The extended and repeated schemes follow the line through Γ
+ * along the path's first leg from Γ, far enough for the free parabola to
+ * reach the top energy, with a dashed line at every Bragg plane it crosses:
+ * the extended scheme draws the parabola alone, the repeated one every
+ * branch. Band n is colored like zone n in the zone map.
+ *
+ * @param {Array} reciprocalBasis - [b1, b2] or [b1, b2, b3]
+ * @returns {Object} Options for BandPlot.render
+ */
+function emptyLatticePlot(reciprocalBasis) {
+  const maxEnergy = state.freeMaxEnergy;
+  const is2D = reciprocalBasis.length === 2;
+  const pointsWithin = radius => is2D
+    ? generateReciprocalPointsWithin2D(...reciprocalBasis, radius)
+    : generateReciprocalPointsWithin3D(...reciprocalBasis, radius);
+  const unit = boundaryEnergy(is2D
+    ? generateReciprocalPoints2D(...reciprocalBasis, 1)
+    : generateReciprocalPoints3D(...reciprocalBasis, 1));
+  // |k| of a free electron at the top energy
+  const reach = Math.sqrt(maxEnergy * unit);
+
+  const colors = count => Array.from({ length: count }, (_, n) => zoneColor(n + 1));
+  const degeneracies = (branches, distances) => findDegeneracies(branches, distances, maxEnergy)
+    .map(({ distance, energy, count }) => ({ distance, energy, label: `${count}` }));
+  const plot = { energyRange: [0, maxEnergy], yLabel: 'E / E₁' };
+
+  if (state.zoneScheme === 'reduced') {
+    const { kpoints, distances, ticks } = currentKPath;
+    const kMax = Math.max(0, ...kpoints.map(vlength));
+    const branches = freeElectronBranches(kpoints, pointsWithin(reach + kMax), maxEnergy);
+    const bands = sortBands(branches);
+    return { ...plot, distances, ticks, bands, colors: colors(bands.length), marks: degeneracies(branches, distances) };
+  }
+
+  const leg = firstLegFromGamma();
+  if (!leg) return { message: 'The k-path has no leg from Γ to set the line' };
+  const length = vlength(leg.k);
+  const direction = vscale(leg.k, 1 / length);
+  const points = pointsWithin(2 * reach);
+  const crossings = braggCrossings(direction, points, reach);
+  const { kpoints, distances } = sampleLine(direction, reach, state.kPathDensity, crossings.map(({ s }) => s));
+  const ticks = [{ label: 'Γ', distance: reach }];
+  if (length <= reach) {
+    ticks.push({ label: leg.label, distance: reach - length }, { label: leg.label, distance: reach + length });
+  }
+  Object.assign(plot, { distances, ticks, boundaries: crossings.map(({ s }) => s + reach) });
+
+  if (state.zoneScheme === 'extended') {
+    // One parabola, each stretch in the band of the zone it crosses; a point
+    // on a Bragg plane ends one stretch and starts the next
+    const zones = kpoints.map(k => zonesAt(k, points));
+    const count = Math.max(...zones.map(({ last }) => last));
+    const bands = Array.from({ length: count }, () => new Float64Array(kpoints.length).fill(NaN));
+    kpoints.forEach((k, i) => {
+      for (let n = zones[i].first; n <= zones[i].last; n++) bands[n - 1][i] = vdot(k, k) / unit;
+    });
+    return { ...plot, bands, colors: colors(count) };
+  }
+  const branches = freeElectronBranches(kpoints, points, maxEnergy);
+  const bands = sortBands(branches);
+  return { ...plot, bands, colors: colors(bands.length), marks: degeneracies(branches, distances) };
+}
+
+/**
+ * The first leg of the k-path with Γ at one end.
+ * @returns {{ label: string, k: Array }|null} The point at the other end
+ */
+function firstLegFromGamma() {
+  for (const segment of currentKPath?.segments ?? []) {
+    for (let i = 1; i < segment.length; i++) {
+      const [from, to] = [segment[i - 1], segment[i]];
+      if (from === to || (from !== 'Γ' && to !== 'Γ')) continue;
+      const label = from === 'Γ' ? to : from;
+      return { label, k: currentHighSymmetryPoints[label] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Sample the k-path in use, as edited or the lattice's standard one, through
+ * the current high-symmetry points, and show it in the k-path panel. The
+ * band plot follows the same path, drawn or not.
+ *
+ * @returns {Object|null} The sampled path (sampleKPath) with its segments,
+ *   or null while the path is hidden
+ */
+function updateKPath() {
+  if (!state.showKPath && !state.showBands) {
+    currentKPath = null;
+    return null;
+  }
+  const path = state.kPath ?? currentStandardKPath;
+  const { segments, unknown } = resolveKPath(path, currentHighSymmetryPoints);
+  currentKPath = { segments, ...sampleKPath(segments, currentHighSymmetryPoints, state.kPathDensity) };
+
+  const { legs, kpoints, distances } = currentKPath;
+  const summary = legs.length > 0
+    ? `${legs.length} legs, ${kpoints.length} k-points, length ${distances[distances.length - 1].toFixed(3)}`
+    : 'No legs yet';
+  const warning = unknown.length > 0 ? `Not a point of this zone: ${unknown.join(', ')} (skipped)` : null;
+  showKPathPanel(path, summary, warning);
+  return state.showKPath ? currentKPath : null;
+}
+
+/**
+ * Add a clicked high-symmetry point to the path being edited and redraw the
+ * path alone; the zones are unchanged. Shift-click starts a new segment.
+ *
+ * @param {string|null} label - Picked point, null if the click missed
+ * @param {MouseEvent} event
+ */
+function pickPathPoint(label, event) {
+  if (!label) return;
+  pickKPathPoint(label, event.shiftKey);
+  if (state.mode === '2d') {
+    if (!current2D) return;
+    current2D.scene.kPath = updateKPath();
+    draw2D();
+  } else if (renderer3d) {
+    renderer3d.setKPath(updateKPath());
+  }
+  if (currentBandLattice) {
+    const { cell, labelType, reciprocalBasis } = currentBandLattice;
+    updateBands(cell, labelType, reciprocalBasis);
+  }
+}
+
+/**
+ * Plot the bands of the selected tight-binding model along the k-path, or
+ * the empty-lattice bands in the selected zone scheme.
+ *
+ * @param {Array} cell - Real-space primitive vectors
+ * @param {string} labelType - Lattice type, detected for a custom cell
+ * @param {Array} reciprocalBasis - [b1, b2] or [b1, b2, b3]
+ */
+function updateBands(cell, labelType, reciprocalBasis) {
+  currentBandLattice = { cell, labelType, reciprocalBasis };
+  if (!state.showBands || !bandPlot) return;
+  showBandModels(tightBindingModels(labelType, state.mode));
+  bandPlot.resize();
+  if (state.bandSource === 'free') {
+    bandPlot.render(emptyLatticePlot(reciprocalBasis));
+    return;
+  }
+  if (!state.tbModel) {
+    bandPlot.render({ message: 'No tight-binding model for this lattice' });
+    return;
+  }
+  const { kpoints, distances, ticks } = currentKPath;
+  bandPlot.render({
+    distances,
+    ticks,
+    bands: tightBindingBands(state.tbModel, state.tbParams[state.tbModel] ?? {}, cell, kpoints),
+    level: state.showContour ? contourEnergy() : null,
+    yLabel: 'E'
+  });
+}
+
+/**
+ * The constant-energy contour (2D) or surface (3D) E(k) = E₀ of the selected
+ * tight-binding model inside the 1st zone, E₀ set by the slider between the
+ * bottom and the top of the bands.
+ *
+ * @param {Array} cell - Real-space primitive vectors
+ * @param {string} labelType - Lattice type, detected for a custom cell
+ * @param {Array} firstZone - Vertices of the 1st zone (2D) or its faces (3D)
+ * @returns {{ energy: number, pieces: Array }|null} pieces are segments (2D)
+ *   or triangles (3D); null while the contour is hidden or no model applies
+ */
+function updateContour(cell, labelType, firstZone) {
+  if (!state.showBands || state.bandSource !== 'tb' || !state.showContour) return null;
+  showBandModels(tightBindingModels(labelType, state.mode));
+  if (!state.tbModel) return null;
+  const params = state.tbParams[state.tbModel] ?? {};
+  const key = JSON.stringify([cell, state.tbModel, params]);
+  if (contourCache.key !== key) {
+    const corners = cell.length === 2 ? firstZone : firstZone.flatMap(({ vertices }) => vertices);
+    const grid = zoneGrid(corners, cell.length === 2 ? CONTOUR_GRID_2D : CONTOUR_GRID_3D);
+    const bands = tightBindingBands(state.tbModel, params, cell, grid.kpoints);
+    // Band extremes tend to sit at high-symmetry points, which the grid may miss
+    const extremes = tightBindingBands(state.tbModel, params, cell, Object.values(currentHighSymmetryPoints));
+    let bottom = Infinity;
+    let top = -Infinity;
+    for (const band of [...bands, ...extremes]) {
+      for (const E of band) {
+        bottom = Math.min(bottom, E);
+        top = Math.max(top, E);
+      }
+    }
+    contourCache = { key, grid, bands, bottom, top };
+  }
+  const { grid, bands, bottom, top } = contourCache;
+  const energy = contourEnergy();
+  showContourEnergy(energy, bottom, top);
+  const trace = cell.length === 2 ? contourInZone2D : surfaceInZone3D;
+  return { energy, pieces: bands.flatMap(band => trace(band, grid, energy, firstZone)) };
+}
+
+/** E₀ of the slider, in the band range of the last contour; null before one */
+function contourEnergy() {
+  if (!contourCache.key) return null;
+  const { bottom, top } = contourCache;
+  return bottom + state.contourLevel * (top - bottom);
+}
+
+/**
+ * The k-point mesh of the mesh panel, folded into the 1st zone and, if
+ * asked, reduced by the k-space point group; its points and weights are
+ * listed in the panel.
+ *
+ * @param {Array} reciprocalBasis - [b1, b2] or [b1, b2, b3]
+ * @param {Array} reciprocalPoints - Neighbours of the 1st zone, for folding
+ * @param {Array} cell - Real-space primitive vectors
+ * @param {Object|null} group - kSpacePointGroup of the cell, if already known
+ * @returns {Object|null} { points, irreducible, spacing } for the renderers,
+ *   irreducible null without reduction; null while the mesh is hidden
+ */
+function updateKMesh(reciprocalBasis, reciprocalPoints, cell, group) {
+  if (!state.showKMesh) return null;
+  const dimension = reciprocalBasis.length;
+  const { gammaCentred, reduce } = state.kMesh;
+  const divisions = state.kMesh.divisions.slice(0, dimension);
+  const shift = state.kMesh.shift.slice(0, dimension);
+  const points = generateKMesh(divisions, reciprocalBasis, reciprocalPoints, { gammaCentred, shift });
+
+  let summary = `${divisions.join('×')} ${gammaCentred ? 'Γ-centred' : 'Monkhorst–Pack'} mesh`
+    + (shift.some(s => s !== 0) ? `, shift (${shift.join(', ')})` : '') + `: ${points.length} points`;
+  let reduced = null;
+  if (reduce) {
+    group = group ?? kSpacePointGroup(cell);
+    reduced = reduceKMesh(points, group.ops, reciprocalBasis, ibzSeed(currentHighSymmetryPoints));
+    summary += ` → ${reduced.irreducible.length} irreducible (${group.fullSymbol}, order ${group.ops.length})`;
+  }
+  showKMeshPanel(summary, reduced, points.length, group);
+
+  return {
+    points: points.map(({ k }) => k),
+    irreducible: reduced && reduced.irreducible,
+    spacing: Math.min(...reciprocalBasis.map((b, i) => vlength(b) / divisions[i]))
+  };
+}
+
+/**
+ * Fill the mesh panel: the summary line, a warning if the mesh breaks the
+ * symmetry it was reduced by, and the irreducible points with their
+ * fractional coordinates (in b1, b2, b3), multiplicities and weights.
+ */
+function showKMeshPanel(summary, reduced, total, group) {
+  const infoEl = document.getElementById('kmesh-info');
+  if (!infoEl) return;
+  let html = `<span>${summary}</span>`;
+  if (!reduced) {
+    infoEl.innerHTML = html;
+    return;
+  }
+  if (!reduced.closed) {
+    html += `<br><span class="info-warning">⚠ The mesh breaks the ${group.fullSymbol} symmetry: `
+      + 'some images of its points are not on it. Weights count the mesh points only.</span>';
+  }
+  const { irreducible } = reduced;
+  const axes = irreducible[0].fractional.map((_, i) => `k<sub>${i + 1}</sub>`).join('</th><th>');
+  html += `<div class="kmesh-points"><table><tr><th>#</th><th>${axes}</th><th>Mult.</th><th>Weight</th></tr>`;
+  irreducible.slice(0, MAX_MESH_ROWS).forEach(({ fractional, multiplicity }, i) => {
+    html += `<tr><td>${i + 1}</td><td>${fractional.map(u => u.toFixed(4)).join('</td><td>')}</td>`
+      + `<td>${multiplicity}</td><td>${(multiplicity / total).toFixed(5)}</td></tr>`;
+  });
+  html += '</table></div>';
+  if (irreducible.length > MAX_MESH_ROWS) {
+    html += `<span>First ${MAX_MESH_ROWS} of ${irreducible.length} points listed</span>`;
+  }
+  infoEl.innerHTML = html;
+}
+
+/**
+ * The Ewald construction for the beam of the Ewald panel: the sphere (circle
+ * in 2D) through the origin and the reciprocal lattice points on it, which
+ * are listed in the panel.
+ *
+ * @param {Array} reciprocalBasis - [b1, b2] or [b1, b2, b3]
+ * @param {Array} cell - Real-space primitive vectors
+ * @param {string} labelType - Lattice type the cell is the standard one of;
+ *   its conventional cell gives the Miller indices
+ * @returns {{ centre, radius, reflections: Array<{ G, label }> }|null} For
+ *   the renderers; null while hidden or when the beam is unusable
+ */
+function updateEwald(reciprocalBasis, cell, labelType) {
+  if (!state.showEwald) return null;
+  const dimension = reciprocalBasis.length;
+  const direction = state.ewaldDirection.slice(0, dimension);
+  if (vlength(direction) === 0) {
+    showEwaldPanel('', null, 'The beam direction is zero.');
+    return null;
+  }
+  const fromEnergy = state.ewaldSource === 'energy';
+  // An X-ray energy needs real lengths: those of the imported file, else Å
+  const unit = (state.latticeType === 'custom' ? state.importedStructure?.unit : null) ?? 'Å';
+  const wavelength = fromEnergy ? xrayWavelength(state.ewaldEnergy, unit) : state.ewaldWavelength;
+  const kIn = incidentWavevector(direction, wavelength);
+  const radius = vlength(kIn);
+  let summary = `λ = ${wavelength.toFixed(4)}${fromEnergy ? ` ${unit} (${state.ewaldEnergy} keV)` : ''}, |k| = ${radius.toFixed(3)}`;
+
+  // Every point on the sphere lies within its diameter of the origin
+  const tolerance = state.ewaldTolerance / 100;
+  const reach = 2 * radius * (1 + tolerance);
+  const [b1, b2, b3] = reciprocalBasis;
+  const estimate = dimension === 2
+    ? Math.PI * reach ** 2 / Math.abs(b1[0] * b2[1] - b1[1] * b2[0])
+    : 4 / 3 * Math.PI * reach ** 3 / Math.abs(vdot(b1, vcross(b2, b3)));
+  if (estimate > MAX_EWALD_POINTS) {
+    showEwaldPanel(summary, null, `The wavelength is too short: the ${dimension === 2 ? 'circle' : 'sphere'} `
+      + `would enclose about ${Math.round(estimate)} reciprocal lattice points.`);
+    return null;
+  }
+  const points = dimension === 2
+    ? generateReciprocalPointsWithin2D(b1, b2, reach)
+    : generateReciprocalPointsWithin3D(b1, b2, b3, reach);
+  const reflections = ewaldReflections(kIn, points, conventionalCell(labelType, cell).vectors, tolerance);
+  summary += `: ${reflections.length} reflection${reflections.length === 1 ? '' : 's'} within ${state.ewaldTolerance}%`;
+  showEwaldPanel(summary, reflections);
+  return {
+    centre: vscale(kIn, -1),
+    radius,
+    reflections: reflections.map(({ G, hkl }) => ({ G, label: millerLabel(hkl) }))
+  };
+}
+
+/** Miller indices in crystallographic notation, negative ones barred: (1̄ 2 0) */
+function millerLabel(hkl) {
+  return `(${hkl.map(n => n < 0 ? `${-n}\u0304` : `${n}`).join(' ')})`;
+}
+
+/**
+ * Fill the Ewald panel: the summary line, a warning, and the reflections
+ * with their indices, G/2π, plane spacing d, scattering angle 2θ and
+ * distance from the sphere.
  */
-function handleExport() {
+function showEwaldPanel(summary, reflections, warning = null) {
+  const infoEl = document.getElementById('ewald-info');
+  if (!infoEl) return;
+  let html = `<span>${summary}</span>`;
+  if (warning) html += `<br><span class="info-warning">⚠ ${warning}</span>`;
+  if (!reflections || reflections.length === 0) {
+    infoEl.innerHTML = html;
+    return;
+  }
+  html += '<div class="ewald-reflections"><table><tr><th>hkl</th><th>G/2π</th><th>d</th><th>2θ (°)</th><th>Δ (%)</th></tr>';
+  for (const { G, hkl, d, twoTheta, deviation } of reflections.slice(0, MAX_EWALD_ROWS)) {
+    html += `<tr><td>${millerLabel(hkl)}</td><td>${G.map(x => (x / (2 * Math.PI)).toFixed(3)).join(', ')}</td>`
+      + `<td>${d.toFixed(4)}</td><td>${twoTheta.toFixed(2)}</td><td>${(100 * deviation).toFixed(2)}</td></tr>`;
+  }
+  html += '</table></div>';
+  if (reflections.length > MAX_EWALD_ROWS) {
+    html += `<span>First ${MAX_EWALD_ROWS} of ${reflections.length} reflections listed</span>`;
+  }
+  infoEl.innerHTML = html;
+}
+
+/**
+ * Handle PNG, SVG or CSV export. SVG is only offered for vector-mode 2D
+ * zones, CSV for the zone measure check.
+ *
+ * @param {string} format - 'png', 'svg' or 'csv'
+ */
+function handleExport(format = 'png') {
   let dataURL;
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `brillouin-zone-${state.latticeType}-${timestamp}.png`;
+  let filename = `brillouin-zone-${state.latticeType}-${timestamp}.${format}`;
 
-  if (state.mode === '2d' && renderer2d) {
-    dataURL = exportCanvas2D(
-      renderer2d.canvas,
-      state.exportScale,
-      state.transparentExport
-    );
+  if (format === 'csv') {
+    if (!lastZoneMeasures) return;
+    dataURL = exportZoneMeasuresCSV(lastZoneMeasures.rows, lastZoneMeasures.dimension);
+    filename = `brillouin-zone-measures-${state.latticeType}-${timestamp}.csv`;
+  } else if (state.mode === '2d' && renderer2d) {
+    // The real-space panel when it is the only one shown
+    const view = state.spaceView === 'real' ? realRenderer2d : renderer2d;
+    dataURL = format === 'svg'
+      ? exportSVG2D(view, state.transparentExport)
+      : exportCanvas2D(
+        view.canvas,
+        state.exportScale,
+        state.transparentExport,
+        (ctx) => view.renderToContext(ctx, state.transparentExport)
+      );
   } else if (state.mode === '3d' && renderer3d) {
+    const view = state.spaceView === 'real' && realRenderer3d ? realRenderer3d : renderer3d;
     dataURL = exportCanvas3D(
-      renderer3d.renderer,
-      renderer3d.scene,
-      renderer3d.camera,
+      view.renderer,
+      view.scene,
+      view.camera,
       state.exportScale,
       state.transparentExport
     );
@@ -211,14 +1155,46 @@ function handleExport() {
   }
 }
 
+/** Display symbols for the lattice parameters */
+const PARAM_SYMBOLS = { a: 'a', b: 'b', c: 'c', alpha: 'α', beta: 'β', gamma: 'γ' };
+const ANGLE_KEYS = ['alpha', 'beta', 'gamma'];
+
 /**
  * Update the lattice info display.
  */
-function updateInfo(name, b1, b2, b3 = null) {
+function updateInfo(lattice, params, b1, b2, b3 = null, classification = null) {
   const infoEl = document.getElementById('lattice-info');
   if (!infoEl) return;
 
-  let html = `<strong>${name} Lattice</strong><br>`;
+  let html = `<strong>${lattice.name} Lattice</strong><br>`;
+  if (classification && state.importedStructure) {
+    const { name, format, description, unit } = state.importedStructure;
+    // Name and description come from the file itself
+    html += `<span>${format}: ${escapeHtml(name)} (${escapeHtml(description)})</span><br>`;
+    html += `<span>Lengths in ${unit}, b in 2π/${unit}</span><br>`;
+  }
+  if (classification) {
+    html += `<span>Detected: ${describeClassification(classification)}</span><br>`;
+    if (classification.strain > 1e-9) {
+      html += `<span>Max. deviation from ideal: ${(classification.strain * 100).toFixed(2)}%</span><br>`;
+    }
+    if (classification.broken) {
+      const { system, holohedry, strain } = classification.broken;
+      html += `<span class="info-warning">⚠ Within ${(strain * 100).toFixed(2)}% of ${system} (${holohedry}), `
+        + `outside the tolerance — treated as ${classification.system}</span><br>`;
+    }
+    // Show the primitive cell that replaced the user's input
+    const cell = b3 ? [lattice.a1, lattice.a2, lattice.a3] : [lattice.a1, lattice.a2];
+    html += `<span>Primitive cell:</span><br>`;
+    cell.forEach((a, i) => {
+      html += `<span>a${'₁₂₃'[i]} = (${a.map(v => v.toFixed(2)).join(', ')})</span><br>`;
+    });
+    params = Object.fromEntries(Object.entries(classification.params).map(([k, v]) => [k, +v.toFixed(3)]));
+  }
+  const paramText = Object.entries(params)
+    .map(([key, v]) => `${PARAM_SYMBOLS[key]} = ${v}${ANGLE_KEYS.includes(key) ? '°' : ''}`)
+    .join(', ');
+  if (paramText) html += `<span>${paramText}</span><br>`;
   html += `<span>b₁ = (${b1.map(v => v.toFixed(2)).join(', ')})</span><br>`;
   html += `<span>b₂ = (${b2.map(v => v.toFixed(2)).join(', ')})</span>`;
   if (b3) {
@@ -227,6 +1203,92 @@ function updateInfo(name, b1, b2, b3 = null) {
   infoEl.innerHTML = html;
 }
 
+/**
+ * Point group acting on k-space, for the irreducible zone: that of the
+ * lattice, or of the crystal when an imported structure brought its atoms,
+ * with time reversal added.
+ *
+ * @param {Array} cell - Real-space primitive vectors
+ * @returns {{ ops: Array, symbol: string, fullSymbol: string, crystal: boolean }}
+ *   ops and fullSymbol include time reversal, symbol does not
+ */
+function kSpacePointGroup(cell) {
+  const latticeOps = latticePointGroup(cell);
+  const atoms = state.latticeType === 'custom' ? state.importedStructure?.atoms : null;
+  const ops = atoms && cell.length === 3 ? crystalPointGroup(latticeOps, cell, atoms) : latticeOps;
+  const withTR = withTimeReversal(ops);
+  return {
+    ops: withTR,
+    symbol: pointGroupSymbol(ops),
+    fullSymbol: pointGroupSymbol(withTR),
+    crystal: ops !== latticeOps
+  };
+}
+
+/**
+ * Seed of the irreducible wedge: the mean of the high-symmetry points other
+ * than Γ. The standard labels sit in one wedge (bar a few equivalent copies
+ * such as L₁), so the wedge around their mean has them on its boundary.
+ */
+function ibzSeed(points) {
+  const others = Object.entries(points).filter(([label]) => label !== 'Γ').map(([, k]) => k);
+  return others.reduce(vadd).map(v => v / others.length);
+}
+
+/** Info panel line describing the point group behind the irreducible zone */
+function ibzSummary({ ops, symbol, fullSymbol, crystal }) {
+  const group = crystal
+    ? `Crystal point group ${symbol}` + (fullSymbol !== symbol ? `, ${fullSymbol} with time reversal` : '')
+    : `Lattice point group ${symbol}`;
+  return `${group}; IBZ = 1/${ops.length} of the 1st zone`;
+}
+
+/**
+ * Append the zone measure check to the lattice info panel: the area (2D) or
+ * volume (3D) of each zone next to (2π)^d / V_cell, with the relative error.
+ * The rows are kept for CSV export.
+ *
+ * @param {Array<Array>} zones - zones[n − 1] = fragments of zone n
+ * @param {Array} cell - Real-space primitive vectors
+ */
+function appendZoneMeasures(zones, cell) {
+  const infoEl = document.getElementById('lattice-info');
+  const dimension = cell.length;
+  const cellVolume = dimension === 3
+    ? Math.abs(vdot(cell[0], vcross(cell[1], cell[2])))
+    : Math.abs(cell[0][0] * cell[1][1] - cell[0][1] * cell[1][0]);
+  const rows = zoneMeasures(zones, cellVolume);
+  lastZoneMeasures = { rows, dimension };
+  if (!infoEl || rows.length === 0) return;
+
+  const [measure, power, symbol] = dimension === 3 ? ['Volume', '³', 'V'] : ['Area', '²', 'A'];
+  let html = `<br><span>Zone ${measure.toLowerCase()}s vs. (2π)${power}/${symbol}<sub>cell</sub> = `
+    + `${rows[0].expected.toFixed(4)}</span>`;
+  html += `<div class="zone-measures"><table><tr><th>n</th><th>Pieces</th><th>${measure}</th><th>Rel. error</th></tr>`;
+  for (const { zone, fragments, measure: value, relativeError } of rows) {
+    const flag = Math.abs(relativeError) > 1e-6 ? ' class="info-warning"' : '';
+    html += `<tr${flag}><td>${zone}</td><td>${fragments}</td><td>${value.toFixed(4)}</td>`
+      + `<td>${relativeError.toExponential(1)}</td></tr>`;
+  }
+  html += '</table></div>';
+  infoEl.innerHTML += html;
+}
+
+/**
+ * Append a note to the lattice info panel, highlighted as a warning unless
+ * warning is false.
+ */
+function appendInfoNote(message, warning = true) {
+  const infoEl = document.getElementById('lattice-info');
+  if (!infoEl) return;
+  infoEl.innerHTML += warning ? `<br><span class="info-warning">⚠ ${message}</span>` : `<br>${message}`;
+}
+
+/** Escape text for use inside the HTML of the info panel. */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
 /**
  * Load and render physics notes in the notes panel.
  */
@@ -312,14 +1374,29 @@ function init() {
     console.log('✓ Canvas element found');
     renderer2d = new Renderer2D(canvas);
     renderer2d.resize();
-    renderer2d.onInteraction(() => update());
+    renderer2d.onInteraction(() => draw2D());
+    renderer2d.onClick((x, y, event) => {
+      if (state.kPathEditing) pickPathPoint(renderer2d.pickPoint(currentHighSymmetryPoints, x, y), event);
+    });
     
+    // Real-space panel, lengths zoomed to match the reciprocal panel
+    realRenderer2d = new Renderer2D(document.getElementById('real-canvas-2d'));
+    realRenderer2d.scale *= REAL_SPACE_ZOOM;
+    realRenderer2d.axisLabels = ['x', 'y'];
+    realRenderer2d.showZoneNumbers = false;
+    realRenderer2d.onInteraction(() => {
+      if (realRenderer2d.lastScene) realRenderer2d.render(realRenderer2d.lastScene);
+    });
+
     window.addEventListener('resize', () => {
       renderer2d.resize();
+      realRenderer2d.resize();
       update();
     });
     console.log('✓ 2D renderer initialized');
 
+    bandPlot = new BandPlot(document.getElementById('band-canvas'));
+
     // Initialise label manager
     labelManager = new LabelManager();
     console.log('✓ Label manager initialized');
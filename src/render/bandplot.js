@@ -0,0 +1,198 @@
+/**
+ * bandplot.js — Band-structure plot E(k) along a k-path, on a 2D canvas.
+ *
+ * The horizontal axis is the distance travelled along the path (see
+ * sampleKPath), with a vertical line and the point's name at every
+ * high-symmetry point; the vertical axis is the energy. Dashed vertical lines
+ * can mark further positions, such as Bragg planes, and dots the points
+ * where bands are degenerate. A dashed horizontal line can mark one energy,
+ * such as E₀ of a constant-energy contour.
+ */
+
+/** Plot margins (px): left leaves room for the energy ticks, bottom for the labels */
+const MARGIN = { left: 44, right: 10, top: 10, bottom: 24 };
+
+const BAND_COLOR = '#8b4513';
+const MARK_COLOR = '#1a1a2e';
+
+/** Color of the energy line (as the constant-energy contour) */
+const LEVEL_COLOR = '#6a1b9a';
+
+export class BandPlot {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+  }
+
+  /** Resize the canvas to fill its container */
+  resize() {
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    this.canvas.width = rect.width;
+    this.canvas.height = rect.height;
+  }
+
+  /**
+   * Draw the bands.
+   *
+   * @param {Object} plot
+   * @param {number[]} plot.distances - Path distance of every k-point
+   * @param {Array<{ label: string, distance: number }>} plot.ticks - High-symmetry points
+   * @param {Array<ArrayLike<number>>} plot.bands - bands[n][i] = E_n at k-point i;
+   *   NaN leaves a gap
+   * @param {string[]|null} plot.colors - Color per band, BAND_COLOR if null
+   * @param {number[]} plot.boundaries - Distances of dashed vertical lines
+   * @param {Array<{ distance: number, energy: number, label: string }>} plot.marks -
+   *   Points to mark with a dot and a label
+   * @param {number|null} plot.level - Energy of a dashed horizontal line
+   * @param {number[]|null} plot.energyRange - [min, max] of the axis; by
+   *   default it fits the bands
+   * @param {string} plot.yLabel - Energy axis title
+   * @param {string|null} plot.message - Shown instead of the bands, e.g. when
+   *   there is no model for the lattice
+   */
+  render({
+    distances = [], ticks = [], bands = [], colors = null, boundaries = [], marks = [],
+    level = null, energyRange = null, yLabel = 'E', message = null
+  }) {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+
+    if (message || bands.length === 0 || distances.length < 2) {
+      ctx.fillStyle = '#777';
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(message ?? 'No k-path to plot along', width / 2, height / 2);
+      return;
+    }
+
+    let [eMin, eMax] = energyRange ?? [Infinity, -Infinity];
+    if (!energyRange) {
+      for (const band of bands) {
+        for (const E of band) {
+          if (Number.isNaN(E)) continue;
+          eMin = Math.min(eMin, E);
+          eMax = Math.max(eMax, E);
+        }
+      }
+      const pad = 0.05 * (eMax - eMin || 1);
+      eMin -= pad;
+      eMax += pad;
+    }
+
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const length = distances[distances.length - 1] || 1;
+    const x = d => MARGIN.left + d / length * plotWidth;
+    const y = E => MARGIN.top + (eMax - E) / (eMax - eMin) * plotHeight;
+
+    // Energy ticks
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const step = niceStep((eMax - eMin) / 5);
+    for (let E = Math.ceil(eMin / step) * step; E <= eMax; E += step) {
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+      ctx.beginPath();
+      ctx.moveTo(MARGIN.left, y(E));
+      ctx.lineTo(width - MARGIN.right, y(E));
+      ctx.stroke();
+      ctx.fillStyle = '#555';
+      ctx.fillText(formatTick(E, step), MARGIN.left - 4, y(E));
+    }
+    ctx.save();
+    ctx.translate(10, MARGIN.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText(yLabel, 0, 0);
+    ctx.restore();
+
+    // High-symmetry points
+    ctx.font = 'bold 12px serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const { label, distance } of ticks) {
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+      ctx.beginPath();
+      ctx.moveTo(x(distance), MARGIN.top);
+      ctx.lineTo(x(distance), MARGIN.top + plotHeight);
+      ctx.stroke();
+      ctx.fillStyle = '#8b4513';
+      ctx.fillText(label, x(distance), MARGIN.top + plotHeight + 4);
+    }
+
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.setLineDash([4, 3]);
+    for (const distance of boundaries) {
+      ctx.beginPath();
+      ctx.moveTo(x(distance), MARGIN.top);
+      ctx.lineTo(x(distance), MARGIN.top + plotHeight);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // Bands, broken where the path jumps (two samples at one distance) and
+    // at gaps; clipped to the plot when the energy range is fixed
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(MARGIN.left, MARGIN.top, plotWidth, plotHeight);
+    ctx.clip();
+    ctx.lineWidth = 1.5;
+    bands.forEach((band, n) => {
+      ctx.strokeStyle = colors?.[n] ?? BAND_COLOR;
+      ctx.beginPath();
+      let drawing = false;
+      for (let i = 0; i < distances.length; i++) {
+        if (Number.isNaN(band[i])) {
+          drawing = false;
+          continue;
+        }
+        const jump = i > 0 && distances[i] === distances[i - 1];
+        if (!drawing || jump) ctx.moveTo(x(distances[i]), y(band[i]));
+        else ctx.lineTo(x(distances[i]), y(band[i]));
+        drawing = true;
+      }
+      ctx.stroke();
+    });
+
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    for (const { distance, energy, label } of marks) {
+      ctx.fillStyle = MARK_COLOR;
+      ctx.beginPath();
+      ctx.arc(x(distance), y(energy), 2.5, 0, 2 * Math.PI);
+      ctx.fill();
+      if (label) ctx.fillText(label, x(distance) + 3, y(energy) - 2);
+    }
+    if (level !== null) {
+      ctx.strokeStyle = LEVEL_COLOR;
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(MARGIN.left, y(level));
+      ctx.lineTo(width - MARGIN.right, y(level));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    ctx.restore();
+
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(MARGIN.left, MARGIN.top, plotWidth, plotHeight);
+  }
+}
+
+/** A round step (1, 2 or 5 × 10ⁿ) close to the given one */
+function niceStep(rough) {
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const scaled = rough / power;
+  return (scaled < 1.5 ? 1 : scaled < 3.5 ? 2 : scaled < 7.5 ? 5 : 10) * power;
+}
+
+/** Tick label with as many decimals as the step needs */
+function formatTick(E, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return (Math.abs(E) < step / 2 ? 0 : E).toFixed(decimals);
+}
@@ -2,15 +2,22 @@
  * export.js — PNG export system for 2D canvas and 3D WebGL snapshots.
  *
  * Supports multiple resolution scales and optional transparent backgrounds.
+ * Vector-mode 2D zones can also be exported as SVG, and the zone measure
+ * check as CSV.
  */
 
+import {
+  IBZ_FILL, IBZ_STROKE, KPATH_COLOR, KMESH_COLOR, FERMI_COLOR, CONTOUR_COLOR, EWALD_COLOR, CELL_COLOR, MIN_WEIGHT_LABEL_SPACING, arrowHead
+} from './render2d.js';
+
 /**
  * Export a 2D canvas as PNG.
  *
  * @param {HTMLCanvasElement} canvas - Source canvas
  * @param {number} scale - Resolution multiplier (1, 2, 4, or 8)
  * @param {boolean} transparent - Whether to use transparent background
- * @param {Function} renderFn - Function to call to re-render at new scale
+ * @param {Function} renderFn - Redraws the scene onto the given context, which
+ *   is already scaled; without it the canvas pixels are upscaled
  * @returns {string} Data URL of the exported PNG
  */
 export function exportCanvas2D(canvas, scale = 1, transparent = false, renderFn = null) {
@@ -27,12 +34,185 @@ export function exportCanvas2D(canvas, scale = 1, transparent = false, renderFn
 
   // Scale and draw
   ctx.scale(scale, scale);
-  ctx.imageSmoothingEnabled = false; // Crisp pixel art for zone maps
-  ctx.drawImage(canvas, 0, 0);
+  if (renderFn) {
+    // Redraw the scene itself rather than upscaling the screen pixels
+    renderFn(ctx);
+  } else {
+    ctx.imageSmoothingEnabled = false; // Crisp pixel art for zone maps
+    ctx.drawImage(canvas, 0, 0);
+  }
 
   return exportCanvas.toDataURL('image/png');
 }
 
+/**
+ * Export the last vector-mode 2D render as SVG: zone fragments (or folded
+ * pieces) with their fill colors and outlines, the Fermi circle,
+ * reciprocal lattice points, the k-point mesh, the k-path and high-symmetry
+ * labels, in the current view. A real-space render exports its
+ * Wigner–Seitz cell, lattice points and cell vectors the same way.
+ *
+ * @param {Renderer2D} renderer - 2D renderer whose lastScene holds zone polygons
+ * @param {boolean} transparent - Whether to omit the background
+ * @returns {string|null} Data URL of the SVG, or null without vector zones
+ */
+export function exportSVG2D(renderer, transparent = false) {
+  const scene = renderer.lastScene;
+  if (!scene || !(scene.foldedPieces || (scene.zones && scene.zoneColors))) return null;
+
+  const { width, height } = renderer.canvas;
+  const point = (k) => renderer.toCanvas(k).map(v => v.toFixed(2)).join(',');
+  const circle = (k, r, fill) => {
+    const [x, y] = renderer.toCanvas(k);
+    return `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${r}" ${fill}/>`;
+  };
+  // Arrowhead on the canvas segment p → q, as Renderer2D fills it
+  const arrowPolygon = (p, q, atEnd, color) => {
+    const corners = arrowHead(p, q, atEnd).map(c => c.map(v => v.toFixed(2)).join(',')).join(' ');
+    return `<polygon points="${corners}" fill="${color}"/>`;
+  };
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+  ];
+  if (!transparent) {
+    parts.push(`<rect width="${width}" height="${height}" fill="#f7f6f3"/>`);
+  }
+
+  const path = (polygons) => polygons.map(poly => `M${poly.map(point).join('L')}Z`).join('');
+
+  if (scene.foldedPieces) {
+    for (const { polygon, color } of scene.foldedPieces) {
+      parts.push(
+        `<path d="${path([polygon])}" fill="${color}" fill-opacity="0.85" ` +
+        'stroke="#000" stroke-opacity="0.6" stroke-width="0.75"/>'
+      );
+    }
+    parts.push(`<path d="${path([scene.firstZone])}" fill="none" stroke="#222" stroke-width="2"/>`);
+  } else {
+    for (const { zone, polygons } of scene.zones) {
+      if (polygons.length === 0) continue;
+      const { r, g, b, a } = scene.zoneColors[zone - 1];
+      parts.push(
+        `<path d="${path(polygons)}" fill="rgb(${r},${g},${b})" fill-opacity="${(a / 255).toFixed(3)}" ` +
+        `stroke="#000" stroke-opacity="0.6" stroke-width="0.75" data-zone="${zone}"/>`
+      );
+    }
+  }
+
+  if (scene.ibz) {
+    parts.push(`<path d="${path([scene.ibz])}" fill="${IBZ_FILL}" stroke="${IBZ_STROKE}" stroke-width="2"/>`);
+  }
+
+  if (scene.contour && scene.contour.length > 0) {
+    const d = scene.contour.map(([p, q]) => `M${point(p)}L${point(q)}`).join('');
+    parts.push(`<path d="${d}" fill="none" stroke="${CONTOUR_COLOR}" stroke-width="2" stroke-linecap="round"/>`);
+  }
+
+  if (scene.fermiArcs) {
+    for (const arc of scene.fermiArcs) {
+      parts.push(`<path d="M${arc.map(point).join('L')}" fill="none" stroke="${FERMI_COLOR}" stroke-width="2.5"/>`);
+      if (scene.fermiArcs.length === 1) continue;
+      parts.push(circle(arc[0], 3, `fill="${FERMI_COLOR}"`), circle(arc[arc.length - 1], 3, `fill="${FERMI_COLOR}"`));
+    }
+  }
+
+  if (renderer.showReciprocalPoints) {
+    parts.push(circle([0, 0], 5, 'fill="#b22222"'));
+    for (const G of scene.reciprocalPoints) {
+      parts.push(circle(G, 3, 'fill="#000" fill-opacity="0.5"'));
+    }
+  }
+
+  if (scene.kMesh) {
+    const { points, irreducible, spacing } = scene.kMesh;
+    const opacity = irreducible ? ' fill-opacity="0.45"' : '';
+    for (const k of points) {
+      parts.push(circle(k, 2, `fill="${KMESH_COLOR}"${opacity}`));
+    }
+    const labelled = spacing * renderer.scale >= MIN_WEIGHT_LABEL_SPACING;
+    for (const { k, multiplicity } of irreducible ?? []) {
+      parts.push(circle(k, 4, `fill="${KMESH_COLOR}" stroke="#fff"`));
+      if (!labelled) continue;
+      const [x, y] = renderer.toCanvas(k);
+      parts.push(
+        `<text x="${(x + 5).toFixed(2)}" y="${(y + 13).toFixed(2)}" fill="${KMESH_COLOR}" ` +
+        `font-family="monospace" font-size="10">×${multiplicity}</text>`
+      );
+    }
+  }
+
+  if (scene.kPath) {
+    for (const { from, to } of scene.kPath.legs) {
+      const p = renderer.toCanvas(from);
+      const q = renderer.toCanvas(to);
+      parts.push(`<path d="M${point(from)}L${point(to)}" stroke="${KPATH_COLOR}" stroke-width="2"/>`);
+      parts.push(arrowPolygon(p, q, false, KPATH_COLOR));
+    }
+    for (const k of scene.kPath.kpoints) {
+      parts.push(circle(k, 1.5, `fill="${KPATH_COLOR}"`));
+    }
+  }
+
+  if (scene.ewald) {
+    const { centre, radius, reflections } = scene.ewald;
+    const [cx, cy] = renderer.toCanvas(centre);
+    parts.push(
+      `<circle cx="${cx.toFixed(2)}" cy="${cy.toFixed(2)}" r="${(radius * renderer.scale).toFixed(2)}" ` +
+      `fill="none" stroke="${EWALD_COLOR}" stroke-width="1.5"/>`
+    );
+    for (const { G } of reflections) {
+      const mirror = [G[0] - centre[0], G[1] - centre[1]];
+      parts.push(`<path d="M${point(centre)}L${point(mirror)}" stroke="${EWALD_COLOR}" stroke-dasharray="5 4"/>`);
+    }
+    const beam = (k, width) => {
+      parts.push(`<path d="M${point(centre)}L${point(k)}" stroke="${EWALD_COLOR}" stroke-width="${width}"/>`);
+      parts.push(arrowPolygon([cx, cy], renderer.toCanvas(k), false, EWALD_COLOR));
+    };
+    beam([0, 0], 2.5);
+    for (const { G, label } of reflections) {
+      beam(G, 1.5);
+      const [x, y] = renderer.toCanvas(G);
+      parts.push(circle(G, 6, `fill="none" stroke="${EWALD_COLOR}" stroke-width="1.5"`));
+      parts.push(
+        `<text x="${(x + 7).toFixed(2)}" y="${(y - 5).toFixed(2)}" fill="${EWALD_COLOR}" ` +
+        `font-family="sans-serif" font-size="12">${label}</text>`
+      );
+    }
+  }
+
+  if (scene.cell) {
+    const [A, B] = scene.cell.conventional;
+    parts.push(
+      `<path d="${path([[[0, 0], A, [A[0] + B[0], A[1] + B[1]], B]])}" fill="none" ` +
+      `stroke="${CELL_COLOR}" stroke-width="1.5" stroke-dasharray="6 4"/>`
+    );
+    const o = renderer.toCanvas([0, 0]);
+    scene.cell.vectors.forEach((a, i) => {
+      const [x, y] = renderer.toCanvas(a);
+      parts.push(`<path d="M${point([0, 0])}L${point(a)}" stroke="${CELL_COLOR}" stroke-width="2"/>`);
+      parts.push(arrowPolygon(o, [x, y], true, CELL_COLOR));
+      parts.push(
+        `<text x="${(x + 6).toFixed(2)}" y="${(y - 4).toFixed(2)}" fill="${CELL_COLOR}" ` +
+        `font-family="serif" font-size="14" font-weight="bold">a${'₁₂'[i]}</text>`
+      );
+    });
+  }
+
+  if (renderer.showLabels) {
+    for (const [label, pos] of Object.entries(scene.highSymmetryPoints)) {
+      const [x, y] = renderer.toCanvas(pos);
+      parts.push(circle(pos, 4, 'fill="#8b4513"'));
+      parts.push(
+        `<text x="${(x + 6).toFixed(2)}" y="${(y - 4).toFixed(2)}" fill="#8b4513" ` +
+        `font-family="serif" font-size="14" font-weight="bold">${label}</text>`
+      );
+    }
+  }
+
+  parts.push('</svg>');
+  return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(parts.join('\n'));
+}
+
 /**
  * Export a 3D WebGL canvas as PNG.
  *
@@ -70,6 +250,24 @@ export function exportCanvas3D(renderer, scene, camera, scale = 1, transparent =
   return dataURL;
 }
 
+/**
+ * Export the zone measure check (see zoneMeasures) as CSV.
+ *
+ * @param {Array<Object>} rows - { zone, fragments, measure, expected, relativeError }
+ * @param {number} dimension - 2 (areas) or 3 (volumes)
+ * @returns {string} Data URL of the CSV
+ */
+export function exportZoneMeasuresCSV(rows, dimension) {
+  const measure = dimension === 3 ? 'volume' : 'area';
+  const lines = [`zone,fragments,${measure},expected_${measure},relative_error`];
+  for (const { zone, fragments, measure: value, expected, relativeError } of rows) {
+    lines.push([
+      zone, fragments, value.toPrecision(15), expected.toPrecision(15), relativeError.toExponential(6)
+    ].join(','));
+  }
+  return 'data:text/csv;charset=utf-8,' + encodeURIComponent(lines.join('\n') + '\n');
+}
+
 /**
  * Trigger download of a data URL as a file.
  *
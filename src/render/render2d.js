@@ -27,18 +27,68 @@ const ZONE_BORDER_COLORS = [
   '#2f4f4f', '#708090', '#8b4513', '#b22222', '#556b2f'
 ];
 
+/**
+ * Colors of the overlays, shared with the SVG export and the 3D view: the
+ * irreducible wedge (fill and outline), the k-path, the k-point mesh, the
+ * Fermi circle and its folded pieces, the constant-energy contour, the Ewald
+ * construction, and the primitive vectors and conventional cell.
+ */
+export const IBZ_FILL = 'rgba(30, 90, 200, 0.35)';
+export const IBZ_STROKE = '#1e5ac8';
+export const KPATH_COLOR = '#c2185b';
+export const KMESH_COLOR = '#2e7d32';
+export const FERMI_COLOR = '#0d47a1';
+export const CONTOUR_COLOR = '#6a1b9a';
+export const EWALD_COLOR = '#e65100';
+export const CELL_COLOR = '#00695c';
+
+/** Mesh spacing (px) from which irreducible points carry their multiplicity */
+export const MIN_WEIGHT_LABEL_SPACING = 24;
+
+/** Length and half-width (px) of the arrowhead halfway along each k-path leg */
+const ARROW_LENGTH = 10;
+const ARROW_HALF_WIDTH = 4;
+
+/**
+ * Corners of the arrowhead on the canvas segment p → q: tip a little past
+ * the midpoint, or at q, base centred behind it.
+ *
+ * @param {Array<number>} p - Start in canvas pixels
+ * @param {Array<number>} q - End in canvas pixels
+ * @param {boolean} atEnd - Whether the tip sits at q
+ * @returns {Array<Array<number>>} Tip and the two base corners
+ */
+export function arrowHead(p, q, atEnd = false) {
+  const length = Math.hypot(q[0] - p[0], q[1] - p[1]) || 1;
+  const [dx, dy] = [(q[0] - p[0]) / length, (q[1] - p[1]) / length];
+  const tip = atEnd
+    ? q
+    : [(p[0] + q[0]) / 2 + dx * ARROW_LENGTH / 2, (p[1] + q[1]) / 2 + dy * ARROW_LENGTH / 2];
+  const base = [tip[0] - dx * ARROW_LENGTH, tip[1] - dy * ARROW_LENGTH];
+  return [
+    tip,
+    [base[0] - dy * ARROW_HALF_WIDTH, base[1] + dx * ARROW_HALF_WIDTH],
+    [base[0] + dy * ARROW_HALF_WIDTH, base[1] - dx * ARROW_HALF_WIDTH]
+  ];
+}
+
+/** Fragments smaller than this on screen (px) get no zone number */
+const MIN_LABELLED_SIZE = 24;
+
 export class Renderer2D {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.scale = 40; // pixels per reciprocal unit
     this.offset = { x: 0, y: 0 };
+    this.axisLabels = ['kₓ', 'kᵧ'];
     this.showGrid = true;
     this.showReciprocalPoints = true;
     this.showZoneNumbers = true;
     this.showLabels = true;
     this.showBraggPlanes = true; // Show Bragg plane lines
     this.pixelBased = false; // Use pixel-based rendering
+    this.lastScene = null;   // Arguments of the last render() call
 
     this._setupInteraction();
   }
@@ -48,10 +98,12 @@ export class Renderer2D {
     let dragging = false;
     let lastX, lastY;
 
+    let downX, downY;
+
     this.canvas.addEventListener('mousedown', (e) => {
       dragging = true;
-      lastX = e.clientX;
-      lastY = e.clientY;
+      lastX = downX = e.clientX;
+      lastY = downY = e.clientY;
     });
 
     this.canvas.addEventListener('mousemove', (e) => {
@@ -70,9 +122,16 @@ export class Renderer2D {
       e.preventDefault();
       const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
       this.scale *= zoomFactor;
-      this.scale = Math.max(5, Math.min(200, this.scale));
+      this.scale = Math.max(5, Math.min(2000, this.scale));
       if (this._renderCallback) this._renderCallback();
     });
+
+    // A click that did not pan the view
+    this.canvas.addEventListener('click', (e) => {
+      if (!this._clickCallback || Math.hypot(e.clientX - downX, e.clientY - downY) > 3) return;
+      const rect = this.canvas.getBoundingClientRect();
+      this._clickCallback(e.clientX - rect.left, e.clientY - rect.top, e);
+    });
   }
 
   /** Register a callback to re-render on interaction */
@@ -80,6 +139,35 @@ export class Renderer2D {
     this._renderCallback = callback;
   }
 
+  /**
+   * Register a callback for clicks that do not pan the view.
+   * @param {Function} callback - Called with canvas x, y (px) and the event
+   */
+  onClick(callback) {
+    this._clickCallback = callback;
+  }
+
+  /**
+   * Label of the point nearest to a canvas position, if within reach.
+   * @param {Object} points - Map of label to [kx, ky]
+   * @param {number} x, y - Canvas position (px)
+   * @param {number} radius - Reach (px)
+   * @returns {string|null}
+   */
+  pickPoint(points, x, y, radius = 10) {
+    let best = null;
+    let bestDistance = radius;
+    for (const [label, pos] of Object.entries(points)) {
+      const p = this.toCanvas(pos);
+      const distance = Math.hypot(p[0] - x, p[1] - y);
+      if (distance <= bestDistance) {
+        best = label;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
   /** Convert reciprocal space coordinates to canvas pixel coordinates */
   toCanvas(k) {
     const cx = this.canvas.width / 2 + this.offset.x;
@@ -90,6 +178,19 @@ export class Renderer2D {
     ];
   }
 
+  /**
+   * The pixel grid of the canvas in reciprocal space, one zone-map pixel
+   * per canvas pixel (same fields as zoneMapGrid).
+   * @returns {Object} { xMin, xMax, yMin, yMax, step, width, height }
+   */
+  viewGrid() {
+    const { width, height } = this.canvas;
+    const step = 1 / this.scale;
+    const xMin = -(width / 2 + this.offset.x) * step;
+    const yMax = (height / 2 + this.offset.y) * step;
+    return { xMin, xMax: xMin + width * step, yMin: yMax - height * step, yMax, step, width, height };
+  }
+
   /** Clear the canvas */
   clear(transparent = false) {
     if (transparent) {
@@ -124,8 +225,8 @@ export class Renderer2D {
     // Axis labels
     ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
     ctx.font = '14px monospace';
-    ctx.fillText('kₓ', this.canvas.width - 30, cy - 10);
-    ctx.fillText('kᵧ', cx + 10, 20);
+    ctx.fillText(this.axisLabels[0], this.canvas.width - 30, cy - 10);
+    ctx.fillText(this.axisLabels[1], cx + 10, 20);
   }
 
   /** Draw a grid in reciprocal space */
@@ -183,36 +284,50 @@ export class Renderer2D {
 
   /**
    * Draw Brillouin zone polygons.
+   *
+   * With zoneColors (the pixel map's palette) each zone is filled as one
+   * path, so the fragments of a zone join without antialiasing seams, and
+   * outlined in thin black like the Bragg lines of the pixel map. Without it
+   * the neutral ZONE_COLORS are used per polygon.
+   *
    * @param {Array<{ zone: number, polygons: Array<Array<[number,number]>> }>} zones
+   * @param {Array<{r, g, b, a}>|null} zoneColors - Color per zone, 0–255 channels
    */
-  drawZones(zones) {
+  drawZones(zones, zoneColors = null) {
     const ctx = this.ctx;
 
     for (const { zone, polygons } of zones) {
       const colorIdx = (zone - 1) % ZONE_COLORS.length;
 
+      if (zoneColors) {
+        const { r, g, b, a } = zoneColors[zone - 1];
+        ctx.beginPath();
+        for (const poly of polygons) this._tracePolygon(poly);
+        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 0.75;
+        ctx.stroke();
+      }
+
       for (const poly of polygons) {
         if (poly.length < 3) continue;
 
-        // Fill
-        ctx.fillStyle = ZONE_COLORS[colorIdx];
-        ctx.beginPath();
-        const start = this.toCanvas(poly[0]);
-        ctx.moveTo(start[0], start[1]);
-        for (let i = 1; i < poly.length; i++) {
-          const p = this.toCanvas(poly[i]);
-          ctx.lineTo(p[0], p[1]);
+        if (!zoneColors) {
+          // Fill
+          ctx.fillStyle = ZONE_COLORS[colorIdx];
+          ctx.beginPath();
+          this._tracePolygon(poly);
+          ctx.fill();
+
+          // Border
+          ctx.strokeStyle = ZONE_BORDER_COLORS[colorIdx];
+          ctx.lineWidth = 1.5;
+          ctx.stroke();
         }
-        ctx.closePath();
-        ctx.fill();
-
-        // Border
-        ctx.strokeStyle = ZONE_BORDER_COLORS[colorIdx];
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
 
-        // Zone number label
-        if (this.showZoneNumbers) {
+        // Zone number label, skipped on fragments too small to hold it
+        if (this.showZoneNumbers && this._screenSize(poly) >= MIN_LABELLED_SIZE) {
           const c = polygonCentroid(poly);
           const cp = this.toCanvas(c);
           ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
@@ -225,6 +340,287 @@ export class Renderer2D {
     }
   }
 
+  /** Add a closed polygon to the current canvas path */
+  _tracePolygon(poly) {
+    const start = this.toCanvas(poly[0]);
+    this.ctx.moveTo(start[0], start[1]);
+    for (let i = 1; i < poly.length; i++) {
+      const p = this.toCanvas(poly[i]);
+      this.ctx.lineTo(p[0], p[1]);
+    }
+    this.ctx.closePath();
+  }
+
+  /** Fill the arrowhead on the canvas segment p → q (see arrowHead) */
+  _fillArrow(p, q, atEnd = false) {
+    const [tip, left, right] = arrowHead(p, q, atEnd);
+    this.ctx.beginPath();
+    this.ctx.moveTo(tip[0], tip[1]);
+    this.ctx.lineTo(left[0], left[1]);
+    this.ctx.lineTo(right[0], right[1]);
+    this.ctx.closePath();
+    this.ctx.fill();
+  }
+
+  /** Smaller side of a polygon's bounding box, in canvas pixels */
+  _screenSize(poly) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const [x, y] of poly) {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }
+    return Math.min(maxX - minX, maxY - minY) * this.scale;
+  }
+
+  /**
+   * Draw the pieces of a zone folded into the 1st zone, each filled with its
+   * own color, and the outline of the 1st zone on top.
+   *
+   * @param {Array<{ polygon: Array<[number,number]>, color: string }>} pieces
+   * @param {Array<[number,number]>} firstZone - 1st BZ polygon
+   */
+  drawFoldedZone(pieces, firstZone) {
+    const ctx = this.ctx;
+
+    for (const { polygon, color } of pieces) {
+      ctx.beginPath();
+      this._tracePolygon(polygon);
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.85;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.lineWidth = 0.75;
+      ctx.stroke();
+    }
+
+    ctx.beginPath();
+    this._tracePolygon(firstZone);
+    ctx.strokeStyle = '#222';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  /**
+   * Highlight the irreducible wedge of the 1st zone.
+   * @param {Array<[number,number]>} polygon - IBZ polygon (computeIBZ2D)
+   */
+  drawIBZ(polygon) {
+    if (polygon.length < 3) return;
+    const ctx = this.ctx;
+    ctx.beginPath();
+    this._tracePolygon(polygon);
+    ctx.fillStyle = IBZ_FILL;
+    ctx.fill();
+    ctx.strokeStyle = IBZ_STROKE;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  /**
+   * Draw a k-point mesh: every point as a small dot and, after symmetry
+   * reduction, the irreducible points as larger ones, with their
+   * multiplicity once the mesh is spread out enough to read it.
+   * @param {{ points: Array, irreducible: Array<{ k, multiplicity }>|null,
+   *   spacing: number }} mesh - spacing is the smallest mesh step in k-space
+   */
+  drawKMesh({ points, irreducible, spacing }) {
+    const ctx = this.ctx;
+    ctx.fillStyle = KMESH_COLOR;
+    ctx.globalAlpha = irreducible ? 0.45 : 1;
+    for (const k of points) {
+      const p = this.toCanvas(k);
+      ctx.beginPath();
+      ctx.arc(p[0], p[1], 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+    if (!irreducible) return;
+
+    const labelled = spacing * this.scale >= MIN_WEIGHT_LABEL_SPACING;
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1;
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    for (const { k, multiplicity } of irreducible) {
+      const p = this.toCanvas(k);
+      ctx.beginPath();
+      ctx.arc(p[0], p[1], 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      if (labelled) ctx.fillText(`×${multiplicity}`, p[0] + 5, p[1] + 3);
+    }
+  }
+
+  /**
+   * Draw the k-path: each leg as a line with an arrowhead halfway along it,
+   * and a dot at every sampled k-point.
+   * @param {{ legs: Array<{ from, to }>, kpoints: Array }} path - See sampleKPath
+   */
+  drawKPath({ legs, kpoints }) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = KPATH_COLOR;
+    ctx.fillStyle = KPATH_COLOR;
+    ctx.lineWidth = 2;
+
+    for (const { from, to } of legs) {
+      const p = this.toCanvas(from);
+      const q = this.toCanvas(to);
+      ctx.beginPath();
+      ctx.moveTo(p[0], p[1]);
+      ctx.lineTo(q[0], q[1]);
+      ctx.stroke();
+      this._fillArrow(p, q);
+    }
+
+    for (const k of kpoints) {
+      const p = this.toCanvas(k);
+      ctx.beginPath();
+      ctx.arc(p[0], p[1], 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  /**
+   * Draw the Ewald construction: the circle, the incident beam from its
+   * centre to the origin, a diffracted beam from the centre to every
+   * reflection with the reflection ringed and labelled, and dashed the Bragg
+   * line of each reflection, which passes through the centre.
+   *
+   * @param {{ centre: Array, radius: number, reflections: Array<{ G, label }> }} ewald
+   */
+  drawEwald({ centre, radius, reflections }) {
+    const ctx = this.ctx;
+    const c = this.toCanvas(centre);
+    const r = radius * this.scale;
+    ctx.strokeStyle = EWALD_COLOR;
+    ctx.fillStyle = EWALD_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(c[0], c[1], r, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.setLineDash([5, 4]);
+    ctx.lineWidth = 1;
+    for (const { G } of reflections) {
+      // The centre and its mirror image in G/2 both lie on the Bragg line
+      const p = this.toCanvas([G[0] - centre[0], G[1] - centre[1]]);
+      ctx.beginPath();
+      ctx.moveTo(c[0], c[1]);
+      ctx.lineTo(p[0], p[1]);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    ctx.lineWidth = 1.5;
+    const beam = (k, width) => {
+      const q = this.toCanvas(k);
+      ctx.lineWidth = width;
+      ctx.beginPath();
+      ctx.moveTo(c[0], c[1]);
+      ctx.lineTo(q[0], q[1]);
+      ctx.stroke();
+      this._fillArrow(c, q);
+    };
+    beam([0, 0], 2.5);
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    for (const { G, label } of reflections) {
+      beam(G, 1.5);
+      const p = this.toCanvas(G);
+      ctx.beginPath();
+      ctx.arc(p[0], p[1], 6, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.fillText(label, p[0] + 7, p[1] - 5);
+    }
+  }
+
+  /**
+   * Draw a real-space cell: the conventional cell dashed, and the primitive
+   * vectors as labelled arrows from the origin.
+   *
+   * @param {{ vectors: Array, conventional: Array }} cell - Primitive and
+   *   conventional vectors (conventionalCell)
+   */
+  drawCell({ vectors, conventional }) {
+    const ctx = this.ctx;
+    const [A, B] = conventional;
+    ctx.strokeStyle = CELL_COLOR;
+    ctx.fillStyle = CELL_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    this._tracePolygon([[0, 0], A, [A[0] + B[0], A[1] + B[1]], B]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const o = this.toCanvas([0, 0]);
+    ctx.lineWidth = 2;
+    ctx.font = 'bold 14px serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    vectors.forEach((a, i) => {
+      const q = this.toCanvas(a);
+      ctx.beginPath();
+      ctx.moveTo(o[0], o[1]);
+      ctx.lineTo(q[0], q[1]);
+      ctx.stroke();
+      this._fillArrow(o, q, true);
+      ctx.fillText(`a${'₁₂'[i]}`, q[0] + 6, q[1] - 4);
+    });
+  }
+
+  /**
+   * Draw a constant-energy contour.
+   * @param {Array<Array<[number,number]>>} segments - Segments of two points (contourInZone2D)
+   */
+  drawContour(segments) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = CONTOUR_COLOR;
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    for (const [p, q] of segments) {
+      const [x1, y1] = this.toCanvas(p);
+      const [x2, y2] = this.toCanvas(q);
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+    }
+    ctx.stroke();
+    ctx.lineCap = 'butt';
+  }
+
+  /**
+   * Draw the Fermi circle as its arcs, with a dot at every cut between two
+   * arcs.
+   *
+   * @param {Array<Array<[number,number]>>} arcs - Polylines (fermiArcs2D)
+   */
+  drawFermiArcs(arcs) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = FERMI_COLOR;
+    ctx.fillStyle = FERMI_COLOR;
+    ctx.lineWidth = 2.5;
+    for (const arc of arcs) {
+      ctx.beginPath();
+      arc.forEach((k, i) => {
+        const [x, y] = this.toCanvas(k);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+      if (arcs.length === 1) continue;
+      for (const k of [arc[0], arc[arc.length - 1]]) {
+        const [x, y] = this.toCanvas(k);
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+
   /**
    * Draw high-symmetry point labels.
    * @param {Object} points - Map of label to [kx, ky]
@@ -276,12 +672,13 @@ export class Renderer2D {
   /**
    * Draw zone map from ImageData (pixel-based rendering).
    * @param {ImageData} zoneMap - Zone map as ImageData
-   * @param {number} plotRange - The k-space range used to create the map
+   * @param {Object} grid - k-space rectangle the map covers
+   *   ({ xMin, xMax, yMin, yMax }, see viewGrid)
    */
-  drawZoneMap(zoneMap, plotRange) {
+  drawZoneMap(zoneMap, grid) {
     // Calculate where to draw the zone map on the canvas
-    const topLeft = this.toCanvas([-plotRange, plotRange]);
-    const bottomRight = this.toCanvas([plotRange, -plotRange]);
+    const topLeft = this.toCanvas([grid.xMin, grid.yMax]);
+    const bottomRight = this.toCanvas([grid.xMax, grid.yMin]);
     
     const width = bottomRight[0] - topLeft[0];
     const height = bottomRight[1] - topLeft[1];
@@ -293,31 +690,53 @@ export class Renderer2D {
     const tempCtx = tempCanvas.getContext('2d');
     tempCtx.putImageData(zoneMap, 0, 0);
     
-    // Draw the zone map scaled to fit the view
+    // Draw the zone map scaled to fit the view; between a pan or zoom and
+    // the map for the new view this is the previous map, moved or stretched
     this.ctx.imageSmoothingEnabled = false; // Nearest neighbor for crisp zones
     this.ctx.drawImage(tempCanvas, topLeft[0], topLeft[1], width, height);
     this.ctx.imageSmoothingEnabled = true;
   }
 
   /**
-   * Full render pass.
+   * Full render pass. The arguments are kept so that renderToContext can
+   * repeat the pass for export.
    */
-  render({ zones, reciprocalPoints, highSymmetryPoints, b1, b2, transparent = false, zoneMap = null, braggPlanes = null, plotRange = null }) {
+  render(scene) {
+    this.lastScene = scene;
+    const {
+      zones = [], reciprocalPoints, highSymmetryPoints, b1, b2, transparent = false,
+      zoneMap = null, zoneMapGrid = null, braggPlanes = null, zoneColors = null,
+      foldedPieces = null, firstZone = null, ibz = null, kPath = null, kMesh = null,
+      contour = null, fermiArcs = null, ewald = null, cell = null
+    } = scene;
     this.clear(transparent);
     
-    if (zoneMap && plotRange) {
-      // Pixel-based rendering
-      this.drawZoneMap(zoneMap, plotRange);
-      if (braggPlanes) {
-        this.drawBraggPlanes(braggPlanes);
+    if (braggPlanes) {
+      // Pixel-based rendering; the map may still be on its way
+      if (zoneMap) {
+        this.drawZoneMap(zoneMap, zoneMapGrid);
       }
+      this.drawBraggPlanes(braggPlanes);
     } else {
-      // Polygon-based rendering (original)
+      // Polygon-based rendering
       if (!transparent) {
         this.drawAxes();
         this.drawGrid(b1, b2);
       }
-      this.drawZones(zones);
+      if (foldedPieces) {
+        this.drawFoldedZone(foldedPieces, firstZone);
+      } else {
+        this.drawZones(zones, zoneColors);
+      }
+    }
+    if (ibz) {
+      this.drawIBZ(ibz);
+    }
+    if (contour) {
+      this.drawContour(contour);
+    }
+    if (fermiArcs) {
+      this.drawFermiArcs(fermiArcs);
     }
     
     // Always draw these
@@ -325,9 +744,43 @@ export class Renderer2D {
       this.drawAxes();
     }
     this.drawReciprocalPoints(reciprocalPoints);
+    if (kMesh) {
+      this.drawKMesh(kMesh);
+    }
+    if (kPath) {
+      this.drawKPath(kPath);
+    }
+    if (ewald) {
+      this.drawEwald(ewald);
+    }
+    if (cell) {
+      this.drawCell(cell);
+    }
     this.drawHighSymmetryPoints(highSymmetryPoints);
   }
 
+  /**
+   * Repeat the last render pass on another context, e.g. a scaled export
+   * canvas. Zone polygons are redrawn as paths, so they stay sharp at any
+   * export scale.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Target context, already transformed
+   *   to this canvas's coordinate system
+   * @param {boolean} transparent - Whether to leave the background clear
+   */
+  renderToContext(ctx, transparent = false) {
+    if (!this.lastScene) return;
+    const ownCtx = this.ctx;
+    const lastScene = this.lastScene;
+    this.ctx = ctx;
+    try {
+      this.render({ ...lastScene, transparent });
+    } finally {
+      this.ctx = ownCtx;
+      this.lastScene = lastScene;
+    }
+  }
+
   /** Resize canvas to fill its container */
   resize() {
     const rect = this.canvas.parentElement.getBoundingClientRect();
@@ -7,14 +7,25 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import { vlength } from '../core/math.js';
+import { IBZ_STROKE, KPATH_COLOR, KMESH_COLOR, CONTOUR_COLOR, EWALD_COLOR, CELL_COLOR } from './render2d.js';
 
-/** Zone colors for 3D rendering (neutral academic palette) */
+/** Zone colors for 3D rendering (neutral academic palette, one per zone) */
 const ZONE_COLORS_3D = [
-  0x8b4513, 0xb22222, 0x556b2f, 0x808080, 0xa0522d,
-  0x2f4f4f, 0x708090, 0x8b4513, 0xb22222, 0x556b2f
+  0x8b4513, 0xb22222, 0x556b2f, 0x4682b4, 0xdaa520,
+  0x2f4f4f, 0x8b008b, 0xa0522d, 0x708090, 0x6b8e23
 ];
 
+/** Overlay colors of the 2D view, as three.js hex values */
+const hexColor = (css) => parseInt(css.slice(1), 16);
+export const IBZ_COLOR_3D = hexColor(IBZ_STROKE);
+const KPATH_COLOR_3D = hexColor(KPATH_COLOR);
+const KMESH_COLOR_3D = hexColor(KMESH_COLOR);
+const CONTOUR_COLOR_3D = hexColor(CONTOUR_COLOR);
+const EWALD_COLOR_3D = hexColor(EWALD_COLOR);
+const CELL_COLOR_3D = hexColor(CELL_COLOR);
+
 export class Renderer3D {
   constructor(container) {
     this.container = container;
@@ -24,6 +35,12 @@ export class Renderer3D {
     this.controls = null;
     this.zoneMeshes = [];
     this.labelSprites = [];
+    this.kPathObjects = [];
+    this.kMeshObjects = [];
+    this.fermiObjects = [];
+    this.contourObjects = [];
+    this.ewaldObjects = [];
+    this.cellObjects = [];
     this.pointsMesh = null;
     this.showLabels = true;
     this.rayTracingEnabled = false;
@@ -80,6 +97,53 @@ export class Renderer3D {
 
     // Handle resize
     window.addEventListener('resize', () => this.resize());
+
+    // A click that did not orbit or pan the camera
+    const canvas = this.renderer.domElement;
+    let downX, downY;
+    canvas.addEventListener('pointerdown', (e) => {
+      downX = e.clientX;
+      downY = e.clientY;
+    });
+    canvas.addEventListener('click', (e) => {
+      if (!this._clickCallback || Math.hypot(e.clientX - downX, e.clientY - downY) > 3) return;
+      const rect = canvas.getBoundingClientRect();
+      this._clickCallback(e.clientX - rect.left, e.clientY - rect.top, e);
+    });
+  }
+
+  /**
+   * Register a callback for clicks that do not move the camera.
+   * @param {Function} callback - Called with canvas x, y (CSS px) and the event
+   */
+  onClick(callback) {
+    this._clickCallback = callback;
+  }
+
+  /**
+   * Label of the point whose projection is nearest to a canvas position, if
+   * within reach.
+   * @param {Object} points - Map of label to [x,y,z]
+   * @param {number} x, y - Canvas position (CSS px)
+   * @param {number} radius - Reach (px)
+   * @returns {string|null}
+   */
+  pickPoint(points, x, y, radius = 12) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    let best = null;
+    let bestDistance = radius;
+    for (const [label, pos] of Object.entries(points)) {
+      const p = new THREE.Vector3(...pos).project(this.camera);
+      if (p.z > 1) continue; // Behind the camera
+      const px = (p.x + 1) / 2 * rect.width;
+      const py = (1 - p.y) / 2 * rect.height;
+      const distance = Math.hypot(px - x, py - y);
+      if (distance <= bestDistance) {
+        best = label;
+        bestDistance = distance;
+      }
+    }
+    return best;
   }
 
   _setupLighting() {
@@ -140,33 +204,271 @@ export class Renderer3D {
       this.scene.remove(this.pointsMesh);
       this.pointsMesh = null;
     }
+
+    this.setKPath(null);
+    this.setKMesh(null);
+    this.setFermiSurface(null);
+    this.setContourSurface(null);
+    this.setEwald(null);
+    this.setCell(null);
+  }
+
+  /**
+   * Take the objects a set* method added out of the scene and free them.
+   * Each of those methods replaces what it showed before, so passing it null
+   * only removes that.
+   * @param {Array<THREE.Object3D>} objects - Emptied in place
+   */
+  _removeObjects(objects) {
+    for (const object of objects) {
+      this.scene.remove(object);
+      object.geometry.dispose();
+      object.material.dispose();
+    }
+    objects.length = 0;
+  }
+
+  /**
+   * Show a real-space cell, replacing the previous one: the twelve edges of
+   * the conventional cell dashed, and the primitive vectors as arrows from
+   * the origin, labelled a₁, a₂, a₃ (labels go with the high-symmetry ones).
+   * @param {{ vectors: Array, conventional: Array }|null} cell - Primitive and
+   *   conventional vectors (conventionalCell)
+   */
+  setCell(cell) {
+    this._removeObjects(this.cellObjects);
+    if (!cell) return;
+
+    const add = (object) => {
+      this.scene.add(object);
+      this.cellObjects.push(object);
+    };
+    const [A, B, C] = cell.conventional.map(v => new THREE.Vector3(...v));
+    const corner = (i, j, k) => new THREE.Vector3()
+      .addScaledVector(A, i).addScaledVector(B, j).addScaledVector(C, k);
+    const ends = [];
+    for (const [u, v] of [[0, 1], [1, 2], [2, 0]]) {
+      for (const [s, t] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        // Edges along the remaining axis at the four corners of its face
+        const from = [0, 0, 0];
+        from[u] = s;
+        from[v] = t;
+        const to = [...from];
+        to[3 - u - v] = 1;
+        ends.push(corner(...from), corner(...to));
+      }
+    }
+    const edges = new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(ends),
+      new THREE.LineDashedMaterial({ color: CELL_COLOR_3D, dashSize: 0.3, gapSize: 0.2 })
+    );
+    edges.computeLineDistances();
+    add(edges);
+
+    const origin = new THREE.Vector3();
+    const up = new THREE.Vector3(0, 1, 0);
+    cell.vectors.forEach((a, i) => {
+      const end = new THREE.Vector3(...a);
+      const direction = end.clone().normalize();
+      add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([origin, end.clone().addScaledVector(direction, -0.3)]),
+        new THREE.LineBasicMaterial({ color: CELL_COLOR_3D })
+      ));
+      const cone = new THREE.Mesh(
+        new THREE.ConeGeometry(0.12, 0.3, 12),
+        new THREE.MeshBasicMaterial({ color: CELL_COLOR_3D })
+      );
+      cone.position.copy(end).addScaledVector(direction, -0.15);
+      cone.quaternion.setFromUnitVectors(up, direction);
+      add(cone);
+      if (!this.showLabels) return;
+      const sprite = this._createTextSprite(`a${'₁₂₃'[i]}`, a);
+      this.scene.add(sprite);
+      this.labelSprites.push(sprite);
+    });
+  }
+
+  /**
+   * Show the Ewald construction, replacing the previous one: the sphere as a
+   * wireframe, the incident beam from its centre to the origin, and a
+   * diffracted beam from the centre to every reflection, marked with a dot.
+   * @param {{ centre: Array, radius: number, reflections: Array<{ G }> }|null} ewald
+   */
+  setEwald(ewald) {
+    this._removeObjects(this.ewaldObjects);
+    if (!ewald) return;
+
+    const add = (object) => {
+      this.scene.add(object);
+      this.ewaldObjects.push(object);
+    };
+    const { centre, radius, reflections } = ewald;
+    const sphere = new THREE.Mesh(
+      new THREE.SphereGeometry(radius, 48, 24),
+      new THREE.MeshBasicMaterial({ color: EWALD_COLOR_3D, wireframe: true, transparent: true, opacity: 0.2 })
+    );
+    sphere.position.set(...centre);
+    add(sphere);
+
+    const start = new THREE.Vector3(...centre);
+    const up = new THREE.Vector3(0, 1, 0);
+    for (const k of [[0, 0, 0], ...reflections.map(({ G }) => G)]) {
+      const end = new THREE.Vector3(...k);
+      add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([start, end]),
+        new THREE.LineBasicMaterial({ color: EWALD_COLOR_3D })
+      ));
+      const cone = new THREE.Mesh(
+        new THREE.ConeGeometry(0.08, 0.25, 12),
+        new THREE.MeshBasicMaterial({ color: EWALD_COLOR_3D })
+      );
+      cone.position.copy(start).add(end).multiplyScalar(0.5);
+      cone.quaternion.setFromUnitVectors(up, end.clone().sub(start).normalize());
+      add(cone);
+    }
+
+    if (reflections.length === 0) return;
+    const points = new THREE.BufferGeometry();
+    points.setAttribute('position', new THREE.Float32BufferAttribute(reflections.flatMap(({ G }) => G), 3));
+    add(new THREE.Points(points, new THREE.PointsMaterial({
+      color: EWALD_COLOR_3D,
+      size: 0.3,
+      sizeAttenuation: true
+    })));
+  }
+
+  /**
+   * Show Fermi surface sheets, replacing the previous ones, each as a
+   * smooth-shaded translucent surface.
+   * @param {Array<{ triangles: Array<Array<number[]>>, color: string }>|null} sheets -
+   *   See fermiSurface3D
+   */
+  setFermiSurface(sheets) {
+    this._removeObjects(this.fermiObjects);
+    if (!sheets) return;
+
+    for (const { triangles, color } of sheets) {
+      const mesh = surfaceMesh(triangles, color);
+      this.scene.add(mesh);
+      this.fermiObjects.push(mesh);
+    }
+  }
+
+  /**
+   * Show a constant-energy surface, replacing the previous one.
+   * @param {Array<Array<number[]>>|null} triangles - See surfaceInZone3D
+   */
+  setContourSurface(triangles) {
+    this._removeObjects(this.contourObjects);
+    if (!triangles || triangles.length === 0) return;
+
+    const mesh = surfaceMesh(triangles, CONTOUR_COLOR_3D);
+    this.scene.add(mesh);
+    this.contourObjects.push(mesh);
+  }
+
+  /**
+   * Show a k-point mesh, replacing the previous one: every point as a small
+   * dot and, after symmetry reduction, the irreducible points as larger ones.
+   * @param {{ points: Array, irreducible: Array<{ k }>|null }|null} mesh
+   */
+  setKMesh(mesh) {
+    this._removeObjects(this.kMeshObjects);
+    if (!mesh) return;
+
+    const addPoints = (positions, size, opacity) => {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions.flat(), 3));
+      const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+        color: KMESH_COLOR_3D,
+        size,
+        sizeAttenuation: true,
+        transparent: opacity < 1,
+        opacity
+      }));
+      this.scene.add(points);
+      this.kMeshObjects.push(points);
+    };
+    addPoints(mesh.points, 0.08, mesh.irreducible ? 0.45 : 1);
+    if (mesh.irreducible) addPoints(mesh.irreducible.map(({ k }) => k), 0.2, 1);
+  }
+
+  /**
+   * Show a k-path, replacing the previous one: each leg as a line with a
+   * cone halfway along it pointing onwards, and a dot at every sampled
+   * k-point.
+   * @param {{ legs: Array<{ from, to }>, kpoints: Array }|null} path - See
+   *   sampleKPath
+   */
+  setKPath(path) {
+    this._removeObjects(this.kPathObjects);
+    if (!path) return;
+
+    const add = (object) => {
+      this.scene.add(object);
+      this.kPathObjects.push(object);
+    };
+    const up = new THREE.Vector3(0, 1, 0);
+    for (const { from, to } of path.legs) {
+      const start = new THREE.Vector3(...from);
+      const end = new THREE.Vector3(...to);
+      add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([start, end]),
+        new THREE.LineBasicMaterial({ color: KPATH_COLOR_3D })
+      ));
+
+      const direction = end.clone().sub(start);
+      if (direction.lengthSq() === 0) continue;
+      const cone = new THREE.Mesh(
+        new THREE.ConeGeometry(0.08, 0.25, 12),
+        new THREE.MeshBasicMaterial({ color: KPATH_COLOR_3D })
+      );
+      cone.position.copy(start).add(end).multiplyScalar(0.5);
+      cone.quaternion.setFromUnitVectors(up, direction.normalize());
+      add(cone);
+    }
+
+    const samples = new THREE.BufferGeometry();
+    samples.setAttribute('position', new THREE.Float32BufferAttribute(path.kpoints.flat(), 3));
+    add(new THREE.Points(samples, new THREE.PointsMaterial({
+      color: KPATH_COLOR_3D,
+      size: 0.06,
+      sizeAttenuation: true
+    })));
   }
 
   /**
    * Add a 3D Brillouin zone from face data.
-   * @param {Array} faces - Array of { vertices: [[x,y,z],...], normal: [nx,ny,nz] }
-   * @param {number} zoneIndex - Zone number (1-indexed)
+   * @param {Array} faces - Array of { vertices: [[x,y,z],...], normal: [nx,ny,nz] },
+   *   or an array of such face lists for a zone made of several fragments
+   * @param {number} zoneIndex - Zone number (1-indexed); selects the color
    * @param {number} opacity - Opacity (0-1)
+   * @param {string|number|null} color - Color overriding the zone palette
    */
-  addZone(faces, zoneIndex = 1, opacity = 0.6) {
+  addZone(faces, zoneIndex = 1, opacity = 0.6, color = null) {
     if (!faces || faces.length === 0) return;
+    const fragments = faces[0].vertices ? [faces] : faces;
 
     const colorIdx = (zoneIndex - 1) % ZONE_COLORS_3D.length;
-    const color = ZONE_COLORS_3D[colorIdx];
+    color = color ?? ZONE_COLORS_3D[colorIdx];
 
+    // All fragments of a zone share one mesh
     const geometry = new THREE.BufferGeometry();
     const vertices = [];
     const normals = [];
 
-    for (const face of faces) {
-      const fv = face.vertices;
-      const fn = face.normal;
-      // Triangulate face (fan from first vertex)
-      for (let i = 1; i < fv.length - 1; i++) {
-        vertices.push(...fv[0], ...fv[i], ...fv[i + 1]);
-        normals.push(...fn, ...fn, ...fn);
+    for (const fragment of fragments) {
+      for (const face of fragment) {
+        const fv = face.vertices;
+        const fn = face.normal;
+        // Triangulate face (fan from first vertex)
+        for (let i = 1; i < fv.length - 1; i++) {
+          vertices.push(...fv[0], ...fv[i], ...fv[i + 1]);
+          normals.push(...fn, ...fn, ...fn);
+        }
       }
     }
+    if (vertices.length === 0) return;
 
     geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
     geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
@@ -322,3 +624,24 @@ export class Renderer3D {
     }
   }
 }
+
+/**
+ * A smooth-shaded translucent surface from a triangle soup, e.g. from
+ * marching cubes.
+ */
+function surfaceMesh(triangles, color) {
+  const soup = new THREE.BufferGeometry();
+  soup.setAttribute('position', new THREE.Float32BufferAttribute(triangles.flat(2), 3));
+  // Share the vertices of neighbouring triangles so the normals come out smooth
+  const geometry = mergeVertices(soup);
+  soup.dispose();
+  geometry.computeVertexNormals();
+  return new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+    color,
+    transparent: true,
+    opacity: 0.85,
+    shininess: 60,
+    specular: 0x444444,
+    side: THREE.DoubleSide
+  }));
+}
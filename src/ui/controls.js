@@ -5,13 +5,67 @@
  * to the rendering engine.
  */
 
+import { LATTICE_PARAMS_2D, LATTICE_PARAMS_3D, validateLatticeParams, validateBasis } from '../core/lattice.js';
+import { parseStructureFile } from '../core/importers.js';
+import { parseKPath, formatKPath } from '../core/kpath.js';
+import { TB_MODELS } from '../core/tightbinding.js';
+
+/** Lattice parameter keys, in the order their inputs appear in the sidebar */
+const PARAM_KEYS = ['a', 'b', 'c', 'alpha', 'beta', 'gamma'];
+
+/** Basis vector keys and components of the custom lattice inputs */
+const BASIS_KEYS = ['a1', 'a2', 'a3'];
+const AXES = ['x', 'y', 'z'];
+
 /**
  * State object containing all user-configurable settings.
  */
 export const state = {
   mode: '2d',             // '2d' or '3d'
+  spaceView: 'reciprocal', // Show 'reciprocal' space, 'real' space (Wigner–Seitz cell) or 'both' side by side
   latticeType: 'square',  // Current lattice type
+  latticeParams: { a: 1 }, // Editable parameters of the current lattice
+  customBasis: {          // Raw basis of the 'custom' lattice (z ignored in 2D)
+    a1: [1, 0, 0],
+    a2: [0.3, 1.1, 0],
+    a3: [0.2, 0.4, 1.3]
+  },
+  symmetryTolerance: 1,   // Metric tolerance (%) for classifying custom cells
+  importedStructure: null, // { name, format, description, unit, atoms } of the file behind the custom basis
   maxZone: 1,             // Number of zones to display
+  zoneRendering: 'pixel', // 2D zones: 'pixel' map or exact 'vector' polygons
+  foldZone: false,        // Show the nth zone folded back into the 1st zone
+  showZoneMeasures: false, // List each zone's area/volume against (2π)^d / V_cell
+  showIBZ: false,         // Highlight the irreducible wedge of the 1st zone
+  showKPath: false,       // Draw the band-structure path through the high-symmetry points
+  kPath: null,            // Segments of labels; null for the lattice's standard path
+  kPathDensity: 10,       // k-path samples per unit length in k-space
+  kPathEditing: false,    // Clicks on high-symmetry points build a new path
+  showBands: false,       // Plot the band structure along the k-path
+  tbModel: null,          // Tight-binding model (key of TB_MODELS); null if none applies
+  tbParams: {},           // Edited parameters by model, e.g. { 's-band': { t: 1 } }
+  showContour: false,     // Draw the tight-binding contour (2D) or surface (3D) E(k) = E₀
+  contourLevel: 0.5,      // E₀ as a fraction of the way from the band bottom to the top
+  bandSource: 'tb',       // Plot 'tb' (tight-binding) or 'free' (empty-lattice) bands
+  zoneScheme: 'reduced',  // Empty lattice: 'reduced', 'extended' or 'repeated' zone scheme
+  freeMaxEnergy: 6,       // Empty lattice: highest energy, in units of E₁ at the nearest Bragg plane
+  showFermi: false,       // Draw the free-electron Fermi circle (2D) or sphere (3D)
+  electronCount: 2,       // Electrons per primitive cell filling the Fermi circle or sphere
+  fermiSheet: 0,          // 0: circle on the zone map (2D), all sheets (3D); n: the nth sheet only
+  fermiResolution: 40,    // k-grid cells across the 1st zone for the 3D Fermi surface
+  showEwald: false,       // Draw the Ewald circle (2D) or sphere (3D) and list its reflections
+  ewaldDirection: [1, 0, 0], // Incident beam direction (Cartesian; the first two in 2D)
+  ewaldSource: 'wavelength', // 'wavelength' (λ in lattice units) or 'energy' (X-ray keV, lengths in Å or the imported unit)
+  ewaldWavelength: 0.4,
+  ewaldEnergy: 30,
+  ewaldTolerance: 0.5,    // Largest distance from the sphere, in % of its radius
+  showKMesh: false,       // Draw a k-point mesh folded into the 1st zone
+  kMesh: {                // N1×N2(×N3) mesh; shift in units of one step
+    divisions: [4, 4, 4],
+    gammaCentred: false,
+    shift: [0, 0, 0],
+    reduce: true          // Reduce by the k-space point group, with weights
+  },
   showGrid: true,
   showReciprocalPoints: true,
   showZoneNumbers: true,
@@ -25,7 +79,7 @@ export const state = {
  * Initialize all UI controls and bind event handlers.
  *
  * @param {Function} onUpdate - Callback invoked when any setting changes
- * @param {Function} onExport - Callback invoked when export is requested
+ * @param {Function} onExport - Callback invoked with 'png', 'svg' or 'csv' when export is requested
  */
 export function initControls(onUpdate, onExport) {
   // Mode toggle
@@ -35,6 +89,7 @@ export function initControls(onUpdate, onExport) {
       state.mode = state.mode === '2d' ? '3d' : '2d';
       modeToggle.textContent = state.mode === '2d' ? '2D Mode' : '3D Mode';
       update2D3DVisibility();
+      resetKPath();
       onUpdate();
     });
   }
@@ -44,6 +99,102 @@ export function initControls(onUpdate, onExport) {
   if (latticeSelect) {
     latticeSelect.addEventListener('change', (e) => {
       state.latticeType = e.target.value;
+      state.importedStructure = null;
+      resetLatticeParams();
+      resetKPath();
+      onUpdate();
+    });
+  }
+
+  // Lattice parameter inputs. The values shown are validated as a set, so a
+  // rejected one stays pending until the others make the set valid
+  for (const key of PARAM_KEYS) {
+    const input = document.getElementById(`param-${key}`);
+    if (!input) continue;
+    input.addEventListener('change', () => {
+      const params = Object.fromEntries(Object.keys(state.latticeParams).map(k => {
+        const shown = document.getElementById(`param-${k}`);
+        return [k, shown ? parseFloat(shown.value) : state.latticeParams[k]];
+      }));
+      const error = validateLatticeParams(params, state.latticeType);
+      const paramWarning = document.getElementById('param-warning');
+      if (paramWarning) {
+        paramWarning.textContent = error ? '⚠ ' + error : '';
+        paramWarning.style.display = error ? 'block' : 'none';
+      }
+      if (error) {
+        input.classList.add('invalid');
+        return;
+      }
+      for (const k of PARAM_KEYS) document.getElementById(`param-${k}`)?.classList.remove('invalid');
+      state.latticeParams = params;
+      onUpdate();
+    });
+  }
+
+  // Custom basis vector inputs
+  for (const key of BASIS_KEYS) {
+    for (const [i, axis] of AXES.entries()) {
+      const input = document.getElementById(`basis-${key}-${axis}`);
+      if (!input) continue;
+      input.addEventListener('change', () => {
+        const basis = {
+          ...state.customBasis,
+          [key]: state.customBasis[key].map((v, j) => j === i ? parseFloat(input.value) : v)
+        };
+        const dim = state.mode === '2d' ? 2 : 3;
+        const vectors = BASIS_KEYS.slice(0, dim).map(k => basis[k].slice(0, dim));
+        const error = validateBasis(vectors);
+        const basisWarning = document.getElementById('basis-warning');
+        if (basisWarning) {
+          basisWarning.textContent = error ? '⚠ ' + error : '';
+          basisWarning.style.display = error ? 'block' : 'none';
+        }
+        input.classList.toggle('invalid', Boolean(error));
+        if (error) return;
+        state.customBasis = basis;
+        state.importedStructure = null;
+        onUpdate();
+      });
+    }
+  }
+
+  // Structure file import
+  const importBtn = document.getElementById('import-btn');
+  const importFile = document.getElementById('import-file');
+  if (importBtn && importFile) {
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', async () => {
+      const file = importFile.files[0];
+      importFile.value = '';
+      if (!file) return;
+      const importWarning = document.getElementById('import-warning');
+      try {
+        const structure = parseStructureFile(file.name, await file.text());
+        const error = validateBasis([structure.a1, structure.a2, structure.a3]);
+        if (error) throw new Error(error);
+        loadImportedStructure(structure);
+        if (importWarning) importWarning.style.display = 'none';
+        onUpdate();
+      } catch (error) {
+        console.error('Structure import failed:', error);
+        if (importWarning) {
+          importWarning.textContent = '⚠ ' + error.message;
+          importWarning.style.display = 'block';
+        }
+      }
+    });
+  }
+
+  // Symmetry tolerance for classifying custom cells
+  const toleranceInput = document.getElementById('symmetry-tolerance');
+  if (toleranceInput) {
+    toleranceInput.addEventListener('change', () => {
+      const value = parseFloat(toleranceInput.value);
+      const valid = Number.isFinite(value) && value >= 0 && value <= 10;
+      toleranceInput.classList.toggle('invalid', !valid);
+      if (!valid) return;
+      state.symmetryTolerance = value;
       onUpdate();
     });
   }
@@ -51,7 +202,6 @@ export function initControls(onUpdate, onExport) {
   // Zone slider
   const zoneSlider = document.getElementById('zone-slider');
   const zoneValue = document.getElementById('zone-value');
-  const zoneWarning = document.getElementById('zone-warning');
   let zoneUpdateTimeout;
   
   if (zoneSlider) {
@@ -60,15 +210,6 @@ export function initControls(onUpdate, onExport) {
       state.maxZone = parseInt(e.target.value, 10);
       if (zoneValue) zoneValue.textContent = state.maxZone;
       
-      // Show/hide warning
-      if (zoneWarning) {
-        if (state.maxZone > 20) {
-          zoneWarning.style.display = 'block';
-        } else {
-          zoneWarning.style.display = 'none';
-        }
-      }
-      
       // Debounce actual render update
       clearTimeout(zoneUpdateTimeout);
       zoneUpdateTimeout = setTimeout(() => {
@@ -113,6 +254,344 @@ export function initControls(onUpdate, onExport) {
     });
   }
 
+  // Real or reciprocal space
+  const spaceViewSelect = document.getElementById('space-view');
+  if (spaceViewSelect) {
+    spaceViewSelect.addEventListener('change', (e) => {
+      state.spaceView = e.target.value;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  // 2D zone rendering mode
+  const renderModeSelect = document.getElementById('render-mode');
+  if (renderModeSelect) {
+    renderModeSelect.addEventListener('change', (e) => {
+      state.zoneRendering = e.target.value;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  // Fold toggle
+  const foldToggle = document.getElementById('fold-toggle');
+  if (foldToggle) {
+    foldToggle.addEventListener('change', (e) => {
+      state.foldZone = e.target.checked;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  // Zone measure check toggle
+  const measuresToggle = document.getElementById('measures-toggle');
+  if (measuresToggle) {
+    measuresToggle.addEventListener('change', (e) => {
+      state.showZoneMeasures = e.target.checked;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  // Irreducible zone toggle
+  const ibzToggle = document.getElementById('ibz-toggle');
+  if (ibzToggle) {
+    ibzToggle.addEventListener('change', (e) => {
+      state.showIBZ = e.target.checked;
+      onUpdate();
+    });
+  }
+
+  // k-path toggle, path text, density and point picking
+  const kPathToggle = document.getElementById('kpath-toggle');
+  if (kPathToggle) {
+    kPathToggle.addEventListener('change', (e) => {
+      state.showKPath = e.target.checked;
+      if (!state.showKPath) setKPathEditing(false);
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  const kPathInput = document.getElementById('kpath-input');
+  if (kPathInput) {
+    kPathInput.addEventListener('change', () => {
+      const segments = parseKPath(kPathInput.value);
+      setKPathEditing(false);
+      state.kPath = segments.length > 0 ? segments : null;
+      onUpdate();
+    });
+  }
+
+  const kPathDensity = document.getElementById('kpath-density');
+  if (kPathDensity) {
+    kPathDensity.addEventListener('change', () => {
+      const value = parseFloat(kPathDensity.value);
+      const valid = Number.isFinite(value) && value > 0 && value <= 200;
+      kPathDensity.classList.toggle('invalid', !valid);
+      if (!valid) return;
+      state.kPathDensity = value;
+      onUpdate();
+    });
+  }
+
+  const kPathEditBtn = document.getElementById('kpath-edit-btn');
+  if (kPathEditBtn) {
+    kPathEditBtn.addEventListener('click', () => {
+      if (state.kPathEditing) {
+        // Keep what was picked, or go back to the standard path
+        setKPathEditing(false);
+        const segments = (state.kPath ?? []).filter(segment => segment.length >= 2);
+        state.kPath = segments.length > 0 ? segments : null;
+      } else {
+        setKPathEditing(true);
+        state.kPath = [];
+      }
+      onUpdate();
+    });
+  }
+
+  const kPathResetBtn = document.getElementById('kpath-reset-btn');
+  if (kPathResetBtn) {
+    kPathResetBtn.addEventListener('click', () => {
+      resetKPath();
+      onUpdate();
+    });
+  }
+
+  // Band structure toggle, model and its parameters
+  const bandsToggle = document.getElementById('bands-toggle');
+  if (bandsToggle) {
+    bandsToggle.addEventListener('change', (e) => {
+      state.showBands = e.target.checked;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  const tbModelSelect = document.getElementById('tb-model');
+  if (tbModelSelect) {
+    tbModelSelect.addEventListener('change', (e) => {
+      state.tbModel = e.target.value;
+      showModelParams();
+      onUpdate();
+    });
+  }
+
+  // The parameter inputs are rebuilt per model, so listen on their container
+  const tbParams = document.getElementById('tb-params');
+  if (tbParams) {
+    tbParams.addEventListener('change', (e) => {
+      const { key } = e.target.dataset;
+      const value = parseFloat(e.target.value);
+      const valid = Number.isFinite(value);
+      e.target.classList.toggle('invalid', !valid);
+      if (!key || !valid) return;
+      state.tbParams = {
+        ...state.tbParams,
+        [state.tbModel]: { ...state.tbParams[state.tbModel], [key]: value }
+      };
+      onUpdate();
+    });
+  }
+
+  // Constant-energy contour toggle and E₀ slider
+  const tbContourToggle = document.getElementById('tb-contour-toggle');
+  if (tbContourToggle) {
+    tbContourToggle.addEventListener('change', (e) => {
+      state.showContour = e.target.checked;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  const tbContourLevel = document.getElementById('tb-contour-level');
+  let contourUpdateTimeout;
+  if (tbContourLevel) {
+    tbContourLevel.addEventListener('input', (e) => {
+      state.contourLevel = parseFloat(e.target.value);
+      // Short debounce, so that the contour follows the slider while it sweeps
+      clearTimeout(contourUpdateTimeout);
+      contourUpdateTimeout = setTimeout(() => {
+        onUpdate();
+      }, 60);
+    });
+  }
+
+  const bandSource = document.getElementById('band-source');
+  if (bandSource) {
+    bandSource.addEventListener('change', (e) => {
+      state.bandSource = e.target.value;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  const zoneScheme = document.getElementById('zone-scheme');
+  if (zoneScheme) {
+    zoneScheme.addEventListener('change', (e) => {
+      state.zoneScheme = e.target.value;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  const freeMaxEnergy = document.getElementById('free-max-energy');
+  if (freeMaxEnergy) {
+    freeMaxEnergy.addEventListener('change', () => {
+      const value = parseFloat(freeMaxEnergy.value);
+      const valid = Number.isFinite(value) && value >= 1 && value <= 20;
+      freeMaxEnergy.classList.toggle('invalid', !valid);
+      if (!valid) return;
+      state.freeMaxEnergy = value;
+      onUpdate();
+    });
+  }
+
+  // Fermi surface toggle, electron count, sheet and k-grid
+  const fermiToggle = document.getElementById('fermi-toggle');
+  if (fermiToggle) {
+    fermiToggle.addEventListener('change', (e) => {
+      state.showFermi = e.target.checked;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  const fermiElectrons = document.getElementById('fermi-electrons');
+  if (fermiElectrons) {
+    fermiElectrons.addEventListener('change', () => {
+      const value = parseFloat(fermiElectrons.value);
+      const valid = Number.isFinite(value) && value > 0 && value <= 24;
+      fermiElectrons.classList.toggle('invalid', !valid);
+      if (!valid) return;
+      state.electronCount = value;
+      onUpdate();
+    });
+  }
+
+  const fermiSheet = document.getElementById('fermi-sheet');
+  if (fermiSheet) {
+    fermiSheet.addEventListener('change', (e) => {
+      state.fermiSheet = parseInt(e.target.value, 10);
+      onUpdate();
+    });
+  }
+
+  const fermiResolution = document.getElementById('fermi-resolution');
+  if (fermiResolution) {
+    fermiResolution.addEventListener('change', () => {
+      const value = parseInt(fermiResolution.value, 10);
+      const valid = Number.isInteger(value) && value >= 16 && value <= 96;
+      fermiResolution.classList.toggle('invalid', !valid);
+      if (!valid) return;
+      state.fermiResolution = value;
+      onUpdate();
+    });
+  }
+
+  // Ewald construction toggle, beam direction, wavelength or energy, tolerance
+  const ewaldToggle = document.getElementById('ewald-toggle');
+  if (ewaldToggle) {
+    ewaldToggle.addEventListener('change', (e) => {
+      state.showEwald = e.target.checked;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  for (const [i, axis] of ['1', '2', '3'].entries()) {
+    const directionInput = document.getElementById(`ewald-d${axis}`);
+    if (!directionInput) continue;
+    directionInput.addEventListener('change', () => {
+      const value = parseFloat(directionInput.value);
+      const valid = Number.isFinite(value);
+      directionInput.classList.toggle('invalid', !valid);
+      if (!valid) return;
+      state.ewaldDirection = state.ewaldDirection.map((d, j) => j === i ? value : d);
+      onUpdate();
+    });
+  }
+
+  const ewaldSource = document.getElementById('ewald-source');
+  if (ewaldSource) {
+    ewaldSource.addEventListener('change', (e) => {
+      state.ewaldSource = e.target.value;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  for (const [id, key, accepts] of [
+    ['ewald-wavelength', 'ewaldWavelength', v => v > 0],
+    ['ewald-energy', 'ewaldEnergy', v => v > 0],
+    ['ewald-tolerance', 'ewaldTolerance', v => v >= 0 && v <= 10]
+  ]) {
+    const input = document.getElementById(id);
+    if (!input) continue;
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      const valid = Number.isFinite(value) && accepts(value);
+      input.classList.toggle('invalid', !valid);
+      if (!valid) return;
+      state[key] = value;
+      onUpdate();
+    });
+  }
+
+  // k-point mesh toggle, type, divisions, shift and symmetry reduction
+  const kMeshToggle = document.getElementById('kmesh-toggle');
+  if (kMeshToggle) {
+    kMeshToggle.addEventListener('change', (e) => {
+      state.showKMesh = e.target.checked;
+      updateControlVisibility();
+      onUpdate();
+    });
+  }
+
+  const kMeshType = document.getElementById('kmesh-type');
+  if (kMeshType) {
+    kMeshType.addEventListener('change', (e) => {
+      state.kMesh = { ...state.kMesh, gammaCentred: e.target.value === 'gamma' };
+      onUpdate();
+    });
+  }
+
+  for (const [i, axis] of ['1', '2', '3'].entries()) {
+    const divisionInput = document.getElementById(`kmesh-n${axis}`);
+    if (divisionInput) {
+      divisionInput.addEventListener('change', () => {
+        const value = Number(divisionInput.value);
+        const valid = Number.isInteger(value) && value >= 1 && value <= 48;
+        divisionInput.classList.toggle('invalid', !valid);
+        if (!valid) return;
+        state.kMesh = { ...state.kMesh, divisions: state.kMesh.divisions.map((n, j) => j === i ? value : n) };
+        onUpdate();
+      });
+    }
+
+    const shiftInput = document.getElementById(`kmesh-s${axis}`);
+    if (shiftInput) {
+      shiftInput.addEventListener('change', () => {
+        const value = parseFloat(shiftInput.value);
+        const valid = Number.isFinite(value) && value >= 0 && value < 1;
+        shiftInput.classList.toggle('invalid', !valid);
+        if (!valid) return;
+        state.kMesh = { ...state.kMesh, shift: state.kMesh.shift.map((s, j) => j === i ? value : s) };
+        onUpdate();
+      });
+    }
+  }
+
+  const kMeshReduce = document.getElementById('kmesh-reduce');
+  if (kMeshReduce) {
+    kMeshReduce.addEventListener('change', (e) => {
+      state.kMesh = { ...state.kMesh, reduce: e.target.checked };
+      onUpdate();
+    });
+  }
+
   // Ray tracing toggle
   const rayToggle = document.getElementById('ray-toggle');
   if (rayToggle) {
@@ -142,7 +621,21 @@ export function initControls(onUpdate, onExport) {
   const exportBtn = document.getElementById('export-btn');
   if (exportBtn) {
     exportBtn.addEventListener('click', () => {
-      onExport();
+      onExport('png');
+    });
+  }
+
+  const exportSvgBtn = document.getElementById('export-svg-btn');
+  if (exportSvgBtn) {
+    exportSvgBtn.addEventListener('click', () => {
+      onExport('svg');
+    });
+  }
+
+  const exportCsvBtn = document.getElementById('export-csv-btn');
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener('click', () => {
+      onExport('csv');
     });
   }
 
@@ -161,25 +654,177 @@ export function initControls(onUpdate, onExport) {
   update2D3DVisibility();
 }
 
+/**
+ * Show the progress of the zone map computation below the zone slider.
+ *
+ * @param {number|null} fraction - Fraction done (0–1), or null to hide
+ */
+export function showZoneProgress(fraction) {
+  const progress = document.getElementById('zone-progress');
+  if (!progress) return;
+  progress.style.display = fraction === null ? 'none' : 'block';
+  if (fraction === null) return;
+  const percent = Math.round(fraction * 100);
+  const bar = document.getElementById('zone-progress-bar');
+  const text = document.getElementById('zone-progress-text');
+  if (bar) bar.style.width = `${percent}%`;
+  if (text) text.textContent = `Computing zone map… ${percent}%`;
+}
+
+/**
+ * Add a picked high-symmetry point to the path being edited.
+ *
+ * @param {string} label - Label of the point
+ * @param {boolean} newSegment - Start a new segment (a break in the path)
+ *   instead of continuing the current one
+ */
+export function pickKPathPoint(label, newSegment = false) {
+  if (!state.kPathEditing) return;
+  const segments = state.kPath ?? [];
+  const current = segments[segments.length - 1];
+  if (!current || newSegment) {
+    segments.push([label]);
+  } else if (current[current.length - 1] !== label) {
+    current.push(label);
+  }
+  state.kPath = segments;
+}
+
+/**
+ * Offer the tight-binding models that apply to the current lattice. The
+ * selected model is kept if it is among them, otherwise the first is taken.
+ *
+ * @param {string[]} models - Keys of TB_MODELS
+ */
+export function showBandModels(models) {
+  const select = document.getElementById('tb-model');
+  if (!models.includes(state.tbModel)) state.tbModel = models[0] ?? null;
+  if (select && select.dataset.models !== models.join(',')) {
+    select.dataset.models = models.join(',');
+    select.innerHTML = '';
+    for (const key of models) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = TB_MODELS[key].name;
+      select.appendChild(option);
+    }
+    showModelParams();
+  }
+  if (select) {
+    select.value = state.tbModel ?? '';
+    select.disabled = models.length === 0;
+  }
+}
+
+/**
+ * Show E₀ of the constant-energy contour next to its slider.
+ *
+ * @param {number} energy - E₀
+ * @param {number} bottom - Band bottom, where the slider starts
+ * @param {number} top - Band top, where it ends
+ */
+export function showContourEnergy(energy, bottom, top) {
+  const value = document.getElementById('tb-contour-energy');
+  if (value) value.textContent = `E₀ = ${energy.toFixed(3)} (${bottom.toFixed(3)} to ${top.toFixed(3)})`;
+}
+
+/**
+ * Offer the Fermi-surface sheets 1..count. A sheet past the new count falls
+ * back to option 0: the circle on the zone map in 2D, all sheets in 3D.
+ *
+ * @param {number} count - Highest zone the Fermi circle reaches (2D), highest
+ *   band the Fermi sphere crosses (3D)
+ */
+export function showFermiSheets(count) {
+  if (state.fermiSheet > count) state.fermiSheet = 0;
+  const select = document.getElementById('fermi-sheet');
+  if (!select) return;
+  const overview = state.mode === '2d' ? 'Circle on zone map' : 'All sheets';
+  if (select.options.length !== count + 1 || select.options[0].textContent !== overview) {
+    select.innerHTML = '';
+    for (let n = 0; n <= count; n++) {
+      const option = document.createElement('option');
+      option.value = n;
+      option.textContent = n === 0 ? overview : state.mode === '2d' ? `Zone ${n} sheet` : `Band ${n} sheet`;
+      select.appendChild(option);
+    }
+  }
+  select.value = state.fermiSheet;
+}
+
+/** Build the parameter inputs of the selected tight-binding model */
+function showModelParams() {
+  const container = document.getElementById('tb-params');
+  if (!container) return;
+  container.innerHTML = '';
+  const model = TB_MODELS[state.tbModel];
+  if (!model) return;
+  for (const { key, label, value } of model.params) {
+    const row = document.createElement('div');
+    row.className = 'param-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = '0.1';
+    input.dataset.key = key;
+    input.value = state.tbParams[state.tbModel]?.[key] ?? value;
+    row.append(name, input);
+    container.appendChild(row);
+  }
+}
+
+/**
+ * Show the path in use and its sampling in the k-path panel.
+ *
+ * @param {Array<Array<string>>} segments - Path, as edited or standard
+ * @param {string} summary - Legs, samples and length of the sampled path
+ * @param {string|null} warning - Problem with the path, or null
+ */
+export function showKPathPanel(segments, summary, warning = null) {
+  const input = document.getElementById('kpath-input');
+  if (input && document.activeElement !== input) input.value = formatKPath(segments);
+  const info = document.getElementById('kpath-info');
+  if (info) info.textContent = summary;
+  const kPathWarning = document.getElementById('kpath-warning');
+  if (kPathWarning) {
+    kPathWarning.textContent = warning ? '⚠ ' + warning : '';
+    kPathWarning.style.display = warning ? 'block' : 'none';
+  }
+}
+
 /**
  * Update visibility of 2D/3D specific elements and lattice options.
  */
 export function update2D3DVisibility() {
-  const canvas2d = document.getElementById('canvas-2d');
-  const container3d = document.getElementById('container-3d');
   const latticeSelect = document.getElementById('lattice-select');
 
-  if (canvas2d) canvas2d.style.display = state.mode === '2d' ? 'block' : 'none';
-  if (container3d) container3d.style.display = state.mode === '3d' ? 'block' : 'none';
+  for (const id of ['canvas-2d', 'real-canvas-2d']) {
+    const canvas2d = document.getElementById(id);
+    if (canvas2d) canvas2d.style.display = state.mode === '2d' ? 'block' : 'none';
+  }
+  for (const id of ['container-3d', 'real-container-3d']) {
+    const container3d = document.getElementById(id);
+    if (container3d) container3d.style.display = state.mode === '3d' ? 'block' : 'none';
+  }
+  updateControlVisibility();
 
   // Update lattice options
   if (latticeSelect) {
-    const options2D = ['square', 'rectangular', 'hexagonal'];
-    const options3D = ['cubic', 'fcc', 'bcc'];
+    const options2D = ['square', 'rectangular', 'hexagonal', 'oblique', 'centered-rectangular', 'custom'];
+    const options3D = [
+      'cubic', 'fcc', 'bcc', 'tetragonal', 'bct', 'orthorhombic', 'orcf',
+      'orci', 'orcc', 'hexagonal', 'rhombohedral', 'monoclinic', 'mclc', 'triclinic', 'custom'
+    ];
     const options = state.mode === '2d' ? options2D : options3D;
     const labels = state.mode === '2d'
-      ? ['Square', 'Rectangular', 'Hexagonal']
-      : ['Simple Cubic', 'FCC', 'BCC'];
+      ? ['Square', 'Rectangular', 'Hexagonal', 'Oblique', 'Centered Rectangular', 'Custom (basis vectors)']
+      : [
+        'Simple Cubic', 'FCC', 'BCC', 'Tetragonal', 'Body-Centered Tetragonal',
+        'Orthorhombic', 'Face-Centered Orthorhombic', 'Body-Centered Orthorhombic',
+        'Base-Centered Orthorhombic', 'Hexagonal', 'Rhombohedral', 'Monoclinic',
+        'Base-Centered Monoclinic', 'Triclinic', 'Custom (basis vectors)'
+      ];
 
     latticeSelect.innerHTML = '';
     options.forEach((opt, i) => {
@@ -189,7 +834,147 @@ export function update2D3DVisibility() {
       latticeSelect.appendChild(el);
     });
     state.latticeType = options[0];
+    state.importedStructure = null;
   }
+  resetLatticeParams();
+}
+
+/**
+ * Show only the controls that apply to the current mode and settings.
+ * Unlike update2D3DVisibility this leaves the lattice alone, so the display
+ * toggles can call it.
+ */
+function updateControlVisibility() {
+  // Zone rendering mode and SVG export only apply to the 2D view, SVG only
+  // to zones drawn as polygons
+  const renderModeRow = document.getElementById('render-mode-row');
+  const exportSvgBtn = document.getElementById('export-svg-btn');
+  if (renderModeRow) renderModeRow.style.display = state.mode === '2d' ? '' : 'none';
+  if (exportSvgBtn) {
+    const vector = state.spaceView === 'real' || state.zoneRendering === 'vector' || state.foldZone;
+    exportSvgBtn.style.display = state.mode === '2d' && vector ? '' : 'none';
+  }
+  const exportCsvBtn = document.getElementById('export-csv-btn');
+  if (exportCsvBtn) exportCsvBtn.style.display = state.showZoneMeasures ? '' : 'none';
+  const kPathOptions = document.getElementById('kpath-options');
+  if (kPathOptions) kPathOptions.style.display = state.showKPath ? 'block' : 'none';
+  const bandsOptions = document.getElementById('bands-options');
+  if (bandsOptions) bandsOptions.style.display = state.showBands ? 'block' : 'none';
+  const tbOptions = document.getElementById('tb-options');
+  if (tbOptions) tbOptions.style.display = state.bandSource === 'tb' ? 'block' : 'none';
+  const tbContourOptions = document.getElementById('tb-contour-options');
+  if (tbContourOptions) tbContourOptions.style.display = state.showContour ? 'block' : 'none';
+  const freeOptions = document.getElementById('free-options');
+  if (freeOptions) freeOptions.style.display = state.bandSource === 'free' ? 'block' : 'none';
+  const freeHint = document.getElementById('free-hint');
+  if (freeHint) {
+    freeHint.textContent = state.zoneScheme === 'reduced'
+      ? 'Plotted along the k-path above; dots mark degeneracies.'
+      : 'Plotted along the line through Γ and the first leg of the k-path; dashed lines are Bragg planes.';
+  }
+  const bandPanel = document.getElementById('band-panel');
+  if (bandPanel) bandPanel.style.display = state.showBands ? 'block' : 'none';
+  const fermiOptions = document.getElementById('fermi-options');
+  if (fermiOptions) fermiOptions.style.display = state.showFermi ? 'block' : 'none';
+  document.querySelectorAll('.fermi-2d').forEach(el => {
+    el.style.display = state.mode === '2d' ? '' : 'none';
+  });
+  document.querySelectorAll('.fermi-3d').forEach(el => {
+    el.style.display = state.mode === '3d' ? '' : 'none';
+  });
+  const kMeshOptions = document.getElementById('kmesh-options');
+  if (kMeshOptions) kMeshOptions.style.display = state.showKMesh ? 'block' : 'none';
+  const ewaldOptions = document.getElementById('ewald-options');
+  if (ewaldOptions) ewaldOptions.style.display = state.showEwald ? 'block' : 'none';
+  const ewaldWavelengthRow = document.getElementById('ewald-wavelength-row');
+  if (ewaldWavelengthRow) ewaldWavelengthRow.style.display = state.ewaldSource === 'wavelength' ? '' : 'none';
+  const ewaldEnergyRow = document.getElementById('ewald-energy-row');
+  if (ewaldEnergyRow) ewaldEnergyRow.style.display = state.ewaldSource === 'energy' ? '' : 'none';
+  document.querySelectorAll('.kmesh-3d, .ewald-3d').forEach(el => {
+    el.style.display = state.mode === '3d' ? 'inline-block' : 'none';
+  });
+}
+
+/**
+ * Switch to the 3D custom lattice with the basis of an imported structure
+ * and show it in the basis inputs.
+ */
+function loadImportedStructure(structure) {
+  if (state.mode !== '3d') {
+    state.mode = '3d';
+    const modeToggle = document.getElementById('mode-toggle');
+    if (modeToggle) modeToggle.textContent = '3D Mode';
+    update2D3DVisibility();
+  }
+  state.latticeType = 'custom';
+  const latticeSelect = document.getElementById('lattice-select');
+  if (latticeSelect) latticeSelect.value = 'custom';
+
+  state.customBasis = { a1: structure.a1, a2: structure.a2, a3: structure.a3 };
+  for (const key of BASIS_KEYS) {
+    for (const [i, axis] of AXES.entries()) {
+      const input = document.getElementById(`basis-${key}-${axis}`);
+      if (!input) continue;
+      input.value = +structure[key][i].toFixed(6);
+      input.classList.remove('invalid');
+    }
+  }
+  const basisWarning = document.getElementById('basis-warning');
+  if (basisWarning) basisWarning.style.display = 'none';
+
+  const { name, format, description, unit, atoms } = structure;
+  state.importedStructure = { name, format, description, unit, atoms };
+  resetLatticeParams();
+  resetKPath();
+}
+
+/** Go back to the standard path of the lattice, leaving point picking */
+function resetKPath() {
+  setKPathEditing(false);
+  state.kPath = null;
+}
+
+/** Start or stop building a path by clicking high-symmetry points */
+function setKPathEditing(editing) {
+  state.kPathEditing = editing;
+  const editBtn = document.getElementById('kpath-edit-btn');
+  if (editBtn) editBtn.textContent = editing ? '✓ Done' : '✎ Pick Points';
+  const hint = document.getElementById('kpath-hint');
+  if (hint) hint.style.display = editing ? 'block' : 'none';
+}
+
+/**
+ * Reset the lattice parameters to the defaults of the current lattice type
+ * and show only the inputs that lattice uses. The custom basis is kept.
+ */
+function resetLatticeParams() {
+  const table = state.mode === '2d' ? LATTICE_PARAMS_2D : LATTICE_PARAMS_3D;
+  const defaults = table[state.latticeType] || {};
+  state.latticeParams = { ...defaults };
+
+  for (const key of PARAM_KEYS) {
+    const input = document.getElementById(`param-${key}`);
+    if (!input) continue;
+    const used = key in defaults;
+    input.closest('.param-row').style.display = used ? 'flex' : 'none';
+    input.classList.remove('invalid');
+    if (used) input.value = defaults[key];
+  }
+
+  const paramWarning = document.getElementById('param-warning');
+  if (paramWarning) paramWarning.style.display = 'none';
+
+  // The custom lattice takes basis vectors instead of parameters
+  const custom = state.latticeType === 'custom';
+  const paramsGroup = document.getElementById('params-group');
+  const basisGroup = document.getElementById('basis-group');
+  if (paramsGroup) paramsGroup.style.display = custom ? 'none' : 'block';
+  if (basisGroup) basisGroup.style.display = custom ? 'block' : 'none';
+  const a3Row = document.getElementById('basis-a3-row');
+  if (a3Row) a3Row.style.display = state.mode === '3d' ? 'flex' : 'none';
+  document.querySelectorAll('.basis-z').forEach(el => {
+    el.style.display = state.mode === '3d' ? 'inline-block' : 'none';
+  });
 }
 
 /** Show a performance warning */
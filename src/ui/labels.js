@@ -12,13 +12,21 @@ const POINT_DESCRIPTIONS = {
   'M': 'Zone corner in square/rectangular lattices. High-symmetry saddle point.',
   'K': 'Zone corner in hexagonal lattice. Dirac point in graphene.',
   'Y': 'Zone boundary along the b-axis in rectangular lattices.',
-  'S': 'Zone corner in rectangular lattices at (π/a, π/b).',
+  'S': 'Zone corner in rectangular lattices at (π/a, π/b); edge midpoint in centered rectangular lattices.',
+  'C': 'Midpoint of the third pair of edges of the oblique zone.',
+  'H': 'Corner of the oblique zone between the Y and C edges. Its position depends on a, b and γ.',
+  'H₁': 'Corner of the oblique zone between the C and X edges. Its position depends on a, b and γ.',
+  'X₁': 'Corner of the centered rectangular zone off the axes. Its position depends on a/b.',
   'R': 'Corner of the cubic Brillouin zone at (π/a, π/a, π/a).',
   'L': 'Center of a hexagonal face of the FCC Brillouin zone. Along the [111] direction.',
   'W': 'Corner of the FCC Brillouin zone where square and hexagonal faces meet.',
   'H': 'Vertex of the BCC Brillouin zone (truncated octahedron).',
   'N': 'Center of a face of the BCC Brillouin zone.',
-  'P': 'Corner of the BCC Brillouin zone at the octahedron vertex.'
+  'P': 'Corner of the BCC Brillouin zone at the octahedron vertex.',
+  'U': 'Midpoint of an edge shared by a square and a hexagonal face of the FCC Brillouin zone.',
+  'A': 'Zone corner or face center on the top face of hexagonal and tetragonal zones.',
+  'Z': 'Zone boundary along the third reciprocal axis (kz in tetragonal, orthorhombic and monoclinic lattices).',
+  'Σ': 'Corner of the body-centered tetragonal zone (c > a) in the basal plane.'
 };
 
 /**
@@ -0,0 +1,15 @@
+/**
+ * zoneMap.worker.js — Computes strips of the pixel zone map off the main thread.
+ *
+ * Receives { jobId, rowStart, rowEnd, reciprocalPoints, maxZone, grid,
+ * zoneRadius } and answers with { jobId, rowStart, rowEnd, data }, the
+ * strip's RGBA pixels (see computeZoneMapRows), transferring the buffer.
+ */
+
+import { computeZoneMapRows } from '../core/brillouin.js';
+
+self.onmessage = (e) => {
+  const { jobId, rowStart, rowEnd, reciprocalPoints, maxZone, grid, zoneRadius } = e.data;
+  const data = computeZoneMapRows(reciprocalPoints, maxZone, grid, rowStart, rowEnd, zoneRadius);
+  self.postMessage({ jobId, rowStart, rowEnd, data }, [data.buffer]);
+};
@@ -0,0 +1,117 @@
+/**
+ * zoneMapPool.js — Pool of Web Workers computing the pixel zone map.
+ *
+ * The image is split into horizontal strips that are handed to idle
+ * workers one at a time, so that progress can be reported per strip and
+ * faster workers pick up more of the work. Starting a new job or calling
+ * cancel() terminates the workers of the job in flight; a synchronous loop
+ * cannot be interrupted any other way.
+ */
+
+/** Rows per strip; an 800-row map makes 25 strips */
+const STRIP_ROWS = 32;
+
+/** Upper bound on workers, whatever the core count */
+const MAX_WORKERS = 8;
+
+export class ZoneMapPool {
+  /**
+   * @param {number} size - Number of workers (defaults to the core count,
+   *   leaving one for the main thread)
+   */
+  constructor(size = Math.min(MAX_WORKERS, Math.max(1, (navigator.hardwareConcurrency || 2) - 1))) {
+    this.size = size;
+    this.workers = [];
+    this.job = null;
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Compute a zone map (see computeZoneMapRows) in the workers.
+   * Any job still running is cancelled first.
+   *
+   * @param {Object} params - { reciprocalPoints, maxZone, grid, zoneRadius }
+   * @param {Function} onProgress - Called with the fraction of rows done (0–1)
+   * @returns {Promise<ImageData|null>} The zone map, or null if cancelled
+   */
+  compute(params, onProgress = () => {}) {
+    this.cancel();
+    const { width, height } = params.grid;
+    const strips = [];
+    for (let rowStart = 0; rowStart < height; rowStart += STRIP_ROWS) {
+      strips.push({ rowStart, rowEnd: Math.min(height, rowStart + STRIP_ROWS) });
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextJobId++,
+        params,
+        strips,
+        rowsDone: 0,
+        pixels: new Uint8ClampedArray(width * height * 4),
+        onProgress,
+        resolve,
+        reject
+      };
+      this.job = job;
+      onProgress(0);
+
+      while (this.workers.length < Math.min(this.size, strips.length)) {
+        this.workers.push(this._createWorker());
+      }
+      for (const worker of this.workers) this._dispatch(worker);
+    });
+  }
+
+  /** Stop the job in flight, if any; its promise resolves to null */
+  cancel() {
+    const job = this._stop();
+    if (job) job.resolve(null);
+  }
+
+  /** Terminate the workers and detach the current job, returning it */
+  _stop() {
+    const job = this.job;
+    if (!job) return null;
+    for (const worker of this.workers) worker.terminate();
+    this.workers = [];
+    this.job = null;
+    return job;
+  }
+
+  _createWorker() {
+    const worker = new Worker(new URL('./zoneMap.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => this._onStrip(worker, e.data);
+    worker.onerror = (e) => {
+      const job = this._stop();
+      if (job) job.reject(new Error(`Zone map worker failed: ${e.message}`));
+    };
+    return worker;
+  }
+
+  /** Hand the next pending strip of the current job to a worker */
+  _dispatch(worker) {
+    const job = this.job;
+    const strip = job && job.strips.shift();
+    if (!strip) return;
+    const { reciprocalPoints, maxZone, grid, zoneRadius } = job.params;
+    worker.postMessage({ jobId: job.id, ...strip, reciprocalPoints, maxZone, grid, zoneRadius });
+  }
+
+  _onStrip(worker, { jobId, rowStart, rowEnd, data }) {
+    const job = this.job;
+    if (!job || job.id !== jobId) return;
+
+    const { width, height } = job.params.grid;
+    job.pixels.set(data, rowStart * width * 4);
+    job.rowsDone += rowEnd - rowStart;
+    job.onProgress(job.rowsDone / height);
+
+    if (job.rowsDone === height) {
+      this.job = null;
+      job.resolve(new ImageData(job.pixels, width, height));
+    } else {
+      this._dispatch(worker);
+    }
+  }
+}